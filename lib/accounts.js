@@ -0,0 +1,92 @@
+// Regras da conta do usuário: senha, nome de exibição e a troca do nome nos registros
+// que guardam quem criou ou alterou cada parceria.
+
+const PASSWORD_MIN_LENGTH = 8;
+// bcrypt ignora o que passa de 72 bytes
+const PASSWORD_MAX_LENGTH = 72;
+const NAME_MIN_LENGTH = 2;
+const NAME_MAX_LENGTH = 60;
+
+const COMMON_PASSWORDS = [
+    '12345678', '123456789', '1234567890', 'password', 'password1', 'senha123',
+    'qwerty123', 'abc12345', 'admin123', 'iloveyou1', '11111111', '00000000'
+];
+
+const PASSWORD_RULES = [
+    `Pelo menos ${PASSWORD_MIN_LENGTH} caracteres`,
+    'Letras e números',
+    'Letras maiúsculas e minúsculas',
+    'Diferente do seu email e do seu nome'
+];
+
+// Lista de problemas da senha; vazia quando ela é aceita
+function passwordErrors(password, { email, name } = {}) {
+    if (typeof password !== 'string' || password.length === 0) {
+        return ['Senha é obrigatória'];
+    }
+
+    const errors = [];
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        errors.push(`A senha deve ter pelo menos ${PASSWORD_MIN_LENGTH} caracteres`);
+    }
+    if (Buffer.byteLength(password) > PASSWORD_MAX_LENGTH) {
+        errors.push(`A senha deve ter no máximo ${PASSWORD_MAX_LENGTH} caracteres`);
+    }
+    if (!/[a-zA-Z]/.test(password) || !/\d/.test(password)) {
+        errors.push('A senha deve ter letras e números');
+    }
+    if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) {
+        errors.push('A senha deve ter letras maiúsculas e minúsculas');
+    }
+
+    const lower = password.toLowerCase();
+    if (COMMON_PASSWORDS.includes(lower)) {
+        errors.push('Senha muito comum');
+    }
+    const emailName = String(email || '').toLowerCase().split('@')[0];
+    const firstName = String(name || '').trim().toLowerCase().split(/\s+/)[0];
+    if ((emailName.length >= 3 && lower.includes(emailName)) || (firstName.length >= 3 && lower.includes(firstName))) {
+        errors.push('A senha não pode conter seu email ou seu nome');
+    }
+    return errors;
+}
+
+// Nome de exibição limpo ou { error }
+function normalizeName(name) {
+    const value = String(name || '').trim().replace(/\s+/g, ' ');
+    if (value.length < NAME_MIN_LENGTH || value.length > NAME_MAX_LENGTH) {
+        return { error: `O nome deve ter entre ${NAME_MIN_LENGTH} e ${NAME_MAX_LENGTH} caracteres` };
+    }
+    return { value };
+}
+
+// Troca o nome gravado junto com o email do usuário (criador, última alteração,
+// wallets, mudanças de etapa e colaboradores). É só exibição: não muda a versão da
+// parceria nem entra no histórico. Retorna true se alterou algo.
+function renameAuthor(partnership, email, name) {
+    const key = String(email || '').toLowerCase();
+    const matches = value => String(value || '').toLowerCase() === key;
+    let changed = false;
+
+    const rename = (record, nameField, emailField) => {
+        if (record && matches(record[emailField]) && record[nameField] !== name) {
+            record[nameField] = name;
+            changed = true;
+        }
+    };
+
+    rename(partnership, 'createdBy', 'createdByEmail');
+    rename(partnership, 'lastModifiedBy', 'lastModifiedByEmail');
+    (partnership.collectedWallets || []).forEach(wallet => rename(wallet, 'addedBy', 'addedByEmail'));
+    (partnership.statusHistory || []).forEach(change => rename(change, 'by', 'byEmail'));
+    (partnership.collaborators || []).forEach(collaborator => rename(collaborator, 'name', 'email'));
+    return changed;
+}
+
+module.exports = {
+    PASSWORD_MIN_LENGTH,
+    PASSWORD_RULES,
+    passwordErrors,
+    normalizeName,
+    renameAuthor
+};
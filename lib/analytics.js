@@ -0,0 +1,238 @@
+// Estatísticas calculadas a partir das parcerias gravadas: séries no tempo,
+// quebras por rede/etapa/criador, tempo até a entrega e quem mais contribui.
+
+const ANALYTICS_PERIODS = ['day', 'week', 'month'];
+const ANALYTICS_GROUPS = ['network', 'status', 'creator'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Limite de pontos da série, para um intervalo longo em dias não gerar respostas enormes
+const MAX_SERIES_POINTS = 2000;
+
+function analyticsError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Início do período (UTC) que contém a data. Semanas começam na segunda-feira.
+function bucketStart(date, period) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (period === 'week') {
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    }
+    if (period === 'month') {
+        start.setUTCDate(1);
+    }
+    return start;
+}
+
+function nextBucket(start, period) {
+    const next = new Date(start);
+    if (period === 'month') {
+        next.setUTCMonth(next.getUTCMonth() + 1);
+    } else {
+        next.setUTCDate(next.getUTCDate() + (period === 'week' ? 7 : 1));
+    }
+    return next;
+}
+
+function bucketKey(start, period) {
+    const iso = start.toISOString();
+    return period === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+function parseDay(value, name) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const match = /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && new Date(`${value}T00:00:00.000Z`);
+    if (!match || isNaN(match.getTime()) || match.toISOString().slice(0, 10) !== value) {
+        throw analyticsError(`${name} deve ser uma data AAAA-MM-DD`);
+    }
+    return match;
+}
+
+// Lê e valida os parâmetros da consulta (?period=&from=&to=&groupBy=&top=)
+function readAnalyticsOptions(query) {
+    const period = query.period || 'week';
+    if (!ANALYTICS_PERIODS.includes(period)) {
+        throw analyticsError(`Período inválido. Use: ${ANALYTICS_PERIODS.join(', ')}`);
+    }
+
+    const groupBy = query.groupBy || null;
+    if (groupBy && !ANALYTICS_GROUPS.includes(groupBy)) {
+        throw analyticsError(`Agrupamento inválido. Use: ${ANALYTICS_GROUPS.join(', ')}`);
+    }
+
+    const from = parseDay(query.from, 'from');
+    const toDay = parseDay(query.to, 'to');
+    // `to` inclui o dia inteiro
+    const to = toDay ? new Date(toDay.getTime() + DAY_MS) : null;
+    if (from && to && from >= to) {
+        throw analyticsError('from deve ser anterior a to');
+    }
+
+    const top = Math.min(Math.max(parseInt(query.top, 10) || 10, 1), 100);
+
+    return { period, groupBy, from, to, top };
+}
+
+function groupKey(partnership, groupBy) {
+    if (groupBy === 'network') return partnership.network || 'Ethereum';
+    if (groupBy === 'status') return partnership.status;
+    return partnership.createdByEmail || 'desconhecido';
+}
+
+// Momento em que a parceria foi entregue (primeira passagem para "delivered")
+function deliveredAt(partnership) {
+    const change = (partnership.statusHistory || []).find(entry => entry.to === 'delivered');
+    return change ? change.at : null;
+}
+
+function increment(map, key, field, extra = {}) {
+    if (!map.has(key)) {
+        map.set(key, { key, ...extra, partnerships: 0, wallets: 0 });
+    }
+    map.get(key)[field]++;
+}
+
+function sortedCounts(map) {
+    return Array.from(map.values())
+        .sort((a, b) => b.partnerships - a.partnerships || b.wallets - a.wallets || String(a.key).localeCompare(String(b.key)));
+}
+
+function buildAnalytics(partnerships, { period, groupBy, from, to, top }) {
+    const inRange = timestamp => {
+        if (!timestamp) return false;
+        const date = new Date(timestamp);
+        return !isNaN(date.getTime()) && (!from || date >= from) && (!to || date < to);
+    };
+
+    const buckets = new Map();
+    const bucketFor = timestamp => {
+        const start = bucketStart(new Date(timestamp), period);
+        const key = bucketKey(start, period);
+        if (!buckets.has(key)) {
+            buckets.set(key, { start, partnerships: 0, wallets: 0, delivered: 0, groups: {} });
+        }
+        return buckets.get(key);
+    };
+    const countGroup = (bucket, key, field) => {
+        if (!groupBy) return;
+        bucket.groups[key] = bucket.groups[key] || { partnerships: 0, wallets: 0 };
+        bucket.groups[key][field]++;
+    };
+
+    const byNetwork = new Map();
+    const byStatus = new Map();
+    const byCreator = new Map();
+    const contributors = new Map();
+    const completionDays = [];
+    let totalPartnerships = 0;
+    let totalWallets = 0;
+
+    partnerships.forEach(partnership => {
+        const network = partnership.network || 'Ethereum';
+        const creatorKey = partnership.createdByEmail || 'desconhecido';
+        const group = groupBy ? groupKey(partnership, groupBy) : null;
+
+        if (inRange(partnership.createdAt)) {
+            totalPartnerships++;
+            const bucket = bucketFor(partnership.createdAt);
+            bucket.partnerships++;
+            countGroup(bucket, group, 'partnerships');
+
+            increment(byNetwork, network, 'partnerships');
+            increment(byStatus, partnership.status, 'partnerships');
+            increment(byCreator, creatorKey, 'partnerships', { name: partnership.createdBy || null });
+            increment(contributors, creatorKey, 'partnerships', { name: partnership.createdBy || null });
+        }
+
+        (partnership.collectedWallets || []).forEach(wallet => {
+            if (!inRange(wallet.addedAt)) return;
+            totalWallets++;
+            const bucket = bucketFor(wallet.addedAt);
+            bucket.wallets++;
+            countGroup(bucket, group, 'wallets');
+
+            increment(byNetwork, network, 'wallets');
+            increment(byStatus, partnership.status, 'wallets');
+            increment(byCreator, creatorKey, 'wallets', { name: partnership.createdBy || null });
+            const contributorKey = wallet.addedByEmail || 'desconhecido';
+            increment(contributors, contributorKey, 'wallets', { name: wallet.addedBy || null });
+        });
+
+        const completed = deliveredAt(partnership);
+        if (inRange(completed)) {
+            bucketFor(completed).delivered++;
+            const days = (new Date(completed) - new Date(partnership.createdAt)) / DAY_MS;
+            if (days >= 0) {
+                completionDays.push(days);
+            }
+        }
+    });
+
+    // Série contínua: períodos sem movimento aparecem zerados
+    const series = [];
+    const keys = Array.from(buckets.keys()).sort();
+    if (keys.length > 0) {
+        const first = from ? bucketStart(from, period) : buckets.get(keys[0]).start;
+        const lastKey = to ? bucketKey(bucketStart(new Date(to.getTime() - 1), period), period) : keys[keys.length - 1];
+        let cumulativePartnerships = 0;
+        let cumulativeWallets = 0;
+
+        for (let start = first; bucketKey(start, period) <= lastKey; start = nextBucket(start, period)) {
+            if (series.length >= MAX_SERIES_POINTS) {
+                throw analyticsError(`Intervalo longo demais para o período "${period}". Use um período maior ou limite from/to.`);
+            }
+            const key = bucketKey(start, period);
+            const bucket = buckets.get(key) || { partnerships: 0, wallets: 0, delivered: 0, groups: {} };
+            cumulativePartnerships += bucket.partnerships;
+            cumulativeWallets += bucket.wallets;
+            series.push({
+                period: key,
+                partnerships: bucket.partnerships,
+                wallets: bucket.wallets,
+                delivered: bucket.delivered,
+                cumulativePartnerships,
+                cumulativeWallets,
+                ...(groupBy && { groups: bucket.groups })
+            });
+        }
+    }
+
+    const averageDays = completionDays.length > 0
+        ? completionDays.reduce((sum, days) => sum + days, 0) / completionDays.length
+        : null;
+
+    return {
+        period,
+        groupBy,
+        from: from ? from.toISOString().slice(0, 10) : null,
+        to: to ? new Date(to.getTime() - DAY_MS).toISOString().slice(0, 10) : null,
+        totals: {
+            partnerships: totalPartnerships,
+            wallets: totalWallets,
+            delivered: completionDays.length
+        },
+        series,
+        byNetwork: sortedCounts(byNetwork),
+        byStatus: sortedCounts(byStatus),
+        byCreator: sortedCounts(byCreator),
+        completion: {
+            count: completionDays.length,
+            averageDays: averageDays === null ? null : Math.round(averageDays * 10) / 10
+        },
+        topContributors: Array.from(contributors.values())
+            .sort((a, b) => b.wallets - a.wallets || b.partnerships - a.partnerships)
+            .slice(0, top)
+    };
+}
+
+module.exports = {
+    ANALYTICS_PERIODS,
+    ANALYTICS_GROUPS,
+    readAnalyticsOptions,
+    buildAnalytics
+};
@@ -0,0 +1,83 @@
+// Leitura e escrita de CSV simples (RFC 4180: aspas duplas, vírgula como separador)
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+    return values.map(csvCell).join(',');
+}
+
+// Converte o texto em linhas de células, respeitando campos entre aspas
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Descarta linhas totalmente vazias
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// Primeira linha é o cabeçalho; retorna objetos { coluna: valor }
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) {
+        return [];
+    }
+    const columns = header.map(h => h.trim());
+    return rows.map(cells => {
+        const record = {};
+        columns.forEach((column, i) => {
+            record[column] = cells[i] !== undefined ? cells[i].trim() : '';
+        });
+        return record;
+    });
+}
+
+module.exports = {
+    csvCell,
+    toCsvLine,
+    parseCsvRows,
+    parseCsv
+};
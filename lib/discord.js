@@ -0,0 +1,251 @@
+const { STATUS_LABELS, DEADLINE_LABELS } = require('./lifecycle');
+const { partnershipQuota } = require('./quota');
+const { DEFAULT_VISIBILITY } = require('./policy');
+
+// Mensagens para o Discord: cada evento de parceria vira um embed (título, descrição,
+// campos e link para a parceria), no formato aceito pelos webhooks do Discord.
+// Canais do Discord costumam ser abertos ao time todo: parcerias com visibilidade
+// restrita (colaboradores ou só admins) não são postadas.
+
+const COLORS = {
+    added: 0x2ecc71,
+    updated: 0x3498db,
+    removed: 0xe74c3c,
+    restored: 0x9b59b6,
+    warning: 0xf39c12,
+    info: 0x95a5a6
+};
+
+// Limites do Discord para título e descrição de embeds
+const TITLE_MAX_LENGTH = 256;
+const DESCRIPTION_MAX_LENGTH = 4096;
+
+function truncate(text, max) {
+    const value = String(text || '');
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+// AAAA-MM-DD -> DD/MM/AAAA
+function formatDate(date) {
+    const [year, month, day] = String(date).split('-');
+    return `${day}/${month}/${year}`;
+}
+
+// "40/50 wallets (80%)", ou só a contagem quando as WLs ainda não foram definidas
+function walletProgress(partnership) {
+    const quota = partnershipQuota(partnership);
+    if (!quota.limited) {
+        return `${quota.collected} wallet(s)`;
+    }
+    return `${quota.collected}/${quota.allocated} wallets (${Math.round(quota.collected / quota.allocated * 100)}%)`;
+}
+
+function wlsLabel(partnership) {
+    return partnership.numberOfWLs ? `${partnership.numberOfWLs} WLs` : 'WLs a definir';
+}
+
+// Uma linha de resumo, usada nas respostas do bot
+function partnershipLine(partnership) {
+    const parts = [
+        `**${partnership.projectName}**`,
+        partnership.network || 'Ethereum',
+        STATUS_LABELS[partnership.status] || partnership.status,
+        walletProgress(partnership)
+    ];
+    Object.keys(DEADLINE_LABELS).forEach(field => {
+        if (partnership[field]) {
+            parts.push(`${DEADLINE_LABELS[field].toLowerCase()}: ${formatDate(partnership[field])}`);
+        }
+    });
+    return parts.join(' · ');
+}
+
+function isPublic(partnership) {
+    return (partnership.visibility || DEFAULT_VISIBILITY) === 'team';
+}
+
+function partnershipUrl(partnership, appUrl) {
+    return appUrl ? `${appUrl}/partnership-details?id=${partnership.id}` : undefined;
+}
+
+function embed({ title, description, color, url, fields = [], timestamp }) {
+    return {
+        title: truncate(title, TITLE_MAX_LENGTH),
+        description: description ? truncate(description, DESCRIPTION_MAX_LENGTH) : undefined,
+        color,
+        url,
+        fields: fields.filter(field => field.value).map(field => ({ inline: true, ...field })),
+        timestamp,
+        footer: { text: 'WLs Manager' }
+    };
+}
+
+function walletsEmbed(partnership, data, appUrl) {
+    return embed({
+        title: `📥 Wallets: ${partnership.projectName}`,
+        description: `${walletProgress(partnership)} coletadas`,
+        color: COLORS.updated,
+        url: partnershipUrl(partnership, appUrl),
+        fields: [{ name: 'Alterado por', value: data.user }],
+        timestamp: data.timestamp
+    });
+}
+
+// Embed de cada evento; null para eventos que não valem uma mensagem
+const EMBEDS = {
+    partnershipAdded(data, appUrl) {
+        const p = data.partnership;
+        if (!isPublic(p)) {
+            return null;
+        }
+        return embed({
+            title: `🤝 Nova parceria: ${p.projectName}`,
+            description: `${p.network || 'Ethereum'} · ${wlsLabel(p)}`,
+            color: COLORS.added,
+            url: partnershipUrl(p, appUrl),
+            fields: [
+                { name: 'Status', value: STATUS_LABELS[p.status] },
+                { name: DEADLINE_LABELS.walletDeadline, value: p.walletDeadline && formatDate(p.walletDeadline) },
+                { name: 'Criada por', value: data.user }
+            ],
+            timestamp: data.timestamp
+        });
+    },
+
+    partnershipUpdated(data, appUrl) {
+        const p = data.partnership;
+        if (!isPublic(p) || data.field === 'collaborators') {
+            return null;
+        }
+        if (data.field === 'collectedWallets') {
+            return walletsEmbed(p, data, appUrl);
+        }
+        if (data.field === 'status') {
+            return embed({
+                title: `🔄 ${p.projectName}: ${STATUS_LABELS[p.status]}`,
+                description: walletProgress(p),
+                color: COLORS.updated,
+                url: partnershipUrl(p, appUrl),
+                fields: [{ name: 'Alterado por', value: data.user }],
+                timestamp: data.timestamp
+            });
+        }
+        return embed({
+            title: `${data.action === 'revert' ? '⏪ Parceria revertida' : '✏️ Parceria atualizada'}: ${p.projectName}`,
+            description: `${p.network || 'Ethereum'} · ${wlsLabel(p)} · ${walletProgress(p)}`,
+            color: COLORS.updated,
+            url: partnershipUrl(p, appUrl),
+            fields: [{ name: 'Alterado por', value: data.user }],
+            timestamp: data.timestamp
+        });
+    },
+
+    partnershipsImported(data, appUrl) {
+        const created = data.created.filter(isPublic);
+        const updated = data.updated.filter(isPublic);
+        if (created.length === 0 && updated.length === 0) {
+            return null;
+        }
+        // Importação de wallets de uma parceria só
+        if (data.created.length === 0 && data.updated.length === 1) {
+            return walletsEmbed(updated[0], data, appUrl);
+        }
+        return embed({
+            title: '📦 Importação de parcerias',
+            description: `${created.length} criada(s), ${updated.length} atualizada(s)`,
+            color: COLORS.added,
+            fields: [{ name: 'Importado por', value: data.user }],
+            timestamp: data.timestamp
+        });
+    },
+
+    partnershipDeleted(data) {
+        if (!isPublic(data)) {
+            return null;
+        }
+        return embed({
+            title: `🗑️ Parceria apagada: ${data.projectName || data.partnershipId}`,
+            description: 'Movida para a lixeira',
+            color: COLORS.removed,
+            fields: [{ name: 'Apagada por', value: data.user }],
+            timestamp: data.timestamp
+        });
+    },
+
+    allPartnershipsCleared(data) {
+        return embed({
+            title: '🧹 Todas as parcerias foram para a lixeira',
+            description: data.count !== undefined ? `${data.count} parceria(s)` : undefined,
+            color: COLORS.removed,
+            fields: [{ name: 'Apagadas por', value: data.user }],
+            timestamp: data.timestamp
+        });
+    },
+
+    partnershipRestored(data, appUrl) {
+        if (!isPublic(data.partnership)) {
+            return null;
+        }
+        return embed({
+            title: `♻️ Parceria restaurada: ${data.partnership.projectName}`,
+            description: walletProgress(data.partnership),
+            color: COLORS.restored,
+            url: partnershipUrl(data.partnership, appUrl),
+            fields: [{ name: 'Restaurada por', value: data.user }],
+            timestamp: data.timestamp
+        });
+    },
+
+    partnershipsRestored(data) {
+        const partnerships = data.partnerships.filter(isPublic);
+        if (partnerships.length === 0) {
+            return null;
+        }
+        return embed({
+            title: `♻️ ${partnerships.length} parcerias restauradas`,
+            description: truncate(partnerships.map(p => p.projectName).join(', '), DESCRIPTION_MAX_LENGTH),
+            color: COLORS.restored,
+            fields: [{ name: 'Restauradas por', value: data.user }],
+            timestamp: data.timestamp
+        });
+    },
+
+    partnershipDeadlineSoon(data, appUrl) {
+        const p = data.partnership;
+        if (!isPublic(p)) {
+            return null;
+        }
+        return embed({
+            title: `⏰ ${DEADLINE_LABELS[data.field]} em ${data.hoursLeft}h: ${p.projectName}`,
+            description: `Vence em ${formatDate(data.deadline)} · ${walletProgress(p)}`,
+            color: COLORS.warning,
+            url: partnershipUrl(p, appUrl),
+            fields: [{ name: 'Status', value: STATUS_LABELS[p.status] }],
+            timestamp: data.timestamp
+        });
+    },
+
+    ping(data) {
+        return embed({
+            title: '🧪 Teste do WLs Manager',
+            description: data.message,
+            color: COLORS.info,
+            fields: [{ name: 'Enviado por', value: data.user }],
+            timestamp: data.timestamp
+        });
+    }
+};
+
+// Corpo do webhook do Discord para o evento, ou null se não há o que postar
+function discordMessage(event, data, { appUrl = null, username = 'WLs Manager' } = {}) {
+    const build = EMBEDS[event];
+    const message = build ? build(data, appUrl) : null;
+    return message ? { username, embeds: [message] } : null;
+}
+
+module.exports = {
+    formatDate,
+    walletProgress,
+    partnershipLine,
+    discordMessage
+};
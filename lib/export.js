@@ -0,0 +1,132 @@
+const { getBytes, toUtf8Bytes } = require('ethers');
+const { isEvmNetwork, decodeBase58, validateAddress, addressKey } = require('./wallets');
+const { buildMerkleTree } = require('./merkle');
+const { toCsvLine } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'txt', 'json', 'merkle'];
+
+// Família de endereço: define a codificação da folha Merkle e o que pode ser misturado
+function addressFamily(network) {
+    if (isEvmNetwork(network)) return 'evm';
+    if (network === 'Solana') return 'solana';
+    return 'other';
+}
+
+// Normaliza e remove duplicatas das wallets de uma ou mais parcerias.
+// Endereços que não passam na validação da rede ficam de fora e são listados em `skipped`.
+function collectExportWallets(partnerships) {
+    const byKey = new Map();
+    const skipped = [];
+
+    partnerships.forEach(p => {
+        const network = p.network || 'Ethereum';
+        (p.collectedWallets || []).forEach(w => {
+            const result = validateAddress(w.address, network);
+            if (!result.valid) {
+                skipped.push({ address: w.address, partnershipId: p.id, reason: result.reason });
+                return;
+            }
+
+            const key = addressKey(result.address, network);
+            const existing = byKey.get(key);
+            if (existing) {
+                if (!existing.partnerships.includes(p.projectName)) {
+                    existing.partnerships.push(p.projectName);
+                }
+                return;
+            }
+
+            byKey.set(key, {
+                address: result.address,
+                network,
+                partnerships: [p.projectName],
+                addedBy: w.addedBy || null,
+                addedAt: w.addedAt || null
+            });
+        });
+    });
+
+    return { wallets: Array.from(byKey.values()), skipped };
+}
+
+function toCsv(wallets) {
+    const header = ['address', 'network', 'partnerships', 'addedBy', 'addedAt'];
+    const rows = wallets.map(w => toCsvLine([
+        w.address,
+        w.network,
+        w.partnerships.join('; '),
+        w.addedBy,
+        w.addedAt
+    ]));
+    return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+function toText(wallets) {
+    return wallets.map(w => w.address).join('\n') + (wallets.length > 0 ? '\n' : '');
+}
+
+function leafBytes(wallet) {
+    const family = addressFamily(wallet.network);
+    if (family === 'evm') return getBytes(wallet.address);
+    if (family === 'solana') return decodeBase58(wallet.address);
+    return toUtf8Bytes(wallet.address);
+}
+
+// Árvore Merkle para contratos de allowlist: folha = keccak256(bytes do endereço),
+// pares ordenados. Todas as wallets precisam ser da mesma família de rede.
+function toMerkle(wallets) {
+    const families = new Set(wallets.map(w => addressFamily(w.network)));
+    if (families.size > 1) {
+        const error = new Error('Árvore Merkle exige wallets de uma única família de rede (EVM ou Solana)');
+        error.status = 400;
+        throw error;
+    }
+
+    const { root, leaves, proofs } = buildMerkleTree(wallets.map(leafBytes));
+
+    return {
+        root,
+        leafEncoding: families.has('solana')
+            ? 'keccak256(pubkey 32 bytes)'
+            : families.has('other') ? 'keccak256(utf8)' : 'keccak256(abi.encodePacked(address))',
+        count: wallets.length,
+        proofs: wallets.map((w, i) => ({
+            address: w.address,
+            leaf: leaves[i],
+            proof: proofs[i]
+        }))
+    };
+}
+
+// Monta o corpo da resposta para o formato pedido
+function renderExport(format, wallets, meta = {}) {
+    switch (format) {
+        case 'csv':
+            return { contentType: 'text/csv; charset=utf-8', extension: 'csv', body: toCsv(wallets) };
+        case 'txt':
+            return { contentType: 'text/plain; charset=utf-8', extension: 'txt', body: toText(wallets) };
+        case 'json':
+            return {
+                contentType: 'application/json; charset=utf-8',
+                extension: 'json',
+                body: JSON.stringify({ ...meta, count: wallets.length, wallets }, null, 2)
+            };
+        case 'merkle':
+            return {
+                contentType: 'application/json; charset=utf-8',
+                extension: 'merkle.json',
+                body: JSON.stringify({ ...meta, ...toMerkle(wallets) }, null, 2)
+            };
+        default: {
+            const error = new Error(`Formato inválido. Use: ${EXPORT_FORMATS.join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    collectExportWallets,
+    renderExport
+};
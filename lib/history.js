@@ -0,0 +1,190 @@
+const { v4: uuidv4 } = require('uuid');
+const { addressKey } = require('./wallets');
+
+// Campos de controle que mudam em toda edição e não entram no diff
+const IGNORED_FIELDS = ['id', 'version', 'updatedAt', 'lastModifiedBy', 'lastModifiedByEmail', 'statusHistory'];
+
+// A cada quantas entradas de uma parceria o histórico volta a guardar a versão inteira
+const HISTORY_CHECKPOINT_INTERVAL = 20;
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Compara versões sem depender da ordem dos campos
+function sameVersion(a, b) {
+    const sorted = (key, value) => (value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.fromEntries(Object.keys(value).sort().map(field => [field, value[field]]))
+        : value);
+    return JSON.stringify(a, sorted) === JSON.stringify(b, sorted);
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Diferença da lista de wallets: endereços adicionados e removidos
+function diffWallets(before = [], after = [], network) {
+    const beforeKeys = new Set(before.map(w => addressKey(w.address, network)));
+    const afterKeys = new Set(after.map(w => addressKey(w.address, network)));
+
+    return {
+        added: after.filter(w => !beforeKeys.has(addressKey(w.address, network))).map(w => w.address),
+        removed: before.filter(w => !afterKeys.has(addressKey(w.address, network))).map(w => w.address)
+    };
+}
+
+// Diff campo a campo entre duas versões de uma parceria (qualquer lado pode ser null)
+function diffPartnership(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) {
+            return;
+        }
+
+        const from = before ? before[field] : undefined;
+        const to = after ? after[field] : undefined;
+
+        if (field === 'collectedWallets') {
+            const network = (after || before).network;
+            const { added, removed } = diffWallets(from || [], to || [], network);
+            if (added.length > 0 || removed.length > 0) {
+                changes.push({ field, added, removed });
+            }
+            return;
+        }
+
+        if (!sameValue(from, to)) {
+            changes.push({
+                field,
+                from: from === undefined ? null : from,
+                to: to === undefined ? null : to
+            });
+        }
+    });
+
+    return changes;
+}
+
+function applyWalletDelta(wallets, { added, removed }, network) {
+    const removedKeys = new Set(removed.map(address => addressKey(address, network)));
+    return [...wallets.filter(w => !removedKeys.has(addressKey(w.address, network))), ...added];
+}
+
+// Wallets que entraram (objetos inteiros) e saíram (endereços). Só serve quando a lista
+// nova é a antiga menos as removidas mais as adicionadas no fim; senão retorna null.
+function walletDelta(before, after, network) {
+    const afterKeys = new Set(after.map(w => addressKey(w.address, network)));
+    const keptKeys = new Set(before.map(w => addressKey(w.address, network)).filter(key => afterKeys.has(key)));
+    const delta = {
+        added: after.filter(w => !keptKeys.has(addressKey(w.address, network))),
+        removed: before.filter(w => !afterKeys.has(addressKey(w.address, network))).map(w => w.address)
+    };
+    return sameValue(applyWalletDelta(before, delta, network), after) ? delta : null;
+}
+
+// O que leva a versão `before` à `after`: campos com valor novo, campos removidos e,
+// quando possível, só as wallets que mudaram em vez da lista inteira
+function buildPatch(before, after) {
+    const patch = { set: {}, unset: [], wallets: null };
+    Object.keys(after).forEach(field => {
+        if (!sameValue(before[field], after[field])) {
+            patch.set[field] = after[field];
+        }
+    });
+    patch.unset = Object.keys(before).filter(field => !(field in after));
+
+    if (patch.set.collectedWallets && before.network === after.network) {
+        const delta = walletDelta(before.collectedWallets || [], after.collectedWallets || [], after.network);
+        if (delta) {
+            delete patch.set.collectedWallets;
+            patch.wallets = delta;
+        }
+    }
+    return clone(patch);
+}
+
+function applyPatch(version, patch) {
+    const next = { ...version, ...clone(patch.set) };
+    patch.unset.forEach(field => {
+        delete next[field];
+    });
+    if (patch.wallets) {
+        next.collectedWallets = applyWalletDelta(version.collectedWallets || [], clone(patch.wallets), next.network);
+    }
+    return next;
+}
+
+// Versão da parceria depois da entrada `index` (entradas da parceria em ordem): parte da
+// última entrada com a versão inteira e aplica as diferenças seguintes
+function partnershipVersion(entries, index) {
+    let start = index;
+    while (start >= 0 && !entries[start].snapshot) {
+        start--;
+    }
+    if (start < 0) {
+        return null;
+    }
+    return entries.slice(start + 1, index + 1).reduce((version, entry) => applyPatch(version, entry.patch), clone(entries[start].snapshot));
+}
+
+// Troca a versão inteira pela diferença, exceto na primeira entrada, a cada
+// HISTORY_CHECKPOINT_INTERVAL entradas e quando a diferença aplicada à versão registrada
+// não reproduz o resultado (a parceria mudou por fora do histórico)
+function compactHistoryEntry(entry, previous) {
+    const { patch, snapshot, ...rest } = entry;
+    const lastCheckpoint = previous.map(e => Boolean(e.snapshot)).lastIndexOf(true);
+    if (!patch || lastCheckpoint === -1 || previous.length - lastCheckpoint >= HISTORY_CHECKPOINT_INTERVAL) {
+        return { ...rest, snapshot };
+    }
+
+    const previousVersion = partnershipVersion(previous, previous.length - 1);
+    return sameVersion(applyPatch(previousVersion, patch), snapshot)
+        ? { ...rest, patch }
+        : { ...rest, snapshot };
+}
+
+// Prepara entradas novas para gravar, cada uma contra as anteriores da mesma parceria
+// (`earlierEntries(partnershipId)`) e as que vêm antes dela no mesmo lote
+function compactHistoryEntries(entries, earlierEntries) {
+    const batch = [];
+    return (Array.isArray(entries) ? entries : [entries]).map(entry => {
+        const previous = [
+            ...earlierEntries(entry.partnershipId),
+            ...batch.filter(e => e.partnershipId === entry.partnershipId)
+        ];
+        const compacted = compactHistoryEntry(entry, previous);
+        batch.push(compacted);
+        return compacted;
+    });
+}
+
+// Monta uma entrada do histórico. `snapshot` guarda a versão resultante (ou a removida,
+// em exclusões); em alterações vem também `patch`, e ao gravar (compactHistoryEntries)
+// só um dos dois fica.
+function createHistoryEntry({ action, before = null, after = null, user, timestamp }) {
+    const record = after || before;
+
+    return {
+        id: uuidv4(),
+        partnershipId: record.id,
+        projectName: record.projectName,
+        action,
+        user: user.name,
+        userEmail: user.email,
+        timestamp: timestamp || new Date().toISOString(),
+        changes: diffPartnership(before, after),
+        snapshot: clone(record),
+        ...(before && after ? { patch: buildPatch(before, after) } : {})
+    };
+}
+
+module.exports = {
+    HISTORY_CHECKPOINT_INTERVAL,
+    diffPartnership,
+    createHistoryEntry,
+    compactHistoryEntries,
+    partnershipVersion
+};
@@ -0,0 +1,287 @@
+const { buildWalletList, mergeWalletList, addressKey } = require('./wallets');
+const { validatePartnershipInput } = require('./schema');
+const { DEFAULT_STATUS, STATUS_LABELS, isWalletLocked, initialStatusErrors, deadlineErrors, statusChange } = require('./lifecycle');
+const { parseCsv, parseCsvRows } = require('./csv');
+const { quotaExcess, quotaMessage } = require('./quota');
+const { DEFAULT_VISIBILITY } = require('./policy');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+const IMPORT_STRATEGIES = ['merge', 'replace'];
+
+function importError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function parseJson(content) {
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw importError(`JSON inválido: ${error.message}`);
+    }
+}
+
+// Lê o arquivo de parcerias: CSV com cabeçalho ou JSON (array ou { partnerships: [...] })
+function parsePartnershipRecords(format, content) {
+    if (format === 'csv') {
+        return parseCsv(content);
+    }
+    if (format === 'json') {
+        const data = parseJson(content);
+        const records = Array.isArray(data) ? data : data && data.partnerships;
+        if (!Array.isArray(records)) {
+            throw importError('JSON deve ser um array de parcerias');
+        }
+        return records;
+    }
+    throw importError(`Formato inválido. Use: ${IMPORT_FORMATS.join(', ')}`);
+}
+
+// Lê o arquivo de wallets: CSV (primeira coluna, cabeçalho opcional) ou JSON (strings ou { address })
+function parseWalletRecords(format, content) {
+    if (format === 'csv') {
+        const rows = parseCsvRows(content);
+        if (rows.length > 0 && ['address', 'wallet', 'endereco', 'endereço'].includes(rows[0][0].trim().toLowerCase())) {
+            rows.shift();
+        }
+        return rows.map(cells => cells[0].trim());
+    }
+    if (format === 'json') {
+        const data = parseJson(content);
+        const records = Array.isArray(data) ? data : data && data.wallets;
+        if (!Array.isArray(records)) {
+            throw importError('JSON deve ser um array de wallets');
+        }
+        return records.map(item => (item && typeof item === 'object') ? item.address : item);
+    }
+    throw importError(`Formato inválido. Use: ${IMPORT_FORMATS.join(', ')}`);
+}
+
+// Wallets numa célula de CSV podem vir separadas por espaço, quebra de linha, ; , ou |
+function walletInput(value) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    return String(value || '').split(/[\s;,|]+/).filter(Boolean);
+}
+
+// Aplica a estratégia escolhida (merge acrescenta, replace substitui a lista)
+function applyWalletStrategy(strategy, input, network, existing, user) {
+    if (strategy === 'replace') {
+        const { wallets, errors } = buildWalletList(input, network, { existing, user });
+        const kept = new Set(wallets.map(w => addressKey(w.address, network)));
+        const known = new Set(existing.map(w => addressKey(w.address, network)));
+        return {
+            wallets,
+            errors,
+            added: wallets.filter(w => !known.has(addressKey(w.address, network))).length,
+            removed: existing.filter(w => !kept.has(addressKey(w.address, network))).length
+        };
+    }
+
+    const { wallets, added, errors } = mergeWalletList(input, network, { existing, user });
+    return { wallets, errors, added: added.length, removed: 0 };
+}
+
+// Valida cada linha do arquivo de parcerias e decide se cria ou atualiza.
+// Linhas que casam com uma parceria existente (por id ou nome) só têm as wallets alteradas;
+// sem wallets na linha, ou sem nenhuma wallet nova ou removida, a parceria fica como está.
+// Linhas que passam da cota de WLs são erro, a menos que `allowOverQuota` (admin) esteja ligado.
+function planPartnershipImport(records, { partnerships, user, strategy, canEdit, canSetVisibility, generateId, allowOverQuota = false }) {
+    const rows = [];
+    const creates = [];
+    const updates = [];
+    const quotaOverrides = {};
+    const namesInFile = new Map();
+    const now = new Date().toISOString();
+
+    records.forEach((record, index) => {
+        const row = index + 1;
+
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            rows.push({ row, projectName: '', action: 'error', errors: [{ field: null, message: 'Linha deve ser um objeto' }] });
+            return;
+        }
+
+        // `id` só serve para casar com uma parceria existente; células vazias contam como ausentes
+        const { id: recordId, ...fields } = record;
+        Object.keys(fields).forEach(field => {
+            if (fields[field] === '') {
+                delete fields[field];
+            }
+        });
+
+        const { value, errors: fieldErrors } = validatePartnershipInput(fields);
+        const errors = fieldErrors.map(({ field, message }) => ({ field, message }));
+        const projectName = value.projectName || String(record.projectName || '').trim();
+
+        const nameKey = projectName.toLowerCase();
+        if (projectName && namesInFile.has(nameKey)) {
+            errors.push({ field: 'projectName', message: `Projeto repetido no arquivo (linha ${namesInFile.get(nameKey)})` });
+        }
+        namesInFile.set(nameKey, row);
+
+        const existing = recordId
+            ? partnerships.find(p => p.id === recordId)
+            : partnerships.find(p => (p.projectName || '').trim().toLowerCase() === nameKey);
+
+        if (recordId && !existing) {
+            errors.push({ field: 'id', message: 'Parceria não encontrada' });
+        }
+
+        const network = existing ? existing.network : (value.network || 'Ethereum');
+        const numberOfWLs = value.numberOfWLs || 0;
+
+        if (existing && !canEdit(user, existing)) {
+            errors.push({ field: 'id', message: 'Você não tem permissão para alterar esta parceria' });
+        }
+        if (!existing) {
+            errors.push(...initialStatusErrors(value).map(({ field, message }) => ({ field, message })));
+            errors.push(...deadlineErrors(value).map(({ field, message }) => ({ field, message })));
+            if (value.visibility && !canSetVisibility(user, value.visibility)) {
+                errors.push({ field: 'visibility', message: 'Você não pode definir esta visibilidade' });
+            }
+        }
+
+        if (errors.length > 0) {
+            rows.push({ row, projectName, action: 'error', errors });
+            return;
+        }
+
+        const walletResult = existing && value.collectedWallets === undefined
+            ? { wallets: existing.collectedWallets || [], errors: [], added: 0, removed: 0 }
+            : applyWalletStrategy(
+                existing ? strategy : 'replace',
+                walletInput(value.collectedWallets),
+                network,
+                existing ? existing.collectedWallets || [] : [],
+                user
+            );
+
+        if (walletResult.errors.length > 0) {
+            rows.push({
+                row,
+                projectName,
+                action: 'error',
+                errors: walletResult.errors.map(e => ({
+                    field: 'collectedWallets',
+                    message: `${e.value}: ${e.reason}`
+                }))
+            });
+            return;
+        }
+
+        // Lista enviada ou entregue não muda: qualquer wallet nova ou removida é erro
+        if (existing && isWalletLocked(existing) && (walletResult.added > 0 || walletResult.removed > 0)) {
+            rows.push({
+                row,
+                projectName,
+                action: 'error',
+                errors: [{ field: 'collectedWallets', message: `Wallets bloqueadas: parceria "${STATUS_LABELS[existing.status]}"` }]
+            });
+            return;
+        }
+
+        if (existing && walletResult.added === 0 && walletResult.removed === 0) {
+            rows.push({
+                row,
+                projectName,
+                action: 'unchanged',
+                partnershipId: existing.id,
+                walletsAdded: 0,
+                walletsRemoved: 0,
+                overQuota: 0,
+                errors: []
+            });
+            return;
+        }
+
+        const excess = existing
+            ? quotaExcess(existing.numberOfWLs, (existing.collectedWallets || []).length, walletResult.wallets.length)
+            : quotaExcess(numberOfWLs, 0, walletResult.wallets.length);
+        if (excess && !allowOverQuota) {
+            rows.push({ row, projectName, action: 'error', errors: [{ field: 'collectedWallets', message: quotaMessage(excess) }] });
+            return;
+        }
+        const overQuota = excess ? excess.excess : 0;
+
+        if (existing) {
+            if (excess) {
+                quotaOverrides[existing.id] = excess;
+            }
+            updates.push({ partnership: existing, wallets: walletResult.wallets });
+            rows.push({
+                row,
+                projectName,
+                action: 'update',
+                partnershipId: existing.id,
+                walletsAdded: walletResult.added,
+                walletsRemoved: walletResult.removed,
+                overQuota,
+                errors: []
+            });
+            return;
+        }
+
+        const status = value.status || DEFAULT_STATUS;
+        const partnership = {
+            id: generateId(),
+            projectName,
+            network,
+            numberOfWLs,
+            templateDescription: value.templateDescription || '',
+            collectedWallets: walletResult.wallets,
+            status,
+            statusHistory: [statusChange(null, status, user, now)],
+            walletDeadline: value.walletDeadline || null,
+            deliveryDeadline: value.deliveryDeadline || null,
+            visibility: value.visibility || DEFAULT_VISIBILITY,
+            version: 1,
+            createdAt: now,
+            updatedAt: now,
+            createdBy: user.name,
+            createdByEmail: user.email,
+            lastModifiedBy: user.name,
+            lastModifiedByEmail: user.email
+        };
+        if (excess) {
+            quotaOverrides[partnership.id] = excess;
+        }
+        creates.push(partnership);
+        rows.push({
+            row,
+            projectName,
+            action: 'create',
+            partnershipId: partnership.id,
+            walletsAdded: walletResult.added,
+            walletsRemoved: 0,
+            overQuota,
+            errors: []
+        });
+    });
+
+    return { rows, creates, updates, quotaOverrides };
+}
+
+// Planeja a importação de wallets para uma parceria existente
+function planWalletImport(addresses, { partnership, user, strategy }) {
+    const network = partnership.network || 'Ethereum';
+    const result = applyWalletStrategy(strategy, addresses, network, partnership.collectedWallets || [], user);
+
+    return {
+        wallets: result.wallets,
+        added: result.added,
+        removed: result.removed,
+        errors: result.errors.map(e => ({ row: e.line, value: e.value, message: e.reason }))
+    };
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    IMPORT_STRATEGIES,
+    parsePartnershipRecords,
+    parseWalletRecords,
+    planPartnershipImport,
+    planWalletImport
+};
@@ -0,0 +1,168 @@
+// Ciclo de vida de uma parceria:
+// negociando → confirmada → coletando wallets → enviada → entregue (ou cancelada)
+const PARTNERSHIP_STATUSES = ['negotiating', 'confirmed', 'collecting', 'submitted', 'delivered', 'cancelled'];
+
+const STATUS_LABELS = {
+    negotiating: 'Negociando',
+    confirmed: 'Confirmada',
+    collecting: 'Coletando wallets',
+    submitted: 'Enviada',
+    delivered: 'Entregue',
+    cancelled: 'Cancelada'
+};
+
+// Próximos estados permitidos. Além do fluxo principal: voltar para negociação antes
+// de começar a coleta, reabrir a coleta de uma lista enviada e reativar uma cancelada.
+const STATUS_TRANSITIONS = {
+    negotiating: ['confirmed', 'cancelled'],
+    confirmed: ['collecting', 'negotiating', 'cancelled'],
+    collecting: ['submitted', 'cancelled'],
+    submitted: ['delivered', 'collecting', 'cancelled'],
+    delivered: [],
+    cancelled: ['negotiating']
+};
+
+// Depois de enviada ao projeto, a lista de wallets não pode mais mudar
+const WALLET_LOCKED_STATUSES = ['submitted', 'delivered'];
+
+// Em quais estágios cada prazo ainda está valendo: o de coleta só conta até a lista ser enviada
+const DEADLINE_STATUSES = {
+    walletDeadline: ['negotiating', 'confirmed', 'collecting'],
+    deliveryDeadline: ['negotiating', 'confirmed', 'collecting', 'submitted']
+};
+
+const DEADLINE_LABELS = {
+    walletDeadline: 'Prazo de coleta',
+    deliveryDeadline: 'Prazo de entrega'
+};
+
+// Status antigos (antes do fluxo) e o estado equivalente
+const LEGACY_STATUSES = {
+    active: 'collecting',
+    paused: 'negotiating',
+    completed: 'delivered'
+};
+
+const DEFAULT_STATUS = 'negotiating';
+
+function canTransition(from, to) {
+    return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+function transitionError(from, to) {
+    const allowed = STATUS_TRANSITIONS[from] || [];
+    return {
+        field: 'status',
+        code: 'transition',
+        message: allowed.length > 0
+            ? `Não é possível passar de "${STATUS_LABELS[from]}" para "${STATUS_LABELS[to]}". Próximos passos: ${allowed.map(s => STATUS_LABELS[s]).join(', ')}`
+            : `Parceria "${STATUS_LABELS[from]}" não muda mais de status`
+    };
+}
+
+function isWalletLocked(partnership) {
+    return WALLET_LOCKED_STATUSES.includes(partnership.status);
+}
+
+// Prazos são datas (AAAA-MM-DD) e vencem no fim do dia (UTC)
+function today(now = new Date()) {
+    return now.toISOString().split('T')[0];
+}
+
+// Prazos vencidos que ainda valem no estágio atual da parceria
+function overdueDeadlines(partnership, now = new Date()) {
+    const date = today(now);
+    return Object.keys(DEADLINE_STATUSES).filter(field =>
+        partnership[field] && partnership[field] < date
+        && DEADLINE_STATUSES[field].includes(partnership.status));
+}
+
+// Instante em que o prazo vence (fim do dia, UTC)
+function deadlineEnd(date) {
+    return Date.parse(`${date}T23:59:59.999Z`);
+}
+
+// Prazos que ainda valem no estágio atual e vencem nas próximas `hours` horas
+function upcomingDeadlines(partnership, hours, now = Date.now()) {
+    return Object.keys(DEADLINE_STATUSES).filter(field => {
+        if (!partnership[field] || !DEADLINE_STATUSES[field].includes(partnership.status)) {
+            return false;
+        }
+        const remaining = deadlineEnd(partnership[field]) - now;
+        return remaining > 0 && remaining <= hours * 60 * 60 * 1000;
+    });
+}
+
+// Parceria nova começa em DEFAULT_STATUS ou num dos próximos passos dele
+function initialStatusErrors(partnership) {
+    const { status } = partnership;
+    if (!status || canTransition(DEFAULT_STATUS, status)) {
+        return [];
+    }
+    const allowed = [DEFAULT_STATUS, ...STATUS_TRANSITIONS[DEFAULT_STATUS]];
+    return [{
+        field: 'status',
+        code: 'transition',
+        message: `Parceria nova não pode começar como "${STATUS_LABELS[status]}". Use: ${allowed.map(s => STATUS_LABELS[s]).join(', ')}`
+    }];
+}
+
+// A entrega não pode ser antes do fim da coleta
+function deadlineErrors(partnership) {
+    const { walletDeadline, deliveryDeadline } = partnership;
+    if (walletDeadline && deliveryDeadline && deliveryDeadline < walletDeadline) {
+        return [{
+            field: 'deliveryDeadline',
+            code: 'range',
+            message: 'Prazo de entrega não pode ser anterior ao prazo de coleta'
+        }];
+    }
+    return [];
+}
+
+// Registro de quem mudou o status e quando
+function statusChange(from, to, user, timestamp) {
+    return {
+        from,
+        to,
+        by: user.name,
+        byEmail: user.email,
+        at: timestamp
+    };
+}
+
+// Converte status antigos e garante o registro de mudanças; retorna true se alterou
+function migrateStatus(partnership) {
+    let changed = false;
+
+    if (!PARTNERSHIP_STATUSES.includes(partnership.status)) {
+        partnership.status = LEGACY_STATUSES[partnership.status] || DEFAULT_STATUS;
+        changed = true;
+    }
+    if (!Array.isArray(partnership.statusHistory)) {
+        partnership.statusHistory = [];
+        changed = true;
+    }
+
+    return changed;
+}
+
+module.exports = {
+    PARTNERSHIP_STATUSES,
+    STATUS_LABELS,
+    STATUS_TRANSITIONS,
+    WALLET_LOCKED_STATUSES,
+    DEADLINE_STATUSES,
+    DEADLINE_LABELS,
+    DEFAULT_STATUS,
+    canTransition,
+    transitionError,
+    initialStatusErrors,
+    isWalletLocked,
+    overdueDeadlines,
+    deadlineEnd,
+    upcomingDeadlines,
+    deadlineErrors,
+    statusChange,
+    migrateStatus
+};
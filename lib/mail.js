@@ -0,0 +1,92 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Envio de emails. O transporte é escolhido na configuração:
+//   console - imprime a mensagem no log do servidor (padrão, uso local)
+//   file    - acrescenta cada mensagem como uma linha JSON num arquivo (caixa de saída)
+//   smtp    - envia de verdade via pacote opcional nodemailer (SMTP_URL)
+// Qualquer objeto com send(message) também serve como transporte.
+const MAIL_TRANSPORTS = ['console', 'file', 'smtp'];
+
+function consoleTransport() {
+    return {
+        async send(message) {
+            console.log(`📧 Email para ${message.to}: ${message.subject}\n${message.text}`);
+        }
+    };
+}
+
+function fileTransport(file) {
+    return {
+        async send(message) {
+            await fs.ensureDir(path.dirname(file));
+            await fs.appendFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+        }
+    };
+}
+
+// nodemailer é opcional: só é exigido quando o transporte smtp é escolhido
+function smtpTransport(url) {
+    let nodemailer;
+    try {
+        nodemailer = require('nodemailer');
+    } catch (error) {
+        throw new Error('O transporte smtp precisa do pacote nodemailer (npm install nodemailer)');
+    }
+    if (!url) {
+        throw new Error('Defina SMTP_URL para usar o transporte smtp');
+    }
+
+    const transporter = nodemailer.createTransport(url);
+    return {
+        send: message => transporter.sendMail(message)
+    };
+}
+
+function createMailer({ transport = 'console', from, outboxFile, smtpUrl } = {}) {
+    let sender;
+    if (transport && typeof transport.send === 'function') {
+        sender = transport;
+    } else if (transport === 'console') {
+        sender = consoleTransport();
+    } else if (transport === 'file') {
+        sender = fileTransport(outboxFile);
+    } else if (transport === 'smtp') {
+        sender = smtpTransport(smtpUrl);
+    } else {
+        throw new Error(`Transporte de email inválido: ${transport}. Use: ${MAIL_TRANSPORTS.join(', ')}`);
+    }
+
+    return {
+        name: typeof transport === 'string' ? transport : 'custom',
+        send: ({ to, subject, text }) => sender.send({ from, to, subject, text })
+    };
+}
+
+// Mensagem com o link de redefinição de senha
+function passwordResetEmail({ user, url, expiresAt, requestedBy = null }) {
+    const intro = requestedBy
+        ? `${requestedBy} pediu a redefinição da sua senha no WLs Manager.`
+        : 'Recebemos um pedido para redefinir a sua senha no WLs Manager.';
+
+    return {
+        to: user.email,
+        subject: 'Redefinição de senha - WLs Manager',
+        text: [
+            `Olá, ${user.name}!`,
+            '',
+            intro,
+            'Para criar uma nova senha, acesse:',
+            url,
+            '',
+            `O link vale até ${new Date(expiresAt).toLocaleString('pt-BR')} e só pode ser usado uma vez.`,
+            'Se você não esperava este email, ignore-o: sua senha continua a mesma.'
+        ].join('\n')
+    };
+}
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    createMailer,
+    passwordResetEmail
+};
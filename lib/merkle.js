@@ -0,0 +1,53 @@
+const { keccak256, concat, getBytes } = require('ethers');
+
+// Hash de um par com os nós ordenados (compatível com MerkleProof.verify da OpenZeppelin)
+function hashPair(a, b) {
+    return Buffer.compare(Buffer.from(getBytes(a)), Buffer.from(getBytes(b))) <= 0
+        ? keccak256(concat([a, b]))
+        : keccak256(concat([b, a]));
+}
+
+// Monta a árvore a partir das folhas (bytes já codificados de cada endereço).
+// Nó ímpar no fim de um nível sobe sem ser duplicado.
+function buildMerkleTree(leafBytes) {
+    const leaves = leafBytes.map(bytes => keccak256(bytes));
+    const layers = [leaves];
+
+    while (layers[layers.length - 1].length > 1) {
+        const level = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        layers.push(next);
+    }
+
+    const root = leaves.length > 0 ? layers[layers.length - 1][0] : keccak256('0x');
+
+    // Prova de cada folha: irmãos do nível mais baixo até a raiz
+    const proofs = leaves.map((leaf, leafIndex) => {
+        const proof = [];
+        let index = leafIndex;
+        for (let depth = 0; depth < layers.length - 1; depth++) {
+            const level = layers[depth];
+            const sibling = index % 2 === 0 ? index + 1 : index - 1;
+            if (sibling < level.length) {
+                proof.push(level[sibling]);
+            }
+            index = Math.floor(index / 2);
+        }
+        return proof;
+    });
+
+    return { root, leaves, proofs };
+}
+
+// Confere uma prova contra a raiz
+function verifyProof(leaf, proof, root) {
+    return proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf) === root;
+}
+
+module.exports = {
+    buildMerkleTree,
+    verifyProof
+};
@@ -0,0 +1,441 @@
+const http = require('http');
+const https = require('https');
+const { formatUnits } = require('ethers');
+const { EVM_NETWORKS, validateAddress, addressKey } = require('./wallets');
+
+// Verificação on-chain das wallets coletadas: consulta um RPC (JSON-RPC) de cada rede
+// EVM e confere saldo, número de transações e posse de um token/NFT contra as regras
+// da parceria. Os dados consultados ficam guardados; aprovado/reprovado é calculado na
+// leitura, então mudar as regras não exige consultar de novo (salvo o contrato do token).
+
+// Seletores ERC-20/ERC-721: balanceOf(address) e decimals()
+const BALANCE_OF_SELECTOR = '0x70a08231';
+const DECIMALS_SELECTOR = '0x313ce567';
+
+// Moedas nativas das redes EVM suportadas usam 18 casas
+const NATIVE_DECIMALS = 18;
+
+// Valor decimal positivo, ex.: 0.05
+const DECIMAL_PATTERN = /^\d{1,30}(\.\d{1,18})?$/;
+const MAX_TX_COUNT = 1000000;
+const MAX_TOKEN_DECIMALS = 36;
+
+// Até quantas verificações rodam ao mesmo tempo no servidor
+const MAX_RUNNING_JOBS = 3;
+
+// Variável de ambiente com o RPC de cada rede: RPC_URL_ETHEREUM, RPC_URL_BNB_CHAIN...
+function rpcEnvName(network) {
+    return `RPC_URL_${network.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+// Redes com RPC configurado: { Ethereum: 'https://...' }
+function rpcUrlsFromEnv(env) {
+    const urls = {};
+    EVM_NETWORKS.forEach(network => {
+        const url = String(env[rpcEnvName(network)] || '').trim();
+        if (url) {
+            urls[network] = url;
+        }
+    });
+    return urls;
+}
+
+// Confere as regras de elegibilidade. Sem nenhuma regra preenchida, o valor é null
+// (verificação desligada na parceria). Retorna { value } ou { error }.
+function normalizeEligibilityRules(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'As regras devem ser um objeto' };
+    }
+
+    const present = value => value !== undefined && value !== null && String(value).trim() !== '';
+    const rules = { minBalance: null, minTxCount: null, tokenContract: null, minTokenBalance: null };
+
+    if (present(input.minBalance)) {
+        rules.minBalance = String(input.minBalance).trim();
+        if (!DECIMAL_PATTERN.test(rules.minBalance)) {
+            return { error: 'Saldo mínimo inválido (ex.: 0.05)' };
+        }
+    }
+
+    if (present(input.minTxCount)) {
+        rules.minTxCount = Number(input.minTxCount);
+        if (!Number.isInteger(rules.minTxCount) || rules.minTxCount < 1 || rules.minTxCount > MAX_TX_COUNT) {
+            return { error: `O mínimo de transações deve ser de 1 a ${MAX_TX_COUNT}` };
+        }
+    }
+
+    if (present(input.tokenContract)) {
+        const result = validateAddress(input.tokenContract, 'Ethereum');
+        if (!result.valid) {
+            return { error: `Contrato do token inválido: ${result.reason}` };
+        }
+        rules.tokenContract = result.address;
+        rules.minTokenBalance = present(input.minTokenBalance) ? String(input.minTokenBalance).trim() : '1';
+        if (!DECIMAL_PATTERN.test(rules.minTokenBalance)) {
+            return { error: 'Quantidade mínima do token inválida (ex.: 1)' };
+        }
+    } else if (present(input.minTokenBalance)) {
+        return { error: 'Informe o contrato do token junto com a quantidade mínima' };
+    }
+
+    const empty = Object.values(rules).every(value => value === null);
+    return { value: empty ? null : rules };
+}
+
+// "1.5" com 18 casas -> 1500000000000000000n. Casas além das do token arredondam para
+// cima: pedir 0.5 de um NFT (0 casas) exige 1.
+function toUnits(value, decimals) {
+    const [whole, fraction = ''] = value.split('.');
+    const units = BigInt(whole + fraction.slice(0, decimals).padEnd(decimals, '0'));
+    return /[1-9]/.test(fraction.slice(decimals)) ? units + 1n : units;
+}
+
+function hexToBigInt(value) {
+    if (typeof value !== 'string' || !/^0x[0-9a-f]+$/i.test(value)) {
+        throw new Error('Resposta inválida do RPC');
+    }
+    return BigInt(value);
+}
+
+// POST JSON e leitura da resposta em JSON; rejeita em erro de rede, HTTP fora de 2xx ou JSON inválido
+function postJson(url, payload, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const body = JSON.stringify(payload);
+        let request;
+        try {
+            const target = new URL(url);
+            request = (target.protocol === 'https:' ? https : http).request(target, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+                timeout: timeoutMs
+            }, response => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('error', reject);
+                response.on('end', () => {
+                    if (response.statusCode < 200 || response.statusCode >= 300) {
+                        reject(new Error(`HTTP ${response.statusCode}`));
+                        return;
+                    }
+                    try {
+                        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                    } catch (error) {
+                        reject(new Error('Resposta do RPC não é JSON'));
+                    }
+                });
+            });
+        } catch (error) {
+            reject(error);
+            return;
+        }
+
+        request.on('timeout', () => request.destroy(new Error(`Sem resposta em ${timeoutMs} ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// Várias chamadas numa requisição só (batch JSON-RPC). Retorna, na ordem das chamadas,
+// { result } ou { error } com a mensagem do RPC.
+async function rpcBatch(url, calls, timeoutMs) {
+    const response = await postJson(url, calls.map(([method, params], id) => ({ jsonrpc: '2.0', id, method, params })), timeoutMs);
+    if (!Array.isArray(response)) {
+        throw new Error((response && response.error && response.error.message) || 'O RPC não aceitou chamadas em lote');
+    }
+
+    const byId = new Map(response.map(item => [item.id, item]));
+    return calls.map((call, id) => {
+        const item = byId.get(id);
+        if (!item) {
+            return { error: 'Sem resposta do RPC' };
+        }
+        if (item.error) {
+            return { error: item.error.message || 'Erro do RPC' };
+        }
+        return { result: item.result };
+    });
+}
+
+function balanceOfCall(contract, address) {
+    return ['eth_call', [{ to: contract, data: `${BALANCE_OF_SELECTOR}${address.slice(2).toLowerCase().padStart(64, '0')}` }, 'latest']];
+}
+
+function checkId(partnershipId, address, network) {
+    return `${partnershipId}:${addressKey(address, network)}`;
+}
+
+function sameContract(a, b) {
+    return String(a || '').toLowerCase() === String(b || '').toLowerCase();
+}
+
+// Resultado de uma wallet contra as regras:
+//   pass / fail - verificada; `reasons` diz o que faltou
+//   error       - a consulta falhou
+//   pending     - ainda não verificada (ou verificada com outro contrato de token)
+function evaluateWallet(rules, check) {
+    if (!check || (rules.tokenContract && !sameContract(check.tokenContract, rules.tokenContract))) {
+        return { status: 'pending', reasons: [] };
+    }
+    if (check.error) {
+        return { status: 'error', reasons: [check.error] };
+    }
+
+    const reasons = [];
+    if (rules.minBalance !== null && BigInt(check.balance) < toUnits(rules.minBalance, NATIVE_DECIMALS)) {
+        reasons.push(`Saldo abaixo de ${rules.minBalance}`);
+    }
+    if (rules.minTxCount !== null && check.txCount < rules.minTxCount) {
+        reasons.push(`Menos de ${rules.minTxCount} transação(ões)`);
+    }
+    if (rules.tokenContract && BigInt(check.tokenBalance) < toUnits(rules.minTokenBalance, check.tokenDecimals)) {
+        reasons.push(`Menos de ${rules.minTokenBalance} do token`);
+    }
+    return { status: reasons.length > 0 ? 'fail' : 'pass', reasons };
+}
+
+// Verificações em segundo plano. `checks` é a coleção do armazenamento.
+//   configured(network)      - se a rede tem RPC
+//   start(partnership, opts) - começa a verificar as wallets; { job } ou { error }
+//   report(partnership)      - regras, última verificação e resultado de cada wallet
+//   forget(partnershipIds)   - apaga os resultados guardados (parcerias removidas)
+function createEligibilityChecker({
+    checks,
+    rpcUrls = {},
+    timeoutMs = 10 * 1000,
+    cacheMinutes = 60,
+    batchSize = 25
+}) {
+    // Última verificação de cada parceria (em andamento ou concluída)
+    const jobs = new Map();
+    const cacheMs = cacheMinutes * 60 * 1000;
+
+    function runningJobs() {
+        return Array.from(jobs.values()).filter(job => job.status === 'running').length;
+    }
+
+    // Resultado guardado ainda serve: recente, sem erro e com o mesmo contrato de token
+    function isFresh(check, rules, now) {
+        return Boolean(check)
+            && !check.error
+            && now - Date.parse(check.checkedAt) < cacheMs
+            && (!rules.tokenContract || sameContract(check.tokenContract, rules.tokenContract));
+    }
+
+    async function save(records) {
+        const existing = records.filter(record => checks.get(record.id));
+        const created = records.filter(record => !checks.get(record.id));
+        if (existing.length > 0) {
+            await checks.update(existing);
+        }
+        if (created.length > 0) {
+            await checks.insert(created);
+        }
+    }
+
+    // Consulta um lote de wallets. `token` guarda as casas decimais, lidas uma vez por verificação.
+    async function checkBatch(url, wallets, rules, token) {
+        const calls = [];
+        if (rules.tokenContract && token.decimals === null) {
+            calls.push(['eth_call', [{ to: rules.tokenContract, data: DECIMALS_SELECTOR }, 'latest']]);
+        }
+        wallets.forEach(wallet => {
+            calls.push(['eth_getBalance', [wallet.address, 'latest']]);
+            calls.push(['eth_getTransactionCount', [wallet.address, 'latest']]);
+            if (rules.tokenContract) {
+                calls.push(balanceOfCall(rules.tokenContract, wallet.address));
+            }
+        });
+
+        const results = await rpcBatch(url, calls, timeoutMs);
+        if (rules.tokenContract && token.decimals === null) {
+            // Contratos sem decimals() (NFTs ERC-721) contam em unidades inteiras
+            const decimals = results.shift();
+            token.decimals = decimals.error || decimals.result === '0x' ? 0 : Number(hexToBigInt(decimals.result));
+            if (token.decimals > MAX_TOKEN_DECIMALS) {
+                throw new Error('o contrato do token retornou decimals() inválido');
+            }
+        }
+
+        const perWallet = rules.tokenContract ? 3 : 2;
+        return wallets.map((wallet, index) => {
+            const [balance, txCount, tokenBalance] = results.slice(index * perWallet, (index + 1) * perWallet);
+            const failed = [balance, txCount, tokenBalance].find(result => result && result.error);
+            if (failed) {
+                return { error: `Erro do RPC: ${failed.error}` };
+            }
+            try {
+                return {
+                    balance: hexToBigInt(balance.result).toString(),
+                    txCount: Number(hexToBigInt(txCount.result)),
+                    tokenBalance: tokenBalance ? hexToBigInt(tokenBalance.result).toString() : null,
+                    tokenDecimals: tokenBalance ? token.decimals : null
+                };
+            } catch (error) {
+                return { error: error.message };
+            }
+        });
+    }
+
+    async function run(job, partnership, { force, onProgress }) {
+        const network = partnership.network || 'Ethereum';
+        const rules = partnership.eligibilityRules;
+        const wallets = partnership.collectedWallets || [];
+        const now = Date.now();
+
+        const pending = wallets.filter(wallet => force || !isFresh(checks.get(checkId(partnership.id, wallet.address, network)), rules, now));
+        job.total = pending.length;
+        job.cached = wallets.length - pending.length;
+
+        // Resultados de wallets que saíram da lista não servem mais
+        const current = new Set(wallets.map(wallet => checkId(partnership.id, wallet.address, network)));
+        const removed = checks.where('partnershipId', partnership.id).filter(check => !current.has(check.id));
+        if (removed.length > 0) {
+            await checks.remove(removed.map(check => check.id));
+        }
+
+        const token = { decimals: null };
+        for (let start = 0; start < pending.length; start += batchSize) {
+            const batch = pending.slice(start, start + batchSize);
+            let data;
+            try {
+                data = await checkBatch(rpcUrls[network], batch, rules, token);
+            } catch (error) {
+                data = batch.map(() => ({ error: `RPC indisponível: ${error.message}` }));
+            }
+
+            const checkedAt = new Date().toISOString();
+            await save(batch.map((wallet, index) => ({
+                id: checkId(partnership.id, wallet.address, network),
+                partnershipId: partnership.id,
+                address: wallet.address,
+                network,
+                balance: null,
+                txCount: null,
+                tokenContract: rules.tokenContract,
+                tokenBalance: null,
+                tokenDecimals: null,
+                error: null,
+                ...data[index],
+                checkedAt
+            })));
+
+            job.done += batch.length;
+            job.errors += data.filter(item => item.error).length;
+            if (onProgress) onProgress(job);
+        }
+    }
+
+    function publicJob(job) {
+        return job ? { ...job } : null;
+    }
+
+    return {
+        networks: Object.keys(rpcUrls),
+
+        configured(network) {
+            return Boolean(rpcUrls[network || 'Ethereum']);
+        },
+
+        start(partnership, { force = false, user, onProgress, onFinish } = {}) {
+            const network = partnership.network || 'Ethereum';
+            if (!EVM_NETWORKS.includes(network)) {
+                return { error: `A verificação on-chain só funciona em redes EVM (${EVM_NETWORKS.join(', ')})`, code: 'unsupported' };
+            }
+            if (!rpcUrls[network]) {
+                return { error: `Nenhum RPC configurado para a rede ${network}`, code: 'notConfigured' };
+            }
+            if (!partnership.eligibilityRules) {
+                return { error: 'Defina as regras de elegibilidade antes de verificar', code: 'noRules' };
+            }
+            if ((partnership.collectedWallets || []).length === 0) {
+                return { error: 'A parceria ainda não tem wallets para verificar', code: 'empty' };
+            }
+            const previous = jobs.get(partnership.id);
+            if (previous && previous.status === 'running') {
+                return { error: 'Já existe uma verificação em andamento para esta parceria', code: 'running', job: publicJob(previous) };
+            }
+            if (runningJobs() >= MAX_RUNNING_JOBS) {
+                return { error: 'Muitas verificações em andamento. Tente novamente em instantes.', code: 'busy' };
+            }
+
+            const job = {
+                partnershipId: partnership.id,
+                status: 'running',
+                force,
+                total: 0,
+                done: 0,
+                cached: 0,
+                errors: 0,
+                error: null,
+                startedAt: new Date().toISOString(),
+                startedBy: user ? user.name : null,
+                finishedAt: null
+            };
+            jobs.set(partnership.id, job);
+
+            // Quem pediu não espera a consulta terminar
+            run(job, partnership, { force, onProgress })
+                .then(() => {
+                    job.status = 'done';
+                })
+                .catch(error => {
+                    console.error('❌ Erro na verificação on-chain:', error);
+                    job.status = 'failed';
+                    job.error = error.message;
+                })
+                .finally(() => {
+                    job.finishedAt = new Date().toISOString();
+                    if (onFinish) onFinish(job);
+                });
+
+            return { job: publicJob(job) };
+        },
+
+        report(partnership) {
+            const network = partnership.network || 'Ethereum';
+            const rules = partnership.eligibilityRules || null;
+            const summary = { pass: 0, fail: 0, error: 0, pending: 0 };
+
+            const wallets = (partnership.collectedWallets || []).map(wallet => {
+                const check = checks.get(checkId(partnership.id, wallet.address, network));
+                const result = rules ? evaluateWallet(rules, check) : { status: 'pending', reasons: [] };
+                summary[result.status] += 1;
+                const verified = check && !check.error;
+                return {
+                    address: wallet.address,
+                    ...result,
+                    balance: verified ? formatUnits(check.balance, NATIVE_DECIMALS) : null,
+                    txCount: verified ? check.txCount : null,
+                    tokenBalance: verified && check.tokenBalance !== null ? formatUnits(check.tokenBalance, check.tokenDecimals) : null,
+                    checkedAt: check ? check.checkedAt : null
+                };
+            });
+
+            return {
+                configured: Boolean(rpcUrls[network]),
+                network,
+                rules,
+                cacheMinutes,
+                job: publicJob(jobs.get(partnership.id)),
+                summary,
+                wallets
+            };
+        },
+
+        async forget(partnershipIds) {
+            const stale = partnershipIds.flatMap(id => checks.where('partnershipId', id));
+            partnershipIds.forEach(id => jobs.delete(id));
+            if (stale.length > 0) {
+                await checks.remove(stale.map(check => check.id));
+            }
+        }
+    };
+}
+
+module.exports = {
+    rpcEnvName,
+    rpcUrlsFromEnv,
+    normalizeEligibilityRules,
+    evaluateWallet,
+    createEligibilityChecker
+};
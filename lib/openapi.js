@@ -0,0 +1,499 @@
+const { PARTNERSHIP_SCHEMA, SERVER_OWNED_FIELDS } = require('./schema');
+const { NETWORKS } = require('./wallets');
+const { PARTNERSHIP_STATUSES } = require('./lifecycle');
+const { ROLES, COLLABORATOR_ACCESS } = require('./policy');
+const { SORT_FIELDS, DEADLINE_FILTERS } = require('./search');
+const { ANALYTICS_PERIODS, ANALYTICS_GROUPS } = require('./analytics');
+const { EXPORT_FORMATS } = require('./export');
+const { IMPORT_FORMATS, IMPORT_STRATEGIES } = require('./import');
+const { WEBHOOK_EVENTS, WEBHOOK_FORMATS } = require('./webhooks');
+const { API_TOKEN_SCOPES, API_TOKEN_SCOPE_LABELS } = require('./tokens');
+
+// Documento OpenAPI 3.0 da API REST, servido em /api/openapi.json. As rotas são
+// descritas na tabela abaixo; o esquema das parcerias vem de lib/schema.js, então
+// campos novos aparecem aqui sem outra alteração.
+//
+// auth de cada rota:
+//   public  - sem autenticação
+//   read    - login ou token de API (qualquer escopo)
+//   wallets - login ou token de API com escopo wallets ou admin
+//   write   - login ou token de API com escopo admin
+//   admin   - admin com 2FA confirmado, ou token de API com escopo admin
+//   session - só login (tokens de API não acessam a conta)
+//   bot     - BOT_API_TOKEN
+
+const TAGS = [
+    { name: 'Conta', description: 'Login, sessões, senha, 2FA e tokens de API' },
+    { name: 'Parcerias', description: 'Parcerias, wallets, histórico e colaboradores' },
+    { name: 'Wallets', description: 'Duplicadas e exportação entre parcerias' },
+    { name: 'Lixeira', description: 'Parcerias apagadas' },
+    { name: 'Administração', description: 'Usuários, acessos, webhooks e analytics' },
+    { name: 'Links de envio', description: 'Envio de wallets pela comunidade parceira, sem conta' },
+    { name: 'Bot', description: 'Comandos para o bot do Discord' },
+    { name: 'Servidor', description: 'Status e este documento' }
+];
+
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+function enumParam(name, values, description) {
+    return { name, in: 'query', description, schema: { type: 'string', enum: values } };
+}
+
+function queryParam(name, description, schema = { type: 'string' }) {
+    return { name, in: 'query', description, schema };
+}
+
+function objectSchema(properties, required = []) {
+    return required.length > 0 ? { type: 'object', properties, required } : { type: 'object', properties };
+}
+
+const CODE = { type: 'string', description: 'Código do app autenticador ou de recuperação' };
+
+const LIST_PARTNERSHIPS_QUERY = [
+    queryParam('q', 'Busca no nome e na descrição'),
+    queryParam('wallet', 'Parcerias que contêm esta wallet'),
+    queryParam('network', `Uma ou mais redes, separadas por vírgula (${NETWORKS.join(', ')})`),
+    queryParam('status', `Um ou mais status, separados por vírgula (${PARTNERSHIP_STATUSES.join(', ')})`),
+    queryParam('creator', 'Email de quem criou, ou "me"'),
+    enumParam('deadline', DEADLINE_FILTERS, 'Prazos vencidos ou por tipo de prazo'),
+    queryParam('createdFrom', 'Criadas a partir de (AAAA-MM-DD)', { type: 'string', format: 'date' }),
+    queryParam('createdTo', 'Criadas até (AAAA-MM-DD)', { type: 'string', format: 'date' }),
+    queryParam('updatedFrom', 'Alteradas a partir de (AAAA-MM-DD)', { type: 'string', format: 'date' }),
+    queryParam('updatedTo', 'Alteradas até (AAAA-MM-DD)', { type: 'string', format: 'date' }),
+    enumParam('sort', Object.keys(SORT_FIELDS), 'Ordenação (padrão: createdAt)'),
+    enumParam('order', ['asc', 'desc'], 'Direção da ordenação'),
+    queryParam('page', 'Página (ativa a paginação)', { type: 'integer', minimum: 1 }),
+    queryParam('pageSize', 'Itens por página (máximo 100)', { type: 'integer', minimum: 1, maximum: 100 })
+];
+
+const OVERRIDE_QUOTA = queryParam('overrideQuota', 'Admins podem ultrapassar a cota de WLs', { type: 'boolean' });
+
+const IMPORT_BODY = objectSchema({
+    format: { type: 'string', enum: IMPORT_FORMATS },
+    content: { type: 'string', description: 'Conteúdo do arquivo' },
+    walletStrategy: { type: 'string', enum: IMPORT_STRATEGIES, default: 'merge' },
+    dryRun: { type: 'boolean', default: true, description: 'Só mostra o que seria feito' }
+}, ['format', 'content']);
+
+const ROLE_BODY = objectSchema({ role: { type: 'string', enum: ROLES } }, ['role']);
+
+const ROUTES = [
+    // Conta
+    ['post', '/api/auth/register', 'Conta', 'Criar conta (email liberado por um admin)', {
+        auth: 'public',
+        body: objectSchema({ email: { type: 'string' }, password: { type: 'string' }, name: { type: 'string' } }, ['email', 'password', 'name'])
+    }],
+    ['post', '/api/auth/login', 'Conta', 'Entrar com email e senha', {
+        auth: 'public',
+        body: objectSchema({ email: { type: 'string' }, password: { type: 'string' } }, ['email', 'password'])
+    }],
+    ['post', '/api/auth/login/2fa', 'Conta', 'Concluir o login com o segundo fator', {
+        auth: 'public',
+        body: objectSchema({ challengeToken: { type: 'string' }, code: CODE }, ['challengeToken', 'code'])
+    }],
+    ['get', '/api/auth/verify', 'Conta', 'Usuário (e token de API) da requisição', { auth: 'read' }],
+    ['post', '/api/auth/refresh', 'Conta', 'Renovar o token de acesso', {
+        auth: 'public',
+        body: objectSchema({ refreshToken: { type: 'string' } }, ['refreshToken'])
+    }],
+    ['post', '/api/auth/logout', 'Conta', 'Encerrar a sessão', {
+        auth: 'public',
+        body: objectSchema({ refreshToken: { type: 'string' } })
+    }],
+    ['get', '/api/auth/sessions', 'Conta', 'Sessões abertas', { auth: 'session' }],
+    ['delete', '/api/auth/sessions/:id', 'Conta', 'Encerrar uma sessão', { auth: 'session' }],
+    ['get', '/api/auth/tokens', 'Conta', 'Tokens de API', { auth: 'session' }],
+    ['post', '/api/auth/tokens', 'Conta', 'Criar token de API (o valor só aparece na resposta)', {
+        auth: 'session',
+        body: ref('ApiTokenInput')
+    }],
+    ['delete', '/api/auth/tokens/:id', 'Conta', 'Revogar token de API', { auth: 'session' }],
+    ['put', '/api/auth/profile', 'Conta', 'Alterar o nome de exibição', {
+        auth: 'session',
+        body: objectSchema({ name: { type: 'string' } }, ['name'])
+    }],
+    ['post', '/api/auth/password', 'Conta', 'Trocar a senha', {
+        auth: 'session',
+        body: objectSchema({ currentPassword: { type: 'string' }, newPassword: { type: 'string' } }, ['newPassword'])
+    }],
+    ['post', '/api/auth/password-reset', 'Conta', 'Pedir o link de redefinição de senha', {
+        auth: 'public',
+        body: objectSchema({ email: { type: 'string' } }, ['email'])
+    }],
+    ['get', '/api/auth/password-reset/:token', 'Conta', 'Conferir um link de redefinição', { auth: 'public' }],
+    ['post', '/api/auth/password-reset/:token', 'Conta', 'Definir a nova senha', {
+        auth: 'public',
+        body: objectSchema({ password: { type: 'string' } }, ['password'])
+    }],
+    ['get', '/api/auth/2fa', 'Conta', 'Situação da verificação em duas etapas', { auth: 'session' }],
+    ['post', '/api/auth/2fa/setup', 'Conta', 'Gerar segredo e QR code do 2FA', { auth: 'session' }],
+    ['post', '/api/auth/2fa/enable', 'Conta', 'Ativar o 2FA', { auth: 'session', body: objectSchema({ code: CODE }, ['code']) }],
+    ['post', '/api/auth/2fa/recovery-codes', 'Conta', 'Gerar novos códigos de recuperação', {
+        auth: 'session',
+        body: objectSchema({ code: CODE }, ['code'])
+    }],
+    ['post', '/api/auth/2fa/disable', 'Conta', 'Desativar o 2FA', { auth: 'session', body: objectSchema({ code: CODE }, ['code']) }],
+    ['post', '/api/auth/siwe/nonce', 'Conta', 'Mensagem para entrar com a carteira (SIWE)', {
+        auth: 'public',
+        body: objectSchema({ address: { type: 'string' }, chainId: { type: 'integer', default: 1 } }, ['address'])
+    }],
+    ['post', '/api/auth/siwe/login', 'Conta', 'Entrar com a mensagem assinada', {
+        auth: 'public',
+        body: objectSchema({ message: { type: 'string' }, signature: { type: 'string' } }, ['message', 'signature'])
+    }],
+    ['put', '/api/auth/wallet', 'Conta', 'Vincular carteira à conta', {
+        auth: 'session',
+        body: objectSchema({ message: { type: 'string' }, signature: { type: 'string' } }, ['message', 'signature'])
+    }],
+    ['delete', '/api/auth/wallet', 'Conta', 'Desvincular a carteira', { auth: 'session' }],
+
+    // Parcerias
+    ['get', '/api/lifecycle', 'Parcerias', 'Status, transições e prazos', { auth: 'read' }],
+    ['get', '/api/partnerships', 'Parcerias', 'Listar e filtrar parcerias', { auth: 'read', query: LIST_PARTNERSHIPS_QUERY }],
+    ['get', '/api/partnerships/:id', 'Parcerias', 'Detalhes de uma parceria (ETag)', { auth: 'read', response: ref('Partnership') }],
+    ['get', '/api/quota', 'Parcerias', 'Cota de wallets das parcerias', {
+        auth: 'read',
+        query: [queryParam('partnershipId', 'Só esta parceria')]
+    }],
+    ['post', '/api/partnerships', 'Parcerias', 'Criar parceria', {
+        auth: 'write',
+        query: [OVERRIDE_QUOTA],
+        body: ref('PartnershipInput'),
+        response: ref('Partnership')
+    }],
+    ['put', '/api/partnerships/:id', 'Parcerias', 'Alterar parceria (envie If-Match para evitar sobrescrever)', {
+        auth: 'write',
+        query: [OVERRIDE_QUOTA],
+        body: ref('PartnershipInput'),
+        response: ref('Partnership')
+    }],
+    ['delete', '/api/partnerships/:id', 'Parcerias', 'Mover parceria para a lixeira', { auth: 'write' }],
+    ['delete', '/api/partnerships', 'Parcerias', 'Mover todas as parcerias para a lixeira', { auth: 'admin' }],
+    ['post', '/api/partnerships/import', 'Parcerias', 'Importar parcerias de CSV ou JSON', { auth: 'write', body: IMPORT_BODY }],
+    ['patch', '/api/partnerships/:id/wallets', 'Parcerias', 'Adicionar e remover wallets', {
+        auth: 'wallets',
+        query: [OVERRIDE_QUOTA],
+        body: objectSchema({ add: ref('WalletList'), remove: ref('WalletList') })
+    }],
+    ['post', '/api/partnerships/:id/wallets/import', 'Parcerias', 'Importar wallets de um arquivo', {
+        auth: 'wallets',
+        query: [OVERRIDE_QUOTA],
+        body: IMPORT_BODY
+    }],
+    ['get', '/api/partnerships/:id/history', 'Parcerias', 'Histórico de alterações', { auth: 'read' }],
+    ['post', '/api/partnerships/:id/revert', 'Parcerias', 'Voltar a uma versão do histórico', {
+        auth: 'write',
+        body: objectSchema({ historyId: { type: 'string' } }, ['historyId'])
+    }],
+    ['get', '/api/partnerships/:id/export', 'Parcerias', 'Exportar as wallets da parceria', {
+        auth: 'read',
+        query: [enumParam('format', EXPORT_FORMATS, 'Formato (padrão: csv)')]
+    }],
+    ['put', '/api/partnerships/:id/collaborators/:email', 'Parcerias', 'Adicionar ou alterar colaborador', {
+        auth: 'write',
+        body: objectSchema({ access: { type: 'string', enum: COLLABORATOR_ACCESS } }, ['access'])
+    }],
+    ['delete', '/api/partnerships/:id/collaborators/:email', 'Parcerias', 'Remover colaborador', { auth: 'write' }],
+    ['get', '/api/partnerships/:id/eligibility', 'Parcerias', 'Regras e resultado da verificação on-chain das wallets', { auth: 'read' }],
+    ['put', '/api/partnerships/:id/eligibility/rules', 'Parcerias', 'Definir as regras de elegibilidade (todas vazias desligam)', {
+        auth: 'write',
+        body: ref('EligibilityRules')
+    }],
+    ['post', '/api/partnerships/:id/eligibility/check', 'Parcerias', 'Verificar as wallets no RPC da rede (em segundo plano)', {
+        auth: 'write',
+        body: objectSchema({ force: { type: 'boolean', description: 'Consulta de novo mesmo wallets com resultado recente' } })
+    }],
+    ['get', '/api/partnerships/:id/submission-links', 'Links de envio', 'Links públicos de envio da parceria', { auth: 'read' }],
+    ['post', '/api/partnerships/:id/submission-links', 'Links de envio', 'Criar link público (o endereço só aparece na resposta)', {
+        auth: 'write',
+        body: objectSchema({
+            label: { type: 'string', maxLength: 60 },
+            maxSubmissions: { type: 'integer', minimum: 1, description: 'Até o número de WLs; padrão: vagas restantes' },
+            expiresInDays: { type: 'integer', minimum: 1, maximum: 90, default: 7 }
+        })
+    }],
+    ['delete', '/api/partnerships/:id/submission-links/:linkId', 'Links de envio', 'Encerrar link público', { auth: 'write' }],
+    ['get', '/api/public/submissions/:token', 'Links de envio', 'Parceria, rede e vagas do link', { auth: 'public' }],
+    ['post', '/api/public/submissions/:token', 'Links de envio', 'Enviar uma wallet pelo link', {
+        auth: 'public',
+        body: objectSchema({
+            wallet: { type: 'string', description: 'Endereço na rede da parceria' },
+            discord: { type: 'string', description: 'Usuário do Discord (opcional)' }
+        }, ['wallet'])
+    }],
+
+    // Wallets
+    ['get', '/api/wallets/duplicates', 'Wallets', 'Wallets repetidas entre parcerias', {
+        auth: 'read',
+        query: [queryParam('partnershipId', 'Só conflitos desta parceria')]
+    }],
+    ['get', '/api/wallets/export', 'Wallets', 'Exportar wallets de várias parcerias', {
+        auth: 'read',
+        query: [
+            enumParam('format', EXPORT_FORMATS, 'Formato (padrão: csv)'),
+            queryParam('partnershipIds', 'Ids separados por vírgula (padrão: todas)'),
+            enumParam('network', NETWORKS, 'Só esta rede'),
+            enumParam('status', PARTNERSHIP_STATUSES, 'Só este status')
+        ]
+    }],
+
+    // Lixeira
+    ['get', '/api/trash', 'Lixeira', 'Parcerias na lixeira', { auth: 'read' }],
+    ['post', '/api/trash/:id/restore', 'Lixeira', 'Restaurar parceria', { auth: 'write' }],
+    ['post', '/api/trash/batches/:batchId/restore', 'Lixeira', 'Restaurar um lote apagado de uma vez', { auth: 'admin' }],
+
+    // Administração
+    ['get', '/api/admin/users', 'Administração', 'Usuários', { auth: 'admin' }],
+    ['put', '/api/admin/users/:id/role', 'Administração', 'Alterar a função de um usuário', { auth: 'admin', body: ROLE_BODY }],
+    ['get', '/api/admin/users/:id/sessions', 'Administração', 'Sessões de um usuário', { auth: 'admin' }],
+    ['delete', '/api/admin/users/:id/sessions', 'Administração', 'Encerrar as sessões de um usuário', { auth: 'admin' }],
+    ['delete', '/api/admin/users/:id/tokens', 'Administração', 'Revogar os tokens de API de um usuário', { auth: 'admin' }],
+    ['delete', '/api/admin/users/:id/2fa', 'Administração', 'Zerar o 2FA de um usuário', { auth: 'admin' }],
+    ['post', '/api/admin/users/:id/password-reset', 'Administração', 'Enviar link de redefinição de senha', { auth: 'admin' }],
+    ['delete', '/api/admin/sessions/:id', 'Administração', 'Encerrar uma sessão', { auth: 'admin' }],
+    ['get', '/api/admin/allowed-emails', 'Administração', 'Emails liberados', { auth: 'admin' }],
+    ['post', '/api/admin/allowed-emails', 'Administração', 'Liberar email', {
+        auth: 'admin',
+        body: objectSchema({ email: { type: 'string' }, role: { type: 'string', enum: ROLES, default: 'editor' } }, ['email'])
+    }],
+    ['delete', '/api/admin/allowed-emails/:email', 'Administração', 'Remover email liberado', { auth: 'admin' }],
+    ['get', '/api/admin/allowed-wallets', 'Administração', 'Carteiras liberadas', { auth: 'admin' }],
+    ['post', '/api/admin/allowed-wallets', 'Administração', 'Liberar carteira', {
+        auth: 'admin',
+        body: objectSchema({
+            address: { type: 'string' },
+            role: { type: 'string', enum: ROLES, default: 'editor' },
+            name: { type: 'string' }
+        }, ['address'])
+    }],
+    ['delete', '/api/admin/allowed-wallets/:address', 'Administração', 'Remover carteira liberada', { auth: 'admin' }],
+    ['get', '/api/admin/webhooks', 'Administração', 'Webhooks', { auth: 'admin' }],
+    ['post', '/api/admin/webhooks', 'Administração', 'Cadastrar webhook (o segredo só aparece na resposta)', {
+        auth: 'admin',
+        body: ref('WebhookInput')
+    }],
+    ['put', '/api/admin/webhooks/:id', 'Administração', 'Alterar webhook', { auth: 'admin', body: ref('WebhookInput') }],
+    ['delete', '/api/admin/webhooks/:id', 'Administração', 'Remover webhook', { auth: 'admin' }],
+    ['post', '/api/admin/webhooks/:id/secret', 'Administração', 'Trocar o segredo do webhook', { auth: 'admin' }],
+    ['get', '/api/admin/webhooks/:id/deliveries', 'Administração', 'Log de envios do webhook', { auth: 'admin' }],
+    ['post', '/api/admin/webhooks/:id/test', 'Administração', 'Enviar evento de teste', { auth: 'admin' }],
+    ['get', '/api/analytics', 'Administração', 'Analytics das parcerias', {
+        auth: 'admin',
+        query: [
+            enumParam('period', ANALYTICS_PERIODS, 'Agrupamento no tempo (padrão: week)'),
+            enumParam('groupBy', ANALYTICS_GROUPS, 'Quebra das séries'),
+            queryParam('from', 'A partir de (AAAA-MM-DD)', { type: 'string', format: 'date' }),
+            queryParam('to', 'Até (AAAA-MM-DD)', { type: 'string', format: 'date' }),
+            queryParam('top', 'Tamanho dos rankings (1 a 100)', { type: 'integer', minimum: 1, maximum: 100 })
+        ]
+    }],
+
+    // Bot
+    ['get', '/api/bot/partnerships', 'Bot', 'Buscar parcerias pelo nome', {
+        auth: 'bot',
+        query: [queryParam('name', 'Trecho do nome')]
+    }],
+    ['get', '/api/bot/partnerships/:ref', 'Bot', 'Parceria pelo id ou nome exato', { auth: 'bot' }],
+    ['get', '/api/bot/partnerships/:ref/quota', 'Bot', 'Cota da parceria', { auth: 'bot' }],
+    ['post', '/api/bot/partnerships/:ref/wallets', 'Bot', 'Adicionar wallets', {
+        auth: 'bot',
+        body: objectSchema({ wallets: ref('WalletList'), submittedBy: { type: 'string' } }, ['wallets'])
+    }],
+
+    // Servidor
+    ['get', '/api/status', 'Servidor', 'Status do servidor', { auth: 'public' }],
+    ['get', '/api/openapi.json', 'Servidor', 'Este documento', { auth: 'public' }]
+];
+
+const AUTH_NOTES = {
+    read: 'Login ou token de API (qualquer escopo).',
+    wallets: 'Login ou token de API com escopo `wallets` ou `admin`.',
+    write: 'Login ou token de API com escopo `admin`.',
+    admin: 'Administrador com 2FA confirmado, ou token de API com escopo `admin`.',
+    session: 'Só login: tokens de API não acessam as configurações da conta.',
+    bot: 'Token do bot (BOT_API_TOKEN).'
+};
+
+// Regra do esquema (lib/schema.js) como JSON Schema
+function fieldSchema(rule) {
+    switch (rule.type) {
+        case 'integer':
+            return { type: 'integer', minimum: rule.min, maximum: rule.max };
+        case 'date':
+            return { type: 'string', format: 'date', nullable: Boolean(rule.nullable) };
+        case 'wallets':
+            return ref('WalletList');
+        default:
+            return { type: 'string', enum: rule.enum, minLength: rule.minLength, maxLength: rule.maxLength };
+    }
+}
+
+// Sem as chaves undefined
+function compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+function partnershipInputSchema() {
+    const properties = {};
+    const required = [];
+    Object.entries(PARTNERSHIP_SCHEMA).forEach(([field, rule]) => {
+        properties[field] = rule.type === 'wallets' ? fieldSchema(rule) : compact(fieldSchema(rule));
+        if (rule.required) {
+            required.push(field);
+        }
+    });
+    return {
+        ...objectSchema(properties, required),
+        description: `Campos aceitos ao criar/alterar. Na alteração todos são opcionais. Ignorados: ${SERVER_OWNED_FIELDS.join(', ')}.`
+    };
+}
+
+const SCHEMAS = {
+    Error: objectSchema({
+        success: { type: 'boolean', example: false },
+        message: { type: 'string' },
+        errors: {
+            type: 'array',
+            items: objectSchema({ field: { type: 'string' }, code: { type: 'string' }, message: { type: 'string' } })
+        }
+    }, ['success', 'message']),
+    WalletList: {
+        description: 'Texto com uma wallet por linha, ou uma lista',
+        oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }]
+    },
+    Wallet: objectSchema({
+        address: { type: 'string' },
+        addedBy: { type: 'string' },
+        addedByEmail: { type: 'string', nullable: true },
+        addedAt: { type: 'string', format: 'date-time' }
+    }),
+    PartnershipInput: partnershipInputSchema(),
+    Partnership: objectSchema({
+        ...partnershipInputSchema().properties,
+        id: { type: 'string' },
+        version: { type: 'integer' },
+        collectedWallets: { type: 'array', items: ref('Wallet') },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        createdBy: { type: 'string' },
+        createdByEmail: { type: 'string' },
+        lastModifiedBy: { type: 'string' },
+        lastModifiedByEmail: { type: 'string' },
+        statusHistory: { type: 'array', items: { type: 'object' } },
+        collaborators: { type: 'array', items: { type: 'object' } },
+        eligibilityRules: { allOf: [ref('EligibilityRules')], nullable: true }
+    }),
+    EligibilityRules: objectSchema({
+        minBalance: { type: 'string', nullable: true, description: 'Saldo mínimo na moeda nativa (ex.: 0.05)' },
+        minTxCount: { type: 'integer', minimum: 1, nullable: true, description: 'Mínimo de transações enviadas' },
+        tokenContract: { type: 'string', nullable: true, description: 'Contrato ERC-20 ou ERC-721' },
+        minTokenBalance: { type: 'string', nullable: true, description: 'Quantidade mínima do token (padrão: 1)' }
+    }),
+    ApiTokenInput: objectSchema({
+        name: { type: 'string', maxLength: 60 },
+        scope: {
+            type: 'string',
+            enum: API_TOKEN_SCOPES,
+            default: 'read',
+            description: API_TOKEN_SCOPES.map(scope => `${scope}: ${API_TOKEN_SCOPE_LABELS[scope]}`).join('; ')
+        },
+        expiresInDays: { type: 'integer', minimum: 1, maximum: 365, nullable: true }
+    }, ['name']),
+    WebhookInput: objectSchema({
+        url: { type: 'string', format: 'uri' },
+        events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+        description: { type: 'string', maxLength: 100 },
+        format: { type: 'string', enum: WEBHOOK_FORMATS, default: 'json' },
+        active: { type: 'boolean' }
+    }, ['url', 'events'])
+};
+
+function security(auth) {
+    if (auth === 'public') {
+        return [];
+    }
+    return auth === 'bot' ? [{ botToken: [] }] : [{ bearerAuth: [] }];
+}
+
+function operation(tag, summary, { auth, query = [], body, response }, path) {
+    const pathParams = (path.match(/:\w+/g) || []).map(param => ({
+        name: param.slice(1),
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+    }));
+
+    const responses = {
+        200: {
+            description: 'Sucesso',
+            content: {
+                'application/json': {
+                    schema: response
+                        ? objectSchema({ success: { type: 'boolean' }, data: response })
+                        : objectSchema({ success: { type: 'boolean' } })
+                }
+            }
+        },
+        400: { description: 'Dados inválidos', content: { 'application/json': { schema: ref('Error') } } }
+    };
+    if (auth !== 'public') {
+        responses[401] = { description: 'Sem autenticação ou token inválido', content: { 'application/json': { schema: ref('Error') } } };
+        responses[403] = { description: 'Sem permissão ou fora do escopo do token', content: { 'application/json': { schema: ref('Error') } } };
+    }
+
+    return compact({
+        tags: [tag],
+        summary,
+        description: AUTH_NOTES[auth],
+        'x-token-scope': { read: 'read', wallets: 'wallets', write: 'admin', admin: 'admin' }[auth],
+        security: security(auth),
+        parameters: [...pathParams, ...query],
+        requestBody: body ? { required: true, content: { 'application/json': { schema: body } } } : undefined,
+        responses
+    });
+}
+
+// Monta o documento. serverUrl: endereço público do app (APP_URL), se houver.
+function buildOpenApiDocument({ version = '1.0.0', serverUrl = null } = {}) {
+    const paths = {};
+    ROUTES.forEach(([method, path, tag, summary, options]) => {
+        const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][method] = operation(tag, summary, options, path);
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Gerenciador de Parcerias WLs',
+            version,
+            description: 'API REST do WLs Manager. Autentique com o token de acesso do login ou com um token '
+                + 'pessoal de API (criado em "Minha Conta") no cabeçalho `Authorization: Bearer <token>`. '
+                + 'Respostas de erro seguem `{ success: false, message }`.'
+        },
+        servers: serverUrl ? [{ url: serverUrl }] : [],
+        tags: TAGS,
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'Token de acesso do login (JWT) ou token de API (wls_...)'
+                },
+                botToken: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'BOT_API_TOKEN configurado no servidor'
+                }
+            },
+            schemas: SCHEMAS
+        }
+    };
+}
+
+module.exports = {
+    buildOpenApiDocument
+};
@@ -0,0 +1,158 @@
+// Quem pode fazer o quê com cada parceria. As rotas e as telas usam só estas regras.
+//
+// Funções (globais):
+//   viewer  - só consulta
+//   editor  - cria parcerias e altera as que criou ou em que colabora com edição
+//   manager - altera qualquer parceria que não seja só para admins
+//   admin   - tudo, inclusive administração de usuários; só numa sessão confirmada com o
+//             segundo fator (`user.mfa`), sem ela age como editor
+// Colaboradores (por parceria): o dono adiciona usuários com acesso 'edit' ou 'view'.
+// Visibilidade (por parceria): quem enxerga a parceria e as wallets dela.
+
+const ROLES = ['viewer', 'editor', 'manager', 'admin'];
+const DEFAULT_ROLE = 'editor';
+
+const ROLE_LABELS = {
+    viewer: 'Leitor',
+    editor: 'Editor',
+    manager: 'Gerente',
+    admin: 'Admin'
+};
+
+const COLLABORATOR_ACCESS = ['edit', 'view'];
+
+// team: todo o time | collaborators: criador, colaboradores, gerentes e admins | admin: só admins
+const VISIBILITY_LEVELS = ['team', 'collaborators', 'admin'];
+const DEFAULT_VISIBILITY = 'team';
+
+// Ações verificadas por parceria; 'create' não depende de uma parceria
+const ACTIONS = ['view', 'create', 'edit', 'delete', 'export', 'share'];
+
+// O bot do Discord (API do bot) não é um usuário: consulta e adiciona wallets só em
+// parcerias visíveis para o time todo
+const BOT_ACTIONS = ['view', 'edit'];
+
+const DENIED_MESSAGES = {
+    create: 'Seu acesso é somente leitura',
+    edit: 'Você não tem permissão para editar esta parceria',
+    delete: 'Você só pode apagar parcerias que você criou',
+    export: 'Você não tem permissão para exportar esta parceria',
+    share: 'Apenas o criador da parceria pode gerenciar colaboradores'
+};
+
+// Contas anteriores às funções granulares eram 'user', equivalente a editor
+function normalizeRole(role) {
+    if (role === 'user' || !ROLES.includes(role)) {
+        return DEFAULT_ROLE;
+    }
+    return role;
+}
+
+// Função que vale na sessão: admin sem o segundo fator confirmado conta como editor
+function effectiveRole(user) {
+    const role = normalizeRole(user.role);
+    return role === 'admin' && user.mfa !== true ? DEFAULT_ROLE : role;
+}
+
+function isOwner(user, partnership) {
+    return Boolean(user.email) && String(partnership.createdByEmail || '').toLowerCase() === String(user.email).toLowerCase();
+}
+
+function collaboratorAccess(user, partnership) {
+    const email = String(user.email || '').toLowerCase();
+    const entry = (partnership.collaborators || []).find(c => c.email === email);
+    return entry ? entry.access : null;
+}
+
+function canSee(user, role, partnership) {
+    const visibility = partnership.visibility || DEFAULT_VISIBILITY;
+    if (role === 'admin' || visibility === 'team') {
+        return true;
+    }
+    if (visibility === 'admin') {
+        return false;
+    }
+    return role === 'manager' || isOwner(user, partnership) || collaboratorAccess(user, partnership) !== null;
+}
+
+function can(user, action, partnership = null) {
+    if (!user || !ACTIONS.includes(action)) {
+        return false;
+    }
+
+    const role = effectiveRole(user);
+    // Parceria oculta para o usuário: nenhuma ação, nem mesmo saber que existe
+    if (partnership && !canSee(user, role, partnership)) {
+        return false;
+    }
+    if (role === 'admin' || role === 'manager') {
+        return true;
+    }
+    if (action === 'view') {
+        return true;
+    }
+    if (role === 'viewer') {
+        return false;
+    }
+    if (action === 'create') {
+        return true;
+    }
+    if (!partnership) {
+        return false;
+    }
+    if (isOwner(user, partnership)) {
+        return true;
+    }
+    // Colaborador com edição altera e exporta, mas não apaga nem compartilha
+    return ['edit', 'export'].includes(action) && collaboratorAccess(user, partnership) === 'edit';
+}
+
+function botCan(action, partnership) {
+    return BOT_ACTIONS.includes(action) && (partnership.visibility || DEFAULT_VISIBILITY) === 'team';
+}
+
+// Mudar a visibilidade segue a regra de compartilhar; "só admins" apenas um admin define.
+// Sem parceria, vale para a criação.
+function canSetVisibility(user, visibility, partnership = null) {
+    if (visibility === 'admin' && effectiveRole(user) !== 'admin') {
+        return false;
+    }
+    return partnership ? can(user, 'share', partnership) : can(user, 'create');
+}
+
+// Mapa de permissões enviado às telas junto com a parceria
+function permissionsFor(user, partnership) {
+    return {
+        role: effectiveRole(user),
+        owner: isOwner(user, partnership),
+        access: collaboratorAccess(user, partnership),
+        canView: can(user, 'view', partnership),
+        canEdit: can(user, 'edit', partnership),
+        canDelete: can(user, 'delete', partnership),
+        canExport: can(user, 'export', partnership),
+        canShare: can(user, 'share', partnership),
+        visibilityOptions: VISIBILITY_LEVELS.filter(level => canSetVisibility(user, level, partnership))
+    };
+}
+
+function deniedMessage(action) {
+    return DENIED_MESSAGES[action] || 'Acesso negado';
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    ROLE_LABELS,
+    COLLABORATOR_ACCESS,
+    VISIBILITY_LEVELS,
+    DEFAULT_VISIBILITY,
+    normalizeRole,
+    effectiveRole,
+    isOwner,
+    collaboratorAccess,
+    can,
+    botCan,
+    canSetVisibility,
+    permissionsFor,
+    deniedMessage
+};
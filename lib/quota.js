@@ -0,0 +1,82 @@
+// Cota de WLs: vagas alocadas (numberOfWLs) x wallets coletadas x entregues.
+// Alocação 0 significa "ainda não definida" e não limita a coleta.
+
+function walletCount(partnership) {
+    return Array.isArray(partnership.collectedWallets) ? partnership.collectedWallets.length : 0;
+}
+
+function partnershipQuota(partnership) {
+    const allocated = partnership.numberOfWLs || 0;
+    const collected = walletCount(partnership);
+    const limited = allocated > 0;
+
+    return {
+        partnershipId: partnership.id,
+        status: partnership.status,
+        allocated,
+        collected,
+        delivered: partnership.status === 'delivered' ? collected : 0,
+        open: limited ? Math.max(allocated - collected, 0) : 0,
+        overfilled: limited ? Math.max(collected - allocated, 0) : 0,
+        limited
+    };
+}
+
+// Totais gerais. Parcerias canceladas ficam fora das vagas e da coleta.
+function quotaSummary(partnerships) {
+    const totals = {
+        partnerships: 0,
+        allocated: 0,
+        collected: 0,
+        delivered: 0,
+        open: 0,
+        overfilled: 0,
+        overfilledPartnerships: 0,
+        unallocatedPartnerships: 0,
+        cancelled: 0
+    };
+
+    const items = partnerships.map(partnershipQuota);
+    items.forEach(quota => {
+        if (quota.status === 'cancelled') {
+            totals.cancelled++;
+            return;
+        }
+        totals.partnerships++;
+        totals.allocated += quota.allocated;
+        totals.collected += quota.collected;
+        totals.delivered += quota.delivered;
+        totals.open += quota.open;
+        totals.overfilled += quota.overfilled;
+        if (quota.overfilled > 0) totals.overfilledPartnerships++;
+        if (!quota.limited) totals.unallocatedPartnerships++;
+    });
+
+    return { totals, partnerships: items };
+}
+
+// Verifica se a nova lista de wallets passa da alocação. Só adições contam:
+// reduzir a cota abaixo do que já foi coletado é permitido (e aparece como excedente).
+// Retorna null quando está dentro da cota.
+function quotaExcess(allocated, currentCount, nextCount) {
+    if (!allocated || nextCount <= allocated || nextCount <= currentCount) {
+        return null;
+    }
+    return {
+        allocated,
+        collected: currentCount,
+        requested: nextCount,
+        excess: nextCount - allocated
+    };
+}
+
+function quotaMessage(excess) {
+    return `Cota excedida: ${excess.requested} wallets para ${excess.allocated} WLs alocadas (${excess.excess} a mais)`;
+}
+
+module.exports = {
+    partnershipQuota,
+    quotaSummary,
+    quotaExcess,
+    quotaMessage
+};
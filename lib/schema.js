@@ -0,0 +1,137 @@
+const { NETWORKS } = require('./wallets');
+const { PARTNERSHIP_STATUSES } = require('./lifecycle');
+const { VISIBILITY_LEVELS } = require('./policy');
+
+// Campos que o cliente pode enviar ao criar/editar uma parceria
+const PARTNERSHIP_SCHEMA = {
+    projectName: { type: 'string', required: true, minLength: 1, maxLength: 120 },
+    network: { type: 'string', enum: NETWORKS },
+    numberOfWLs: { type: 'integer', min: 0, max: 100000 },
+    templateDescription: { type: 'string', maxLength: 5000 },
+    collectedWallets: { type: 'wallets' },
+    status: { type: 'string', enum: PARTNERSHIP_STATUSES },
+    walletDeadline: { type: 'date', nullable: true },
+    deliveryDeadline: { type: 'date', nullable: true },
+    visibility: { type: 'string', enum: VISIBILITY_LEVELS }
+};
+
+// Campos preenchidos apenas pelo servidor
+const SERVER_OWNED_FIELDS = [
+    'id',
+    'version',
+    'createdAt',
+    'updatedAt',
+    'createdBy',
+    'createdByEmail',
+    'lastModifiedBy',
+    'lastModifiedByEmail',
+    'statusHistory',
+    'collaborators',
+    'eligibilityRules'
+];
+
+function checkField(field, rule, raw) {
+    let value = raw;
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return { error: { field, code: 'type', message: 'Deve ser um texto' } };
+            }
+            value = value.trim();
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return { error: { field, code: 'minLength', message: 'Campo obrigatório' } };
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return { error: { field, code: 'maxLength', message: `Máximo de ${rule.maxLength} caracteres` } };
+            }
+            break;
+        case 'integer':
+            // Formulários enviam números como texto
+            if (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) {
+                value = parseInt(value, 10);
+            }
+            if (!Number.isInteger(value)) {
+                return { error: { field, code: 'type', message: 'Deve ser um número inteiro' } };
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return { error: { field, code: 'min', message: `Valor mínimo: ${rule.min}` } };
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return { error: { field, code: 'max', message: `Valor máximo: ${rule.max}` } };
+            }
+            break;
+        case 'date': {
+            // Apenas a data (AAAA-MM-DD); horários completos são cortados no dia
+            const match = typeof value === 'string' && /^(\d{4}-\d{2}-\d{2})(T.*)?$/.exec(value.trim());
+            const date = match && new Date(`${match[1]}T00:00:00Z`);
+            if (!date || isNaN(date) || date.toISOString().split('T')[0] !== match[1]) {
+                return { error: { field, code: 'type', message: 'Deve ser uma data no formato AAAA-MM-DD' } };
+            }
+            value = match[1];
+            break;
+        }
+        case 'wallets':
+            // O conteúdo de cada linha é validado depois, conforme a rede
+            if (typeof value !== 'string' && !Array.isArray(value)) {
+                return { error: { field, code: 'type', message: 'Deve ser um texto (uma wallet por linha) ou uma lista' } };
+            }
+            break;
+        default:
+            break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return { error: { field, code: 'enum', message: `Valor inválido. Use: ${rule.enum.join(', ')}` } };
+    }
+
+    return { value };
+}
+
+// Valida o corpo de criação (partial = false) ou edição (partial = true).
+// Retorna { value, errors }: `value` só contém campos declarados e já normalizados.
+function validatePartnershipInput(body, { partial = false, schema = PARTNERSHIP_SCHEMA } = {}) {
+    const errors = [];
+    const value = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { value, errors: [{ field: null, code: 'type', message: 'Corpo da requisição deve ser um objeto' }] };
+    }
+
+    Object.keys(body).forEach(field => {
+        if (SERVER_OWNED_FIELDS.includes(field)) {
+            errors.push({ field, code: 'readOnly', message: 'Campo controlado pelo servidor' });
+        } else if (!schema[field]) {
+            errors.push({ field, code: 'unknown', message: 'Campo desconhecido' });
+        }
+    });
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        // null limpa campos opcionais (ex.: remover um prazo)
+        if (body[field] === null && rule.nullable) {
+            value[field] = null;
+            return;
+        }
+        if (body[field] === undefined || body[field] === null) {
+            if (rule.required && !partial) {
+                errors.push({ field, code: 'required', message: 'Campo obrigatório' });
+            }
+            return;
+        }
+
+        const result = checkField(field, rule, body[field]);
+        if (result.error) {
+            errors.push(result.error);
+        } else {
+            value[field] = result.value;
+        }
+    });
+
+    return { value, errors };
+}
+
+module.exports = {
+    PARTNERSHIP_SCHEMA,
+    SERVER_OWNED_FIELDS,
+    validatePartnershipInput
+};
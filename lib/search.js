@@ -0,0 +1,206 @@
+const { NETWORKS, addressKey } = require('./wallets');
+const { PARTNERSHIP_STATUSES, DEADLINE_STATUSES, overdueDeadlines } = require('./lifecycle');
+
+// Busca, filtros, ordenação e paginação da listagem de parcerias (GET /api/partnerships)
+
+const SORT_FIELDS = {
+    createdAt: p => p.createdAt || '',
+    updatedAt: p => p.updatedAt || p.createdAt || '',
+    projectName: p => (p.projectName || '').toLowerCase(),
+    numberOfWLs: p => p.numberOfWLs || 0,
+    wallets: p => (p.collectedWallets || []).length
+};
+
+const DEADLINE_FILTERS = ['overdue', ...Object.keys(DEADLINE_STATUSES)];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function searchError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Listas aceitam valores separados por vírgula (?status=confirmed,collecting)
+function readList(value, allowed, name) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+    const invalid = items.filter(item => !allowed.includes(item));
+    if (invalid.length > 0) {
+        throw searchError(`${name} inválido: ${invalid.join(', ')}. Use: ${allowed.join(', ')}`);
+    }
+    return items;
+}
+
+// Datas como AAAA-MM-DD ou ISO completo. Um dia sem hora no fim do intervalo vale o dia inteiro.
+function readDate(value, name, { endOfDay = false } = {}) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const text = String(value);
+    const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+    const date = new Date(dayOnly ? `${text}T00:00:00.000Z` : text);
+    if (isNaN(date.getTime()) || (dayOnly && date.toISOString().slice(0, 10) !== text)) {
+        throw searchError(`${name} deve ser uma data AAAA-MM-DD ou ISO 8601`);
+    }
+    if (dayOnly && endOfDay) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        return { date, exclusive: true };
+    }
+    return { date, exclusive: false };
+}
+
+function readPositiveInt(value, name, fallback, max) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || (max && number > max)) {
+        throw searchError(max ? `${name} deve ser um inteiro entre 1 e ${max}` : `${name} deve ser um inteiro maior que 0`);
+    }
+    return number;
+}
+
+// Lê e valida os parâmetros da listagem. `creator=me` usa o email de quem consulta.
+function readPartnershipQuery(query, user) {
+    const sort = query.sort || 'createdAt';
+    if (!SORT_FIELDS[sort]) {
+        throw searchError(`Ordenação inválida. Use: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+    const order = query.order || (sort === 'projectName' ? 'asc' : 'desc');
+    if (!['asc', 'desc'].includes(order)) {
+        throw searchError('order deve ser asc ou desc');
+    }
+
+    const deadline = query.deadline || null;
+    if (deadline && !DEADLINE_FILTERS.includes(deadline)) {
+        throw searchError(`Prazo inválido. Use: ${DEADLINE_FILTERS.join(', ')}`);
+    }
+
+    const creator = query.creator
+        ? (query.creator === 'me' ? user.email : String(query.creator)).toLowerCase()
+        : null;
+
+    // Sem page/pageSize a resposta traz todos os resultados (compatível com clientes antigos)
+    const paginate = query.page !== undefined || query.pageSize !== undefined;
+
+    return {
+        q: query.q ? String(query.q).trim().toLowerCase() : '',
+        wallet: query.wallet ? String(query.wallet).trim() : '',
+        networks: readList(query.network, NETWORKS, 'network'),
+        statuses: readList(query.status, PARTNERSHIP_STATUSES, 'status'),
+        creator,
+        deadline,
+        createdFrom: readDate(query.createdFrom, 'createdFrom'),
+        createdTo: readDate(query.createdTo, 'createdTo', { endOfDay: true }),
+        updatedFrom: readDate(query.updatedFrom, 'updatedFrom'),
+        updatedTo: readDate(query.updatedTo, 'updatedTo', { endOfDay: true }),
+        sort,
+        order,
+        paginate,
+        page: readPositiveInt(query.page, 'page', 1),
+        pageSize: readPositiveInt(query.pageSize, 'pageSize', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    };
+}
+
+function inDateRange(timestamp, from, to) {
+    if (!from && !to) {
+        return true;
+    }
+    const date = new Date(timestamp);
+    if (!timestamp || isNaN(date.getTime())) {
+        return false;
+    }
+    if (from && date < from.date) {
+        return false;
+    }
+    if (to && (to.exclusive ? date >= to.date : date > to.date)) {
+        return false;
+    }
+    return true;
+}
+
+// Filtra, ordena e pagina. `walletMatches` diz quais wallets de cada parceria
+// casaram com a busca — responde "em qual parceria está esta wallet?".
+function searchPartnerships(partnerships, options, { now = new Date() } = {}) {
+    const walletMatches = {};
+
+    const matches = partnerships.filter(p => {
+        if (options.networks && !options.networks.includes(p.network || 'Ethereum')) return false;
+        if (options.statuses && !options.statuses.includes(p.status)) return false;
+        if (options.creator && String(p.createdByEmail || '').toLowerCase() !== options.creator) return false;
+        if (!inDateRange(p.createdAt, options.createdFrom, options.createdTo)) return false;
+        if (!inDateRange(p.updatedAt || p.createdAt, options.updatedFrom, options.updatedTo)) return false;
+
+        if (options.deadline) {
+            const overdue = overdueDeadlines(p, now);
+            if (options.deadline === 'overdue' ? overdue.length === 0 : !overdue.includes(options.deadline)) {
+                return false;
+            }
+        }
+
+        const wallets = p.collectedWallets || [];
+        const network = p.network || 'Ethereum';
+        let matched = [];
+
+        if (options.wallet) {
+            const key = addressKey(options.wallet, network);
+            matched = wallets.filter(w => addressKey(w.address, network) === key);
+            if (matched.length === 0) return false;
+        }
+
+        if (options.q) {
+            const inText = (p.projectName || '').toLowerCase().includes(options.q)
+                || (p.templateDescription || '').toLowerCase().includes(options.q);
+            const inWallets = wallets.filter(w => String(w.address).toLowerCase().includes(options.q));
+            if (!inText && inWallets.length === 0) return false;
+            matched = matched.concat(inWallets.filter(w => !matched.includes(w)));
+        }
+
+        if (matched.length > 0) {
+            walletMatches[p.id] = matched.map(w => w.address);
+        }
+        return true;
+    });
+
+    const value = SORT_FIELDS[options.sort];
+    const direction = options.order === 'asc' ? 1 : -1;
+    matches.sort((a, b) => {
+        const left = value(a);
+        const right = value(b);
+        if (left < right) return -direction;
+        if (left > right) return direction;
+        return String(a.id).localeCompare(String(b.id));
+    });
+
+    const total = matches.length;
+    if (!options.paginate) {
+        return { items: matches, total, walletMatches };
+    }
+
+    const start = (options.page - 1) * options.pageSize;
+    const items = matches.slice(start, start + options.pageSize);
+    const pageMatches = {};
+    items.forEach(p => {
+        if (walletMatches[p.id]) pageMatches[p.id] = walletMatches[p.id];
+    });
+
+    return {
+        items,
+        total,
+        walletMatches: pageMatches,
+        page: options.page,
+        pageSize: options.pageSize,
+        totalPages: Math.max(1, Math.ceil(total / options.pageSize))
+    };
+}
+
+module.exports = {
+    SORT_FIELDS,
+    DEADLINE_FILTERS,
+    readPartnershipQuery,
+    searchPartnerships
+};
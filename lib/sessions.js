@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Sessões de login. O token de acesso (JWT) dura pouco; a sessão vive enquanto o
+// refresh token for renovado. O refresh token é "<id da sessão>.<segredo>" e só o
+// hash do segredo fica gravado. A cada renovação o segredo muda (rotação).
+
+function createRefreshSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function formatRefreshToken(sessionId, secret) {
+    return `${sessionId}.${secret}`;
+}
+
+function parseRefreshToken(token) {
+    const match = /^([\w-]+)\.([a-f0-9]{64})$/.exec(String(token || ''));
+    return match ? { sessionId: match[1], secret: match[2] } : null;
+}
+
+// Comparação em tempo constante com um hash gravado
+function matchesHash(secret, hash) {
+    if (!hash) {
+        return false;
+    }
+    const given = Buffer.from(hashSecret(secret), 'hex');
+    const stored = Buffer.from(hash, 'hex');
+    return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+}
+
+function isSessionActive(session, now = Date.now()) {
+    return Boolean(session) && !session.revokedAt && Date.parse(session.expiresAt) > now;
+}
+
+// Sessão como aparece nas listagens (sem hashes)
+function publicSession(session, currentSessionId = null) {
+    const { refreshHash, previousHash, ...rest } = session;
+    return {
+        ...rest,
+        active: isSessionActive(session),
+        current: session.id === currentSessionId
+    };
+}
+
+module.exports = {
+    createRefreshSecret,
+    hashSecret,
+    formatRefreshToken,
+    parseRefreshToken,
+    matchesHash,
+    isSessionActive,
+    publicSession
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { getAddress, verifyMessage } = require('ethers');
+
+// Login com carteira no formato Sign-In with Ethereum (EIP-4361). O servidor entrega
+// um nonce e a mensagem pronta; a carteira assina; o servidor confere a mensagem,
+// o nonce e a assinatura.
+
+const SIWE_NONCE_TTL_MS = 10 * 60 * 1000;
+const SIWE_STATEMENT = 'Entrar no WLs Manager com esta carteira.';
+
+// Contas criadas pela carteira não têm email; este identificador ocupa o lugar dele
+// (dono de parcerias, colaboradores, sessões)
+const WALLET_EMAIL_DOMAIN = 'wallet.local';
+
+const FIELD_NAMES = {
+    'URI': 'uri',
+    'Version': 'version',
+    'Chain ID': 'chainId',
+    'Nonce': 'nonce',
+    'Issued At': 'issuedAt',
+    'Expiration Time': 'expirationTime',
+    'Not Before': 'notBefore',
+    'Request ID': 'requestId'
+};
+
+function createNonce() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// Endereço EVM com checksum, ou null se inválido
+function normalizeAddress(address) {
+    try {
+        return getAddress(String(address || '').trim());
+    } catch (error) {
+        return null;
+    }
+}
+
+function buildSiweMessage({ domain, address, uri, chainId, nonce, issuedAt, expirationTime, statement = SIWE_STATEMENT }) {
+    return [
+        `${domain} wants you to sign in with your Ethereum account:`,
+        address,
+        '',
+        statement,
+        '',
+        `URI: ${uri}`,
+        'Version: 1',
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt}`,
+        `Expiration Time: ${expirationTime}`
+    ].join('\n');
+}
+
+// Campos da mensagem, ou null se ela não seguir o formato
+function parseSiweMessage(message) {
+    const lines = String(message || '').split('\n');
+    const header = /^(\S+) wants you to sign in with your Ethereum account:$/.exec(lines[0] || '');
+    if (!header || !/^0x[a-fA-F0-9]{40}$/.test(lines[1] || '')) {
+        return null;
+    }
+
+    const fields = { domain: header[1], address: lines[1] };
+    let index = 2;
+    const statement = [];
+    while (index < lines.length && !lines[index].startsWith('URI: ')) {
+        if (lines[index]) {
+            statement.push(lines[index]);
+        }
+        index++;
+    }
+    fields.statement = statement.join('\n') || null;
+
+    for (; index < lines.length; index++) {
+        const match = /^([A-Za-z ]+): (.*)$/.exec(lines[index]);
+        if (match && FIELD_NAMES[match[1]]) {
+            fields[FIELD_NAMES[match[1]]] = match[2];
+        }
+    }
+    if (!fields.uri || fields.version !== '1' || !/^\d+$/.test(fields.chainId || '') || !fields.nonce || !fields.issuedAt) {
+        return null;
+    }
+    fields.chainId = Number(fields.chainId);
+    return fields;
+}
+
+// Motivo para recusar a mensagem (domínio ou prazos), ou null se ela vale agora
+function siweMessageError(fields, { domain, now = Date.now() }) {
+    if (fields.domain !== domain) {
+        return `A mensagem foi gerada para outro site (${fields.domain})`;
+    }
+    if (fields.expirationTime && !(Date.parse(fields.expirationTime) > now)) {
+        return 'Mensagem expirada. Tente novamente.';
+    }
+    if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+        return 'Mensagem ainda não é válida';
+    }
+    return null;
+}
+
+// A assinatura é da carteira indicada na mensagem?
+function verifySiweSignature(message, fields, signature) {
+    try {
+        return verifyMessage(message, String(signature || '')) === normalizeAddress(fields.address);
+    } catch (error) {
+        return false;
+    }
+}
+
+function walletAccountEmail(address) {
+    return `${String(address).toLowerCase()}@${WALLET_EMAIL_DOMAIN}`;
+}
+
+function isWalletAccountEmail(email) {
+    return String(email || '').toLowerCase().endsWith(`@${WALLET_EMAIL_DOMAIN}`);
+}
+
+module.exports = {
+    SIWE_NONCE_TTL_MS,
+    createNonce,
+    normalizeAddress,
+    buildSiweMessage,
+    parseSiweMessage,
+    siweMessageError,
+    verifySiweSignature,
+    walletAccountEmail,
+    isWalletAccountEmail
+};
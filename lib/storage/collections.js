@@ -0,0 +1,120 @@
+// Coleções persistidas e como cada adaptador deve guardá-las.
+//
+// key:        identificador único do registro
+// order:      'append' (ordem de inserção), 'prepend' (mais recentes primeiro)
+//             ou 'newest' (por createdAt, mais recentes primeiro)
+// indexes:    campos consultados com `where()`; viram colunas indexadas no SQLite
+// appendOnly: registros nunca são alterados nem removidos (histórico)
+const COLLECTIONS = {
+    partnerships: {
+        file: 'partnerships.json',
+        key: p => p.id,
+        order: 'newest'
+    },
+    users: {
+        file: 'users.json',
+        key: u => u.id,
+        order: 'append',
+        indexes: {
+            email: u => String(u.email || '').toLowerCase(),
+            walletAddress: u => String(u.walletAddress || '').toLowerCase()
+        }
+    },
+    allowedEmails: {
+        file: 'allowed-emails.json',
+        key: ae => String(ae.email || '').toLowerCase(),
+        order: 'append'
+    },
+    allowedWallets: {
+        file: 'allowed-wallets.json',
+        key: aw => String(aw.address || '').toLowerCase(),
+        order: 'append'
+    },
+    trash: {
+        file: 'trash.json',
+        key: item => item.partnership.id,
+        order: 'prepend',
+        indexes: {
+            batchId: item => item.batchId
+        }
+    },
+    sessions: {
+        file: 'sessions.json',
+        key: session => session.id,
+        order: 'append',
+        indexes: {
+            userId: session => session.userId
+        }
+    },
+    passwordResets: {
+        file: 'password-resets.json',
+        key: reset => reset.id,
+        order: 'append',
+        indexes: {
+            userId: reset => reset.userId
+        }
+    },
+    apiTokens: {
+        file: 'api-tokens.json',
+        key: apiToken => apiToken.id,
+        order: 'append',
+        indexes: {
+            userId: apiToken => apiToken.userId,
+            tokenHash: apiToken => apiToken.tokenHash
+        }
+    },
+    submissionLinks: {
+        file: 'submission-links.json',
+        key: link => link.id,
+        order: 'newest',
+        indexes: {
+            partnershipId: link => link.partnershipId,
+            tokenHash: link => link.tokenHash
+        }
+    },
+    eligibilityChecks: {
+        file: 'eligibility-checks.json',
+        key: check => check.id,
+        order: 'append',
+        indexes: {
+            partnershipId: check => check.partnershipId
+        }
+    },
+    webhooks: {
+        file: 'webhooks.json',
+        key: webhook => webhook.id,
+        order: 'append'
+    },
+    webhookDeliveries: {
+        file: 'webhook-deliveries.json',
+        key: delivery => delivery.id,
+        order: 'newest',
+        indexes: {
+            webhookId: delivery => delivery.webhookId,
+            status: delivery => delivery.status
+        }
+    },
+    deadlineReminders: {
+        file: 'deadline-reminders.json',
+        key: reminder => reminder.id,
+        order: 'append'
+    },
+    history: {
+        file: 'history.jsonl',
+        key: entry => entry.id,
+        order: 'append',
+        appendOnly: true,
+        indexes: {
+            partnershipId: entry => entry.partnershipId
+        }
+    }
+};
+
+function toList(input) {
+    return Array.isArray(input) ? input : [input];
+}
+
+module.exports = {
+    COLLECTIONS,
+    toList
+};
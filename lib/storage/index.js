@@ -0,0 +1,28 @@
+const path = require('path');
+const { createJsonStorage } = require('./json');
+const { COLLECTIONS } = require('./collections');
+
+const STORAGE_DRIVERS = ['json', 'sqlite'];
+
+// Abre o armazenamento escolhido. Os dois adaptadores expõem as mesmas coleções
+// (partnerships, users, allowedEmails, allowedWallets, trash, sessions, passwordResets,
+// apiTokens, submissionLinks, eligibilityChecks, webhooks, webhookDeliveries, deadlineReminders, history), cada uma com:
+//   list(), get(key), where(field, value), count()   -> leituras síncronas
+//   insert(items), update(items), remove(keys), clear() -> escritas assíncronas
+// Objetos lidos são cópias no SQLite: toda alteração precisa passar por update().
+function createStorage({ driver = 'json', dataDir, sqliteFile } = {}) {
+    if (driver === 'json') {
+        return createJsonStorage({ dataDir });
+    }
+    if (driver === 'sqlite') {
+        const { createSqliteStorage } = require('./sqlite');
+        return createSqliteStorage({ file: sqliteFile || path.join(dataDir, 'data.sqlite') });
+    }
+    throw new Error(`Driver de armazenamento inválido: ${driver}. Use: ${STORAGE_DRIVERS.join(', ')}`);
+}
+
+module.exports = {
+    STORAGE_DRIVERS,
+    COLLECTIONS,
+    createStorage
+};
@@ -0,0 +1,183 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { COLLECTIONS, toList } = require('./collections');
+
+// Grava em um arquivo temporário e renomeia por cima do original: quem lê (ou um
+// crash no meio da escrita) vê sempre o arquivo antigo inteiro ou o novo inteiro
+async function writeJsonAtomic(file, data) {
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tmpFile, 'w');
+    try {
+        await handle.writeFile(JSON.stringify(data, null, 2));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tmpFile, file);
+}
+
+// Serializa as escritas de um arquivo. Pedidos feitos enquanto uma escrita está
+// na fila são atendidos por ela, que grava o estado mais recente.
+function createFileWriter(file, snapshot) {
+    let running = Promise.resolve();
+    let queued = null;
+
+    return function flush() {
+        if (!queued) {
+            queued = running.then(() => {
+                queued = null;
+                return writeJsonAtomic(file, snapshot());
+            });
+            running = queued.catch(() => {});
+        }
+        return queued;
+    };
+}
+
+function insertPosition(items, item, order) {
+    if (order === 'newest') {
+        const index = items.findIndex(existing => (existing.createdAt || '') < (item.createdAt || ''));
+        return index === -1 ? items.length : index;
+    }
+    return order === 'prepend' ? 0 : items.length;
+}
+
+function createJsonCollection(dataDir, spec) {
+    const file = path.join(dataDir, spec.file);
+    let items = [];
+    let missingNewline = false;
+    const flush = createFileWriter(file, () => items);
+
+    async function loadJsonLines() {
+        const content = await fs.readFile(file, 'utf8');
+        missingNewline = content.length > 0 && !content.endsWith('\n');
+        const lines = content.split('\n').filter(line => line.trim());
+        return lines.reduce((entries, line, index) => {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // Última linha pode ter ficado pela metade se o processo caiu durante o append
+                console.warn(`⚠️ ${spec.file}: linha ${index + 1} ignorada (JSON inválido)`);
+            }
+            return entries;
+        }, []);
+    }
+
+    function assertMutable() {
+        if (spec.appendOnly) {
+            throw new Error(`${spec.file} não aceita alterações`);
+        }
+    }
+
+    return {
+        file,
+
+        async load() {
+            if (!(await fs.pathExists(file))) {
+                items = [];
+                return;
+            }
+            if (spec.appendOnly) {
+                items = await loadJsonLines();
+                return;
+            }
+            const data = await fs.readJson(file);
+            items = Array.isArray(data) ? data : [];
+        },
+
+        list() {
+            return items.slice();
+        },
+
+        get(key) {
+            return items.find(item => spec.key(item) === key) || null;
+        },
+
+        where(field, value) {
+            return items.filter(item => spec.indexes[field](item) === value);
+        },
+
+        count() {
+            return items.length;
+        },
+
+        async insert(input) {
+            const list = toList(input);
+            if (list.length === 0) {
+                return;
+            }
+
+            if (spec.appendOnly) {
+                items.push(...list);
+                // Não emenda a entrada nova numa linha incompleta
+                const prefix = missingNewline ? '\n' : '';
+                missingNewline = false;
+                await fs.appendFile(file, prefix + list.map(item => JSON.stringify(item)).join('\n') + '\n');
+                return;
+            }
+
+            if (spec.order === 'prepend') {
+                items.unshift(...list);
+            } else {
+                list.forEach(item => items.splice(insertPosition(items, item, spec.order), 0, item));
+            }
+            await flush();
+        },
+
+        async update(input) {
+            assertMutable();
+            const byKey = new Map(toList(input).map(item => [spec.key(item), item]));
+            items = items.map(item => byKey.get(spec.key(item)) || item);
+            await flush();
+        },
+
+        async remove(keys) {
+            assertMutable();
+            const removed = new Set(toList(keys));
+            items = items.filter(item => !removed.has(spec.key(item)));
+            await flush();
+        },
+
+        async clear() {
+            assertMutable();
+            items = [];
+            await flush();
+        },
+
+        flush() {
+            return spec.appendOnly ? Promise.resolve() : flush();
+        }
+    };
+}
+
+// Adaptador padrão: um arquivo JSON por coleção no diretório de dados
+function createJsonStorage({ dataDir }) {
+    const collections = {};
+    Object.entries(COLLECTIONS).forEach(([name, spec]) => {
+        collections[name] = createJsonCollection(dataDir, spec);
+    });
+
+    return {
+        driver: 'json',
+        ...collections,
+
+        async load() {
+            for (const collection of Object.values(collections)) {
+                await collection.load();
+            }
+        },
+
+        async flush() {
+            await Promise.all(Object.values(collections).map(collection => collection.flush()));
+        },
+
+        async close() {
+            await this.flush();
+        }
+    };
+}
+
+module.exports = {
+    createJsonStorage,
+    writeJsonAtomic
+};
@@ -0,0 +1,170 @@
+const { COLLECTIONS, toList } = require('./collections');
+
+// better-sqlite3 é opcional: só é exigido quando o driver sqlite é escolhido
+function openDatabase(file) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('O driver sqlite precisa do pacote better-sqlite3 (npm install better-sqlite3)');
+    }
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    return db;
+}
+
+// Cada coleção vira uma tabela com o registro em JSON (`data`), a chave primária
+// e uma coluna por índice declarado, para consultas sem carregar a tabela inteira
+function createSqliteCollection(db, name, spec) {
+    const indexes = Object.keys(spec.indexes || {});
+    const table = `"${name}"`;
+
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+        key TEXT PRIMARY KEY,
+        sort_key TEXT,
+        data TEXT NOT NULL
+        ${indexes.map(field => `, "${field}" TEXT`).join('')}
+    )`);
+
+    // Índice declarado depois que a tabela já existia: cria a coluna e preenche
+    const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+    indexes.filter(field => !existing.includes(field)).forEach(field => {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN "${field}" TEXT`);
+        const fill = db.prepare(`UPDATE ${table} SET "${field}" = ? WHERE key = ?`);
+        db.transaction(() => {
+            db.prepare(`SELECT key, data FROM ${table}`).all().forEach(result => {
+                const value = spec.indexes[field](JSON.parse(result.data));
+                fill.run(value === undefined || value === null ? null : String(value), result.key);
+            });
+        })();
+    });
+
+    indexes.forEach(field => {
+        db.exec(`CREATE INDEX IF NOT EXISTS "${name}_${field}" ON ${table} ("${field}")`);
+    });
+    if (spec.order === 'newest') {
+        db.exec(`CREATE INDEX IF NOT EXISTS "${name}_sort_key" ON ${table} (sort_key)`);
+    }
+
+    const orderBy = {
+        newest: 'sort_key DESC, rowid ASC',
+        prepend: 'rowid DESC',
+        append: 'rowid ASC'
+    }[spec.order];
+
+    const columns = ['key', 'sort_key', 'data', ...indexes.map(field => `"${field}"`)];
+    const statements = {
+        list: db.prepare(`SELECT data FROM ${table} ORDER BY ${orderBy}`),
+        get: db.prepare(`SELECT data FROM ${table} WHERE key = ?`),
+        count: db.prepare(`SELECT COUNT(*) AS total FROM ${table}`),
+        insert: db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`),
+        update: db.prepare(`UPDATE ${table} SET ${columns.slice(1).map(c => `${c} = ?`).join(', ')} WHERE key = ?`),
+        remove: db.prepare(`DELETE FROM ${table} WHERE key = ?`),
+        clear: db.prepare(`DELETE FROM ${table}`)
+    };
+    const where = {};
+    indexes.forEach(field => {
+        where[field] = db.prepare(`SELECT data FROM ${table} WHERE "${field}" = ? ORDER BY ${orderBy}`);
+    });
+
+    function row(item) {
+        return [
+            spec.order === 'newest' ? item.createdAt || '' : null,
+            JSON.stringify(item),
+            ...indexes.map(field => {
+                const value = spec.indexes[field](item);
+                return value === undefined || value === null ? null : String(value);
+            })
+        ];
+    }
+
+    const parse = result => JSON.parse(result.data);
+
+    // Linhas inseridas juntas com `prepend` mantêm a ordem em que foram passadas
+    const insertMany = db.transaction(list => {
+        const ordered = spec.order === 'prepend' ? list.slice().reverse() : list;
+        ordered.forEach(item => statements.insert.run(spec.key(item), ...row(item)));
+    });
+    const updateMany = db.transaction(list => {
+        list.forEach(item => statements.update.run(...row(item), spec.key(item)));
+    });
+    const removeMany = db.transaction(keys => {
+        keys.forEach(key => statements.remove.run(key));
+    });
+
+    return {
+        list() {
+            return statements.list.all().map(parse);
+        },
+
+        get(key) {
+            const result = statements.get.get(key);
+            return result ? parse(result) : null;
+        },
+
+        where(field, value) {
+            return where[field].all(value === undefined || value === null ? null : String(value)).map(parse);
+        },
+
+        count() {
+            return statements.count.get().total;
+        },
+
+        async insert(input) {
+            insertMany(toList(input));
+        },
+
+        async update(input) {
+            if (spec.appendOnly) {
+                throw new Error(`Coleção ${name} não aceita alterações`);
+            }
+            updateMany(toList(input));
+        },
+
+        async remove(keys) {
+            if (spec.appendOnly) {
+                throw new Error(`Coleção ${name} não aceita remoções`);
+            }
+            removeMany(toList(keys));
+        },
+
+        async clear() {
+            if (spec.appendOnly) {
+                throw new Error(`Coleção ${name} não aceita remoções`);
+            }
+            statements.clear.run();
+        },
+
+        async load() {},
+
+        async flush() {}
+    };
+}
+
+// Adaptador SQLite embutido: um único arquivo, escritas transacionais por registro
+function createSqliteStorage({ file }) {
+    const db = openDatabase(file);
+    const collections = {};
+    Object.entries(COLLECTIONS).forEach(([name, spec]) => {
+        collections[name] = createSqliteCollection(db, name, spec);
+    });
+
+    return {
+        driver: 'sqlite',
+        file,
+        ...collections,
+
+        async load() {},
+
+        async flush() {},
+
+        async close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = {
+    createSqliteStorage
+};
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { partnershipQuota } = require('./quota');
+const { isWalletLocked } = require('./lifecycle');
+
+// Links públicos de envio de wallets: a comunidade parceira abre o link, sem conta, e
+// manda a própria wallet. O link é "/submit/<token>"; como nas sessões, só o hash do
+// token fica gravado, então o link completo só aparece ao ser criado.
+
+const SUBMISSION_LINK_DEFAULT_DAYS = 7;
+const SUBMISSION_LINK_MAX_DAYS = 90;
+const SUBMISSION_LABEL_MAX_LENGTH = 60;
+const SUBMISSION_MAX = 100000;
+
+// Usuário do Discord: nome novo (letras, números, _ e .) ou o antigo nome#1234
+const DISCORD_HANDLE_PATTERN = /^@?([a-z0-9_.]{2,32}|[^@#:`]{2,32}#\d{4})$/i;
+
+function createSubmissionToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+// Confere rótulo, validade e limite de envios de um link novo. O limite vale no máximo
+// o número de WLs da parceria e, por padrão, as vagas que ainda faltam.
+// Retorna { value } ou { error }.
+function normalizeSubmissionLinkInput(input, partnership) {
+    const label = String(input.label || '').trim();
+    if (label.length > SUBMISSION_LABEL_MAX_LENGTH) {
+        return { error: `O rótulo pode ter no máximo ${SUBMISSION_LABEL_MAX_LENGTH} caracteres` };
+    }
+
+    const days = input.expiresInDays === undefined || input.expiresInDays === null || input.expiresInDays === ''
+        ? SUBMISSION_LINK_DEFAULT_DAYS
+        : Number(input.expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > SUBMISSION_LINK_MAX_DAYS) {
+        return { error: `A validade deve ser de 1 a ${SUBMISSION_LINK_MAX_DAYS} dias` };
+    }
+
+    const quota = partnershipQuota(partnership);
+    let maxSubmissions = null;
+    if (input.maxSubmissions !== undefined && input.maxSubmissions !== null && input.maxSubmissions !== '') {
+        maxSubmissions = Number(input.maxSubmissions);
+        const max = quota.limited ? quota.allocated : SUBMISSION_MAX;
+        if (!Number.isInteger(maxSubmissions) || maxSubmissions < 1 || maxSubmissions > max) {
+            return {
+                error: quota.limited
+                    ? `O limite de envios deve ser de 1 a ${max} (o número de WLs da parceria)`
+                    : `O limite de envios deve ser de 1 a ${max}`
+            };
+        }
+    } else if (quota.limited) {
+        maxSubmissions = quota.open;
+        if (maxSubmissions === 0) {
+            return { error: `A parceria já tem as ${quota.allocated} wallets da cota` };
+        }
+    } else {
+        return { error: 'Defina o número de WLs da parceria ou um limite de envios para o link' };
+    }
+
+    return {
+        value: {
+            label,
+            expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+            maxSubmissions
+        }
+    };
+}
+
+// Confere o usuário do Discord opcional. Retorna { value } (null quando vazio) ou { error }.
+function normalizeDiscordHandle(raw) {
+    const value = String(raw || '').trim();
+    if (!value) {
+        return { value: null };
+    }
+    if (!DISCORD_HANDLE_PATTERN.test(value)) {
+        return { error: 'Usuário do Discord inválido (ex.: fulano ou fulano#1234)' };
+    }
+    return { value: value.replace(/^@/, '') };
+}
+
+// Por que o link não aceita mais envios, ou null se está aberto
+function closedReason(link, partnership, now = Date.now()) {
+    if (link.closedAt) {
+        return 'closed';
+    }
+    if (Date.parse(link.expiresAt) <= now) {
+        return 'expired';
+    }
+    if (link.submissions >= link.maxSubmissions) {
+        return 'full';
+    }
+    if (!partnership || partnership.status === 'cancelled' || isWalletLocked(partnership)) {
+        return 'unavailable';
+    }
+    const quota = partnershipQuota(partnership);
+    if (quota.limited && quota.open === 0) {
+        return 'full';
+    }
+    return null;
+}
+
+const CLOSED_MESSAGES = {
+    closed: 'Este link foi encerrado pela equipe',
+    expired: 'Este link expirou',
+    full: 'As vagas deste link já foram preenchidas',
+    unavailable: 'Esta parceria não está recebendo wallets'
+};
+
+// Vagas que o link ainda aceita
+function remainingSubmissions(link, partnership) {
+    const remaining = Math.max(link.maxSubmissions - link.submissions, 0);
+    const quota = partnershipQuota(partnership);
+    return quota.limited ? Math.min(remaining, quota.open) : remaining;
+}
+
+// Link como aparece para a equipe (sem o hash)
+function publicSubmissionLink(link, partnership) {
+    const { tokenHash, ...rest } = link;
+    const reason = closedReason(link, partnership);
+    return {
+        ...rest,
+        open: reason === null,
+        closedReason: reason,
+        remaining: reason === null ? remainingSubmissions(link, partnership) : 0
+    };
+}
+
+module.exports = {
+    SUBMISSION_LINK_DEFAULT_DAYS,
+    SUBMISSION_LINK_MAX_DAYS,
+    CLOSED_MESSAGES,
+    createSubmissionToken,
+    normalizeSubmissionLinkInput,
+    normalizeDiscordHandle,
+    closedReason,
+    remainingSubmissions,
+    publicSubmissionLink
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// Tokens pessoais de API: scripts e integrações usam no lugar do login. O token é
+// "wls_<segredo>" e, como nas sessões, só o hash fica gravado. Cada token tem um
+// escopo que limita o que ele faz, além das permissões normais do dono.
+
+const API_TOKEN_PREFIX = 'wls_';
+
+// read    - só leituras (GET)
+// wallets - leituras e envio de wallets para parcerias
+// admin   - tudo que o dono pode fazer, inclusive as rotas de administrador
+const API_TOKEN_SCOPES = ['read', 'wallets', 'admin'];
+
+const API_TOKEN_SCOPE_LABELS = {
+    read: 'Somente leitura',
+    wallets: 'Leitura e wallets',
+    admin: 'Administração'
+};
+
+// Rotas de escrita liberadas para o escopo wallets
+const WALLET_WRITE_ROUTES = [
+    'PATCH /api/partnerships/:id/wallets',
+    'POST /api/partnerships/:id/wallets/import'
+];
+
+// Rotas da conta que um token pode usar; o resto (senha, sessões, 2FA, os próprios
+// tokens) exige login
+const ACCOUNT_ROUTES = ['/api/auth/verify'];
+
+const API_TOKEN_NAME_MAX_LENGTH = 60;
+const API_TOKEN_MAX_DAYS = 365;
+
+function createApiToken() {
+    return `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function isApiToken(token) {
+    return String(token || '').startsWith(API_TOKEN_PREFIX);
+}
+
+function isApiTokenActive(apiToken, now = Date.now()) {
+    return Boolean(apiToken) && (!apiToken.expiresAt || Date.parse(apiToken.expiresAt) > now);
+}
+
+// Motivo para o escopo não cobrir a rota, ou null quando cobre
+function apiTokenScopeError(scope, method, routePath) {
+    if (routePath.startsWith('/api/auth/') && !ACCOUNT_ROUTES.includes(routePath)) {
+        return 'Tokens de API não acessam as configurações da conta. Entre com login e senha.';
+    }
+    if (scope === 'admin' || ['GET', 'HEAD'].includes(method)) {
+        return null;
+    }
+    if (scope === 'wallets' && WALLET_WRITE_ROUTES.includes(`${method} ${routePath}`)) {
+        return null;
+    }
+    return `O escopo "${API_TOKEN_SCOPE_LABELS[scope] || scope}" deste token não permite esta operação`;
+}
+
+// Confere nome, escopo e validade de um novo token. Retorna { value } ou { error }.
+function normalizeApiTokenInput(input) {
+    const name = String(input.name || '').trim();
+    if (!name) {
+        return { error: 'Dê um nome ao token (ex.: "Planilha de wallets")' };
+    }
+    if (name.length > API_TOKEN_NAME_MAX_LENGTH) {
+        return { error: `O nome pode ter no máximo ${API_TOKEN_NAME_MAX_LENGTH} caracteres` };
+    }
+
+    const scope = input.scope === undefined ? 'read' : input.scope;
+    if (!API_TOKEN_SCOPES.includes(scope)) {
+        return { error: `Escopo inválido. Use: ${API_TOKEN_SCOPES.join(', ')}` };
+    }
+
+    let expiresInDays = null;
+    if (input.expiresInDays !== undefined && input.expiresInDays !== null && input.expiresInDays !== '') {
+        expiresInDays = Number(input.expiresInDays);
+        if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > API_TOKEN_MAX_DAYS) {
+            return { error: `A validade deve ser de 1 a ${API_TOKEN_MAX_DAYS} dias (ou vazia, sem vencimento)` };
+        }
+    }
+
+    return { value: { name, scope, expiresInDays } };
+}
+
+// Token como aparece nas listagens (sem o hash)
+function publicApiToken(apiToken) {
+    const { tokenHash, ...rest } = apiToken;
+    return { ...rest, active: isApiTokenActive(apiToken) };
+}
+
+module.exports = {
+    API_TOKEN_PREFIX,
+    API_TOKEN_SCOPES,
+    API_TOKEN_SCOPE_LABELS,
+    API_TOKEN_MAX_DAYS,
+    createApiToken,
+    isApiToken,
+    isApiTokenActive,
+    apiTokenScopeError,
+    normalizeApiTokenInput,
+    publicApiToken
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+
+// Verificação em duas etapas: códigos TOTP (RFC 6238, os mesmos do Google Authenticator,
+// Authy, 1Password...) e códigos de recuperação de uso único.
+
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+// Aceita o código do passo anterior e do seguinte (relógio do celular adiantado/atrasado)
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Segredo base32 inválido');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(key, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = digest[digest.length - 1] & 15;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function totpStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+function totpCode(secret, now = Date.now()) {
+    return hotp(base32Decode(secret), totpStep(now));
+}
+
+// Passo de tempo em que o código confere, ou null. Passos já usados (lastUsedStep)
+// são recusados para que o mesmo código não sirva duas vezes.
+function verifyTotp(secret, code, { now = Date.now(), lastUsedStep = null } = {}) {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(clean)) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const current = totpStep(now);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        if (lastUsedStep !== null && step <= lastUsedStep) {
+            continue;
+        }
+        const expected = Buffer.from(hotp(key, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(clean))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// URI lida pelos aplicativos autenticadores (o QR code contém esta URI)
+function otpauthUrl({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Códigos de recuperação no formato xxxxx-xxxxx
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    return Array.from({ length: count }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+}
+
+// O segredo TOTP precisa ser lido de volta, então é gravado cifrado (AES-256-GCM)
+function encryptSecret(secret, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(payload, key) {
+    const [iv, tag, encrypted] = String(payload).split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// qrcode é opcional: sem ele a tela mostra a URI e o segredo para digitar no app
+async function qrCodeDataUrl(text) {
+    let QRCode;
+    try {
+        QRCode = require('qrcode');
+    } catch (error) {
+        return null;
+    }
+    return QRCode.toDataURL(text);
+}
+
+module.exports = {
+    TOTP_PERIOD,
+    RECOVERY_CODE_COUNT,
+    generateSecret,
+    totpCode,
+    verifyTotp,
+    otpauthUrl,
+    generateRecoveryCodes,
+    normalizeRecoveryCode,
+    encryptSecret,
+    decryptSecret,
+    qrCodeDataUrl
+};
@@ -0,0 +1,271 @@
+const { getAddress } = require('ethers');
+
+// Redes suportadas e a família de endereço de cada uma
+const EVM_NETWORKS = ['Ethereum', 'Polygon', 'Arbitrum', 'Base', 'BNB Chain', 'Avalanche'];
+const NETWORKS = [...EVM_NETWORKS, 'Solana', 'Other'];
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function isEvmNetwork(network) {
+    return EVM_NETWORKS.includes(network);
+}
+
+// Decodifica base58 (alfabeto Bitcoin/Solana). Retorna null se houver caractere inválido.
+function decodeBase58(value) {
+    const bytes = [];
+    for (const char of value) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit === -1) {
+            return null;
+        }
+        let carry = digit;
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+    // Zeros à esquerda viram bytes nulos
+    for (let i = 0; i < value.length && value[i] === '1'; i++) {
+        bytes.push(0);
+    }
+    return Buffer.from(bytes.reverse());
+}
+
+// Valida um endereço para a rede da parceria.
+// Retorna { valid, address } com o endereço normalizado ou { valid: false, reason }.
+function validateAddress(raw, network = 'Ethereum') {
+    const value = String(raw || '').trim();
+
+    if (!value) {
+        return { valid: false, reason: 'Endereço vazio' };
+    }
+
+    if (/\s/.test(value)) {
+        return { valid: false, reason: 'Endereço contém espaços' };
+    }
+
+    if (isEvmNetwork(network)) {
+        if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+            return { valid: false, reason: `Endereço EVM malformado para ${network}` };
+        }
+        // Endereços todo minúsculo/maiúsculo não têm checksum; misturados precisam bater com EIP-55
+        const body = value.slice(2);
+        const hasChecksum = body !== body.toLowerCase() && body !== body.toUpperCase();
+        try {
+            const checksummed = getAddress(hasChecksum ? value : value.toLowerCase());
+            return { valid: true, address: checksummed };
+        } catch (error) {
+            return { valid: false, reason: 'Checksum EIP-55 inválido' };
+        }
+    }
+
+    if (network === 'Solana') {
+        const decoded = decodeBase58(value);
+        if (!decoded) {
+            return { valid: false, reason: 'Endereço Solana contém caracteres fora do base58' };
+        }
+        if (decoded.length !== 32) {
+            return { valid: false, reason: 'Endereço Solana deve ter 32 bytes' };
+        }
+        return { valid: true, address: value };
+    }
+
+    // Redes sem regra específica: aceita qualquer valor sem espaços
+    return { valid: true, address: value };
+}
+
+// Chave de comparação para detectar duplicatas (EVM não diferencia maiúsculas)
+function addressKey(address, network) {
+    return isEvmNetwork(network) ? String(address).toLowerCase() : String(address);
+}
+
+// Aceita texto (uma wallet por linha) ou array de strings/objetos { address }
+function toLines(input) {
+    if (input === undefined || input === null) {
+        return [];
+    }
+    if (Array.isArray(input)) {
+        return input.map(item => (item && typeof item === 'object') ? item.address : item);
+    }
+    return String(input).split(/\r?\n/);
+}
+
+// Valida a lista enviada pelo cliente e monta as entradas estruturadas.
+// Entradas já existentes (mesmo endereço) mantêm quem adicionou e quando.
+function buildWalletList(input, network, { existing = [], user } = {}) {
+    const previous = new Map(existing.map(w => [addressKey(w.address, network), w]));
+    const seen = new Map();
+    const wallets = [];
+    const errors = [];
+    const now = new Date().toISOString();
+
+    toLines(input).forEach((rawLine, index) => {
+        const line = index + 1;
+        const value = String(rawLine === undefined || rawLine === null ? '' : rawLine).trim();
+
+        // Linhas em branco são ignoradas
+        if (!value) {
+            return;
+        }
+
+        const result = validateAddress(value, network);
+        if (!result.valid) {
+            errors.push({ line, value, reason: result.reason });
+            return;
+        }
+
+        const key = addressKey(result.address, network);
+        if (seen.has(key)) {
+            errors.push({ line, value, reason: `Duplicada (linha ${seen.get(key)})` });
+            return;
+        }
+        seen.set(key, line);
+
+        const kept = previous.get(key);
+        wallets.push(kept ? { ...kept, address: result.address } : {
+            address: result.address,
+            addedBy: user ? user.name : null,
+            addedByEmail: user ? user.email : null,
+            addedAt: now
+        });
+    });
+
+    return { wallets, errors };
+}
+
+// Acrescenta as wallets enviadas à lista atual. Endereços já presentes são mantidos
+// como estão; inválidos e repetidos dentro do próprio envio são reportados em `errors`.
+function mergeWalletList(input, network, { existing = [], user } = {}) {
+    const { wallets: incoming, errors } = buildWalletList(input, network, { existing, user });
+    const known = new Set(existing.map(w => addressKey(w.address, network)));
+    const added = incoming.filter(w => !known.has(addressKey(w.address, network)));
+
+    return { wallets: [...existing, ...added], added, errors };
+}
+
+// Aplica só as linhas adicionadas e removidas sobre a lista atual do servidor.
+// Usado quando duas pessoas editam as wallets ao mesmo tempo: uma não apaga o que a outra incluiu.
+function applyWalletChanges(existing, { add, remove } = {}, network, { user } = {}) {
+    const removeKeys = new Set(toLines(remove)
+        .map(rawLine => String(rawLine === undefined || rawLine === null ? '' : rawLine).trim())
+        .filter(Boolean)
+        .map(value => {
+            const result = validateAddress(value, network);
+            return addressKey(result.valid ? result.address : value, network);
+        }));
+
+    const kept = existing.filter(w => !removeKeys.has(addressKey(w.address, network)));
+    const removed = existing.filter(w => removeKeys.has(addressKey(w.address, network)));
+    const { wallets, added, errors } = mergeWalletList(add, network, { existing: kept, user });
+
+    return { wallets, added, removed, errors };
+}
+
+// Converte o formato antigo (texto livre) para a lista estruturada sem perder dados:
+// linhas inválidas são mantidas como estavam, apenas duplicatas exatas são descartadas.
+function migrateWallets(partnership) {
+    if (Array.isArray(partnership.collectedWallets)) {
+        return { migrated: false, invalid: 0 };
+    }
+
+    const network = partnership.network || 'Ethereum';
+    const addedAt = partnership.createdAt || new Date().toISOString();
+    const seen = new Set();
+    const wallets = [];
+    let invalid = 0;
+
+    toLines(partnership.collectedWallets).forEach(rawLine => {
+        const value = String(rawLine || '').trim();
+        if (!value) {
+            return;
+        }
+
+        const result = validateAddress(value, network);
+        if (!result.valid) {
+            invalid++;
+        }
+        const address = result.valid ? result.address : value;
+        const key = addressKey(address, network);
+        if (seen.has(key)) {
+            return;
+        }
+        seen.add(key);
+
+        wallets.push({
+            address,
+            addedBy: partnership.createdBy || null,
+            addedByEmail: partnership.createdByEmail || null,
+            addedAt
+        });
+    });
+
+    partnership.collectedWallets = wallets;
+    return { migrated: true, invalid };
+}
+
+// Índice de todas as wallets coletadas: chave do endereço -> ocorrências por parceria
+function buildWalletIndex(partnerships) {
+    const index = new Map();
+
+    partnerships.forEach(p => {
+        (p.collectedWallets || []).forEach(w => {
+            const key = addressKey(w.address, p.network);
+            if (!index.has(key)) {
+                index.set(key, []);
+            }
+            index.get(key).push({
+                partnershipId: p.id,
+                projectName: p.projectName,
+                network: p.network,
+                address: w.address,
+                addedBy: w.addedBy,
+                addedByEmail: w.addedByEmail,
+                addedAt: w.addedAt
+            });
+        });
+    });
+
+    return index;
+}
+
+// Endereços presentes em mais de uma parceria (opcionalmente só os que envolvem uma parceria)
+function findConflicts(index, { partnershipId } = {}) {
+    const conflicts = [];
+
+    index.forEach((occurrences, key) => {
+        const ids = new Set(occurrences.map(o => o.partnershipId));
+        if (ids.size < 2) {
+            return;
+        }
+        if (partnershipId && !ids.has(partnershipId)) {
+            return;
+        }
+        conflicts.push({
+            key,
+            address: occurrences[0].address,
+            occurrences
+        });
+    });
+
+    return conflicts;
+}
+
+module.exports = {
+    EVM_NETWORKS,
+    NETWORKS,
+    isEvmNetwork,
+    decodeBase58,
+    validateAddress,
+    addressKey,
+    buildWalletList,
+    mergeWalletList,
+    applyWalletChanges,
+    migrateWallets,
+    buildWalletIndex,
+    findConflicts
+};
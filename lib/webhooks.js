@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const { discordMessage } = require('./discord');
+
+// Webhooks: cada evento de parceria é enviado por POST, em JSON assinado com HMAC,
+// às URLs cadastradas pelos admins. O envio acontece fora da requisição que gerou o
+// evento; falhas são repetidas com espera exponencial e cada envio fica no log.
+
+// Eventos que podem ser assinados (os mesmos emitidos pelo Socket.IO)
+const WEBHOOK_EVENTS = [
+    'partnershipAdded',
+    'partnershipUpdated',
+    'partnershipDeleted',
+    'allPartnershipsCleared',
+    'partnershipsImported',
+    'partnershipRestored',
+    'partnershipsRestored',
+    'partnershipDeadlineSoon'
+];
+
+// Evento do botão "enviar teste"; vai só para o webhook escolhido
+const WEBHOOK_TEST_EVENT = 'ping';
+
+const WEBHOOK_EVENT_LABELS = {
+    partnershipAdded: 'Parceria criada',
+    partnershipUpdated: 'Parceria alterada',
+    partnershipDeleted: 'Parceria apagada',
+    allPartnershipsCleared: 'Todas as parcerias apagadas',
+    partnershipsImported: 'Importação',
+    partnershipRestored: 'Parceria restaurada',
+    partnershipsRestored: 'Lote restaurado',
+    partnershipDeadlineSoon: 'Prazo se aproximando'
+};
+
+// Formato do corpo:
+//   json    - { id, event, createdAt, data }, assinado (padrão)
+//   discord - mensagem com embed para uma URL de webhook do Discord
+const WEBHOOK_FORMATS = ['json', 'discord'];
+
+const WEBHOOK_DESCRIPTION_MAX_LENGTH = 100;
+
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Assinatura enviada em X-WLs-Signature: HMAC-SHA256 de "<timestamp>.<corpo>"
+function signWebhook(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+// Espera antes da tentativa seguinte: base, 2x base, 4x base...
+function retryDelay(attempt, baseDelayMs) {
+    return baseDelayMs * 2 ** (attempt - 1);
+}
+
+// Confere e normaliza os campos de um webhook. Com `partial`, só os campos enviados.
+// Retorna { value } ou { error }.
+function normalizeWebhookInput(input, { partial = false } = {}) {
+    const value = {};
+
+    if (!partial || input.url !== undefined) {
+        let url;
+        try {
+            url = new URL(String(input.url || '').trim());
+        } catch (error) {
+            return { error: 'URL inválida' };
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return { error: 'A URL precisa começar com http:// ou https://' };
+        }
+        value.url = url.toString();
+    }
+
+    if (!partial || input.events !== undefined) {
+        if (!Array.isArray(input.events) || input.events.length === 0) {
+            return { error: 'Escolha ao menos um evento' };
+        }
+        const unknown = input.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            return { error: `Evento(s) inválido(s): ${unknown.join(', ')}. Use: ${WEBHOOK_EVENTS.join(', ')}` };
+        }
+        value.events = WEBHOOK_EVENTS.filter(event => input.events.includes(event));
+    }
+
+    if (!partial || input.description !== undefined) {
+        const description = String(input.description || '').trim();
+        if (description.length > WEBHOOK_DESCRIPTION_MAX_LENGTH) {
+            return { error: `A descrição pode ter no máximo ${WEBHOOK_DESCRIPTION_MAX_LENGTH} caracteres` };
+        }
+        value.description = description;
+    }
+
+    if (!partial || input.format !== undefined) {
+        const format = input.format === undefined ? 'json' : input.format;
+        if (!WEBHOOK_FORMATS.includes(format)) {
+            return { error: `Formato inválido. Use: ${WEBHOOK_FORMATS.join(', ')}` };
+        }
+        value.format = format;
+    }
+
+    if (input.active !== undefined) {
+        value.active = Boolean(input.active);
+    }
+
+    return { value };
+}
+
+// Webhook como aparece nas listagens: o segredo só é mostrado ao criar ou trocar;
+// aqui fica só o final, o bastante para conferir qual segredo o destino usa
+function publicWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, secretHint: `whsec_…${secret.slice(-4)}` };
+}
+
+// Envio como aparece no log (sem o corpo, que pode ser grande)
+function publicDelivery(delivery) {
+    const { body, ...rest } = delivery;
+    return rest;
+}
+
+// POST do corpo; resolve sempre, com o status HTTP ou o erro de rede
+function postWebhook(url, body, headers, timeoutMs) {
+    return new Promise(resolve => {
+        const started = Date.now();
+        const finish = (statusCode, error = null) => resolve({ statusCode, error, durationMs: Date.now() - started });
+
+        let request;
+        try {
+            const target = new URL(url);
+            request = (target.protocol === 'https:' ? https : http).request(target, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                timeout: timeoutMs
+            }, response => {
+                // A resposta não interessa, só o status
+                response.resume();
+                response.on('end', () => finish(response.statusCode));
+                response.on('error', error => finish(response.statusCode, error.message));
+            });
+        } catch (error) {
+            finish(null, error.message);
+            return;
+        }
+
+        request.on('timeout', () => request.destroy(new Error(`Sem resposta em ${timeoutMs} ms`)));
+        request.on('error', error => finish(null, error.message));
+        request.end(body);
+    });
+}
+
+// Fila de envios. `webhooks` e `deliveries` são as coleções do armazenamento.
+//   dispatch(event, data) - agenda o envio a todos os webhooks ativos que assinam o evento
+//   sendTest(webhook, data) - agenda um evento de teste só para este webhook
+//   resume()             - reagenda os envios pendentes (depois de reiniciar o servidor)
+//   stop()               - cancela os timers
+function createWebhookDispatcher({
+    webhooks,
+    deliveries,
+    maxAttempts = 5,
+    baseDelayMs = 30 * 1000,
+    timeoutMs = 10 * 1000,
+    logLimit = 50,
+    userAgent = 'WLs-Manager-Webhooks',
+    appUrl = null
+}) {
+    // Cada envio tem no máximo uma tentativa agendada ou em andamento
+    const timers = new Map();
+
+    function schedule(deliveryId, delayMs) {
+        if (timers.has(deliveryId)) {
+            return;
+        }
+
+        const timer = setTimeout(async () => {
+            let retryIn = null;
+            try {
+                retryIn = await attempt(deliveryId);
+            } catch (error) {
+                console.error('❌ Erro ao enviar webhook:', error);
+            }
+            timers.delete(deliveryId);
+            if (retryIn !== null) {
+                schedule(deliveryId, retryIn);
+            }
+        }, Math.max(0, delayMs));
+        // Não segura o processo aberto só por causa de uma nova tentativa
+        if (timer.unref) timer.unref();
+        timers.set(deliveryId, timer);
+    }
+
+    // Faz uma tentativa; retorna a espera até a próxima, ou null se terminou
+    async function attempt(deliveryId) {
+        const delivery = deliveries.get(deliveryId);
+        if (!delivery || delivery.status !== 'pending') {
+            return null;
+        }
+
+        const webhook = webhooks.get(delivery.webhookId);
+        if (!webhook) {
+            await deliveries.remove(deliveryId);
+            return null;
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000);
+        const result = await postWebhook(webhook.url, delivery.body, {
+            'Content-Type': 'application/json',
+            'User-Agent': userAgent,
+            'X-WLs-Event': delivery.event,
+            'X-WLs-Delivery': delivery.id,
+            'X-WLs-Timestamp': String(timestamp),
+            'X-WLs-Signature': signWebhook(webhook.secret, timestamp, delivery.body)
+        }, timeoutMs);
+
+        const attemptedAt = new Date().toISOString();
+        delivery.attempts.push({ at: attemptedAt, ...result });
+        delivery.statusCode = result.statusCode;
+        delivery.error = result.error;
+
+        let retryIn = null;
+        if (result.statusCode >= 200 && result.statusCode < 300) {
+            delivery.status = 'success';
+            delivery.deliveredAt = attemptedAt;
+            delivery.nextAttemptAt = null;
+        } else if (delivery.attempts.length >= maxAttempts) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+        } else {
+            retryIn = retryDelay(delivery.attempts.length, baseDelayMs);
+            delivery.nextAttemptAt = new Date(Date.now() + retryIn).toISOString();
+        }
+
+        await deliveries.update(delivery);
+        return retryIn;
+    }
+
+    // Mantém só os `logLimit` envios mais recentes de cada webhook (pendentes ficam)
+    async function trimLog(webhookId) {
+        const old = deliveries.where('webhookId', webhookId)
+            .slice(logLimit)
+            .filter(delivery => delivery.status !== 'pending');
+        if (old.length > 0) {
+            await deliveries.remove(old.map(delivery => delivery.id));
+        }
+    }
+
+    // Corpo no formato do webhook, ou null quando o evento não gera mensagem
+    function buildBody(webhook, id, event, createdAt, data) {
+        if (webhook.format === 'discord') {
+            const message = discordMessage(event, data, { appUrl });
+            return message && JSON.stringify(message);
+        }
+        return JSON.stringify({ id, event, createdAt, data });
+    }
+
+    async function enqueue(webhook, event, data) {
+        const id = uuidv4();
+        const createdAt = new Date().toISOString();
+        const body = buildBody(webhook, id, event, createdAt, data);
+        if (!body) {
+            return null;
+        }
+
+        const delivery = {
+            id,
+            webhookId: webhook.id,
+            event,
+            status: 'pending',
+            statusCode: null,
+            error: null,
+            attempts: [],
+            createdAt,
+            nextAttemptAt: createdAt,
+            deliveredAt: null,
+            body
+        };
+        await deliveries.insert(delivery);
+        await trimLog(webhook.id);
+        schedule(id, 0);
+        return delivery;
+    }
+
+    return {
+        dispatch(event, data) {
+            if (!WEBHOOK_EVENTS.includes(event)) {
+                return;
+            }
+            const targets = webhooks.list().filter(webhook => webhook.active && webhook.events.includes(event));
+            // Quem emitiu o evento não espera (nem falha) por causa dos webhooks
+            Promise.all(targets.map(webhook => enqueue(webhook, event, data))).catch(error => {
+                console.error('❌ Erro ao agendar webhooks:', error);
+            });
+        },
+
+        sendTest(webhook, data) {
+            return enqueue(webhook, WEBHOOK_TEST_EVENT, data);
+        },
+
+        resume() {
+            const pending = deliveries.where('status', 'pending');
+            pending.forEach(delivery => {
+                schedule(delivery.id, Date.parse(delivery.nextAttemptAt) - Date.now());
+            });
+            return pending.length;
+        },
+
+        stop() {
+            timers.forEach(timer => clearTimeout(timer));
+            timers.clear();
+        }
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WEBHOOK_TEST_EVENT,
+    WEBHOOK_EVENT_LABELS,
+    WEBHOOK_FORMATS,
+    generateWebhookSecret,
+    signWebhook,
+    retryDelay,
+    normalizeWebhookInput,
+    publicWebhook,
+    publicDelivery,
+    createWebhookDispatcher
+};
@@ -0,0 +1,135 @@
+// Sessão no navegador, usada por todas as páginas: guarda os tokens, renova o token de
+// acesso quando ele expira (refresh token com rotação), encerra a sessão no servidor e
+// assina a mensagem de login com carteira.
+(function () {
+    const originalFetch = window.fetch.bind(window);
+    const NO_REFRESH = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh', '/api/auth/logout'];
+    let refreshing = null;
+
+    function save(result) {
+        localStorage.setItem('auth_token', result.token);
+        // Renovação feita por outra aba só devolve o token de acesso
+        if (result.refreshToken) {
+            localStorage.setItem('refresh_token', result.refreshToken);
+        }
+        if (result.user) {
+            localStorage.setItem('user_data', JSON.stringify(result.user));
+        }
+    }
+
+    function clear() {
+        localStorage.removeItem('auth_token');
+        localStorage.removeItem('refresh_token');
+        localStorage.removeItem('user_data');
+    }
+
+    // Uma renovação por vez: pedidos simultâneos esperam a mesma
+    function refresh() {
+        if (!refreshing) {
+            refreshing = (async () => {
+                const refreshToken = localStorage.getItem('refresh_token');
+                if (!refreshToken) {
+                    return false;
+                }
+                try {
+                    const response = await originalFetch('/api/auth/refresh', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ refreshToken })
+                    });
+                    const result = await response.json();
+                    if (!result.success) {
+                        clear();
+                        return false;
+                    }
+                    save(result);
+                    return true;
+                } catch (error) {
+                    console.error('Erro ao renovar sessão:', error);
+                    return false;
+                }
+            })().finally(() => {
+                refreshing = null;
+            });
+        }
+        return refreshing;
+    }
+
+    // Pedidos autenticados à API usam sempre o token mais recente. Um 401 de token
+    // expirado renova a sessão e repete o pedido uma vez.
+    window.fetch = async (input, init = {}) => {
+        const url = typeof input === 'string' ? input : input.url;
+        const headers = new Headers(init.headers || {});
+        if (!url.startsWith('/api/') || NO_REFRESH.some(path => url.startsWith(path)) || !headers.has('Authorization')) {
+            return originalFetch(input, init);
+        }
+
+        const send = () => {
+            headers.set('Authorization', `Bearer ${localStorage.getItem('auth_token')}`);
+            return originalFetch(input, { ...init, headers });
+        };
+
+        const response = await send();
+        if (response.status !== 401) {
+            return response;
+        }
+        const result = await response.clone().json().catch(() => ({}));
+        if (!result.expired || !(await refresh())) {
+            return response;
+        }
+        return send();
+    };
+
+    async function logout() {
+        const token = localStorage.getItem('auth_token');
+        try {
+            await originalFetch('/api/auth/logout', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token && { 'Authorization': `Bearer ${token}` })
+                },
+                body: JSON.stringify({ refreshToken: localStorage.getItem('refresh_token') })
+            });
+        } catch (error) {
+            console.error('Erro ao encerrar sessão:', error);
+        }
+        clear();
+    }
+
+    // Pede à carteira do navegador (window.ethereum) a assinatura da mensagem de login
+    // (EIP-4361) preparada pelo servidor. Serve para entrar e para vincular a carteira.
+    async function signWalletMessage() {
+        if (!window.ethereum) {
+            throw new Error('Nenhuma carteira encontrada no navegador');
+        }
+
+        const [address] = await window.ethereum.request({ method: 'eth_requestAccounts' });
+        const chainId = parseInt(await window.ethereum.request({ method: 'eth_chainId' }), 16);
+
+        const response = await originalFetch('/api/auth/siwe/nonce', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ address, chainId })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        const signature = await window.ethereum.request({
+            method: 'personal_sign',
+            params: [result.message, address]
+        });
+        return { message: result.message, signature };
+    }
+
+    window.authSession = {
+        save,
+        clear,
+        refresh,
+        logout,
+        signWalletMessage,
+        token: () => localStorage.getItem('auth_token')
+    };
+})();
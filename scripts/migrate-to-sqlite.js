@@ -0,0 +1,49 @@
+// Copia os dados dos arquivos JSON para o banco SQLite.
+// Uso: npm run migrate:sqlite [-- --force]
+//   DATA_DIR    diretório dos arquivos JSON (padrão: data/ do projeto)
+//   SQLITE_FILE arquivo do banco (padrão: DATA_DIR/data.sqlite)
+// Depois da migração, inicie o servidor com STORAGE_DRIVER=sqlite.
+
+const fs = require('fs-extra');
+const path = require('path');
+const { createStorage, COLLECTIONS } = require('../lib/storage');
+
+async function migrate() {
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+    const sqliteFile = process.env.SQLITE_FILE || path.join(dataDir, 'data.sqlite');
+    const force = process.argv.includes('--force');
+
+    if (await fs.pathExists(sqliteFile)) {
+        if (!force) {
+            throw new Error(`${sqliteFile} já existe. Use --force para recriar o banco a partir dos arquivos JSON.`);
+        }
+        await Promise.all(['', '-wal', '-shm'].map(suffix => fs.remove(sqliteFile + suffix)));
+    }
+
+    const source = createStorage({ driver: 'json', dataDir });
+    await source.load();
+
+    const target = createStorage({ driver: 'sqlite', dataDir, sqliteFile });
+    try {
+        for (const name of Object.keys(COLLECTIONS)) {
+            const items = source[name].list();
+            await target[name].insert(items);
+
+            if (target[name].count() !== items.length) {
+                throw new Error(`${name}: ${items.length} registros lidos, ${target[name].count()} gravados`);
+            }
+            console.log(`   • ${name}: ${items.length} registros`);
+        }
+    } finally {
+        await target.close();
+    }
+
+    console.log(`✅ Dados migrados para ${sqliteFile}`);
+    console.log('   Inicie o servidor com STORAGE_DRIVER=sqlite');
+}
+
+console.log('🔄 Migrando dados JSON para SQLite...');
+migrate().catch(error => {
+    console.error('❌ Erro na migração:', error.message);
+    process.exit(1);
+});
@@ -1,14 +1,123 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
-const fs = require('fs-extra');
 const path = require('path');
+const fs = require('fs-extra');
+const crypto = require('crypto');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const { v4: uuidv4 } = require('uuid');
+const { validateAddress, buildWalletList, applyWalletChanges, migrateWallets, buildWalletIndex, findConflicts } = require('./lib/wallets');
+const { collectExportWallets, renderExport } = require('./lib/export');
+const { createHistoryEntry, diffPartnership, compactHistoryEntries, partnershipVersion } = require('./lib/history');
+const { validatePartnershipInput } = require('./lib/schema');
+const { createStorage, COLLECTIONS } = require('./lib/storage');
+const {
+    PARTNERSHIP_STATUSES,
+    STATUS_LABELS,
+    STATUS_TRANSITIONS,
+    WALLET_LOCKED_STATUSES,
+    DEADLINE_STATUSES,
+    DEFAULT_STATUS,
+    canTransition,
+    transitionError,
+    initialStatusErrors,
+    isWalletLocked,
+    deadlineEnd,
+    upcomingDeadlines,
+    deadlineErrors,
+    statusChange,
+    migrateStatus
+} = require('./lib/lifecycle');
+const {
+    IMPORT_STRATEGIES,
+    parsePartnershipRecords,
+    parseWalletRecords,
+    planPartnershipImport,
+    planWalletImport
+} = require('./lib/import');
+const { partnershipQuota, quotaSummary, quotaExcess, quotaMessage } = require('./lib/quota');
+const { readAnalyticsOptions, buildAnalytics } = require('./lib/analytics');
+const { readPartnershipQuery, searchPartnerships } = require('./lib/search');
+const {
+    ROLES,
+    ROLE_LABELS,
+    COLLABORATOR_ACCESS,
+    DEFAULT_VISIBILITY,
+    normalizeRole,
+    isOwner,
+    can,
+    botCan,
+    canSetVisibility,
+    permissionsFor,
+    deniedMessage
+} = require('./lib/policy');
+const {
+    createRefreshSecret,
+    hashSecret,
+    formatRefreshToken,
+    parseRefreshToken,
+    matchesHash,
+    isSessionActive,
+    publicSession
+} = require('./lib/sessions');
+const { PASSWORD_RULES, passwordErrors, normalizeName, renameAuthor } = require('./lib/accounts');
+const { createMailer, passwordResetEmail } = require('./lib/mail');
+const {
+    SIWE_NONCE_TTL_MS,
+    createNonce,
+    normalizeAddress,
+    buildSiweMessage,
+    parseSiweMessage,
+    siweMessageError,
+    verifySiweSignature,
+    walletAccountEmail,
+    isWalletAccountEmail
+} = require('./lib/siwe');
+const {
+    generateSecret,
+    verifyTotp,
+    otpauthUrl,
+    generateRecoveryCodes,
+    normalizeRecoveryCode,
+    encryptSecret,
+    decryptSecret,
+    qrCodeDataUrl
+} = require('./lib/totp');
+const {
+    WEBHOOK_EVENTS,
+    WEBHOOK_EVENT_LABELS,
+    generateWebhookSecret,
+    normalizeWebhookInput,
+    publicWebhook,
+    publicDelivery,
+    createWebhookDispatcher
+} = require('./lib/webhooks');
+const { walletProgress, partnershipLine } = require('./lib/discord');
+const {
+    API_TOKEN_SCOPES,
+    API_TOKEN_SCOPE_LABELS,
+    createApiToken,
+    isApiToken,
+    isApiTokenActive,
+    apiTokenScopeError,
+    normalizeApiTokenInput,
+    publicApiToken
+} = require('./lib/tokens');
+const { buildOpenApiDocument } = require('./lib/openapi');
+const {
+    CLOSED_MESSAGES,
+    createSubmissionToken,
+    normalizeSubmissionLinkInput,
+    normalizeDiscordHandle,
+    closedReason,
+    remainingSubmissions,
+    publicSubmissionLink
+} = require('./lib/submissions');
+const { rpcUrlsFromEnv, normalizeEligibilityRules, createEligibilityChecker } = require('./lib/onchain');
 
 const app = express();
 const server = http.createServer(app);
@@ -27,16 +136,140 @@ const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
 const JWT_SECRET = process.env.JWT_SECRET || 'wls-manager-secret-key-super-secure-2024';
 
-// Arquivos de dados
-const PARTNERSHIPS_FILE = path.join(__dirname, 'partnerships.json');
-const USERS_FILE = path.join(__dirname, 'users.json');
-const ALLOWED_EMAILS_FILE = path.join(__dirname, 'allowed-emails.json');
+// Token de acesso curto; a sessão continua pelo refresh token (renovado a cada uso)
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+// Outra aba pode renovar com o refresh token anterior logo depois da rotação
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+// Tokens pessoais de API (lib/tokens.js)
+const MAX_API_TOKENS_PER_USER = 20;
+const API_TOKEN_TOUCH_MS = 60 * 1000;
+
+// Verificação em duas etapas: obrigatória para admins, opcional para os demais.
+// Os segredos TOTP ficam cifrados com esta chave (padrão: derivada do JWT_SECRET).
+const TWO_FACTOR_KEY = crypto.createHash('sha256').update(process.env.TWO_FACTOR_KEY || JWT_SECRET).digest();
+const TWO_FACTOR_ISSUER = 'WLs Manager';
+// Prazo para digitar o código depois de acertar a senha
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Links de redefinição de senha valem por pouco tempo e uma única vez
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+// Endereço público do app. Links enviados por email só usam ele: sem APP_URL a redefinição
+// de senha por email fica desligada, porque o host do pedido pode ser forjado
+const APP_URL = process.env.APP_URL ? process.env.APP_URL.replace(/\/+$/, '') : null;
+const PASSWORD_RESET_UNAVAILABLE = 'Redefinição de senha por email indisponível: defina APP_URL no servidor';
+
+// Páginas e scripts do navegador: só o que está nesta pasta é servido como arquivo estático
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+// Armazenamento: arquivos JSON (padrão) ou SQLite embutido
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'json';
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+const SQLITE_FILE = path.resolve(process.env.SQLITE_FILE || path.join(DATA_DIR, 'data.sqlite'));
+const MAIL_OUTBOX = path.resolve(process.env.MAIL_OUTBOX || path.join(DATA_DIR, 'mail-outbox.jsonl'));
+
+function isInside(file, dir) {
+    const relative = path.relative(dir, file);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Recusa subir com dados dentro da pasta pública (qualquer um baixaria usuários, sessões
+// e segredos sem login) e traz os arquivos de instalações antigas, que ficavam na raiz
+function prepareDataDir() {
+    const exposed = [DATA_DIR, SQLITE_FILE, MAIL_OUTBOX].filter(file => isInside(file, PUBLIC_DIR));
+    if (exposed.length > 0) {
+        console.error(`❌ Dados dentro da pasta pública ${PUBLIC_DIR}: ${exposed.join(', ')}`);
+        console.error('   Aponte DATA_DIR, SQLITE_FILE e MAIL_OUTBOX para fora dela.');
+        process.exit(1);
+    }
+
+    fs.ensureDirSync(DATA_DIR);
+    if (process.env.DATA_DIR) {
+        return;
+    }
+
+    const legacyFiles = [
+        ...Object.values(COLLECTIONS).map(spec => spec.file),
+        'data.sqlite',
+        'data.sqlite-wal',
+        'data.sqlite-shm',
+        'mail-outbox.jsonl'
+    ];
+    legacyFiles.forEach(file => {
+        const legacyFile = path.join(__dirname, file);
+        const dataFile = path.join(DATA_DIR, file);
+        if (fs.existsSync(legacyFile) && !fs.existsSync(dataFile)) {
+            fs.moveSync(legacyFile, dataFile);
+            console.log(`📦 ${file} movido para ${DATA_DIR}`);
+        }
+    });
+}
+
+prepareDataDir();
+
+const store = createStorage({
+    driver: STORAGE_DRIVER,
+    dataDir: DATA_DIR,
+    sqliteFile: SQLITE_FILE
+});
+
+// Envio de emails (redefinição de senha)
+const mailer = createMailer({
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'WLs Manager <no-reply@wls-manager.local>',
+    outboxFile: MAIL_OUTBOX,
+    smtpUrl: process.env.SMTP_URL
+});
+
+// Webhooks: tentativas por envio, espera antes da 2ª tentativa (dobra a cada uma) e
+// tempo máximo de resposta do destino
+const webhooks = createWebhookDispatcher({
+    webhooks: store.webhooks,
+    deliveries: store.webhookDeliveries,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    baseDelayMs: (parseInt(process.env.WEBHOOK_RETRY_SECONDS) || 30) * 1000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+    appUrl: APP_URL
+});
+
+// Webhooks recebem os eventos como um admin os veria
+const WEBHOOK_VIEWER = { role: 'admin', mfa: true, name: 'Webhook', email: null };
+
+// Aviso de prazo (evento partnershipDeadlineSoon): com quantas horas de antecedência
+const DEADLINE_REMINDER_HOURS = parseInt(process.env.DEADLINE_REMINDER_HOURS) || 24;
+
+// API do bot (/api/bot/*): desativada enquanto BOT_API_TOKEN não for definido.
+// O bot não tem função de usuário: só alcança parcerias do time todo (botCan em lib/policy.js).
+const BOT_API_TOKEN = process.env.BOT_API_TOKEN || null;
+const BOT_USER = { id: 'bot', name: process.env.BOT_NAME || 'Bot do Discord', email: null, role: 'viewer' };
+
+// Links públicos de envio de wallets: envios por hora de cada IP em cada link e
+// quantos links abertos uma parceria pode ter
+const SUBMISSION_RATE_LIMIT = parseInt(process.env.SUBMISSION_RATE_LIMIT) || 5;
+const MAX_OPEN_SUBMISSION_LINKS = 10;
 
-// Dados em memória
-let partnerships = [];
-let users = [];
-let allowedEmails = [];
+// Verificação on-chain das wallets: um RPC por rede EVM (RPC_URL_ETHEREUM, RPC_URL_POLYGON...).
+// Sem nenhum configurado, a verificação fica desativada. Resultados valem por ELIGIBILITY_CACHE_MINUTES.
+const eligibility = createEligibilityChecker({
+    checks: store.eligibilityChecks,
+    rpcUrls: rpcUrlsFromEnv(process.env),
+    timeoutMs: parseInt(process.env.RPC_TIMEOUT_MS) || 10 * 1000,
+    cacheMinutes: parseInt(process.env.ELIGIBILITY_CACHE_MINUTES) || 60
+});
+
+// Por quantos dias parcerias apagadas podem ser restauradas
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Estado em memória (derivado ou volátil)
 let connectedUsers = new Map();
+let walletIndex = new Map();
+// Nonces de login com carteira ainda não usados (nonce -> expiresAt)
+let siweNonces = new Map();
+
+// Salas do Socket.IO: o feed geral (Dashboard) recebe tudo; quem assina uma parceria
+// (página de detalhes) recebe só os eventos dela
+const FEED_ROOM = 'partnerships';
 
 // Middleware de segurança
 app.use(helmet({
@@ -58,87 +291,531 @@ const loginLimiter = rateLimit({
     message: { success: false, message: 'Muitas tentativas de login. Tente novamente em 15 minutos.' }
 });
 
+// Rate limiting para códigos de verificação em duas etapas
+const twoFactorLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutos
+    max: 10, // máximo 10 códigos
+    message: { success: false, message: 'Muitas tentativas de código. Tente novamente em 15 minutos.' }
+});
+
+// Rate limiting para pedidos de redefinição de senha
+const passwordResetLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutos
+    max: 5, // máximo 5 pedidos
+    message: { success: false, message: 'Muitos pedidos de redefinição. Tente novamente em 15 minutos.' }
+});
+
+// Rate limiting dos links públicos de envio: conta por link e por IP
+const submissionLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hora
+    max: SUBMISSION_RATE_LIMIT,
+    keyGenerator: req => `${hashSecret(req.params.token)}:${req.ip}`,
+    // Wallet inválida ou link fechado não gasta a cota de envios
+    skipFailedRequests: true,
+    message: { success: false, message: 'Muitos envios por este link. Tente novamente mais tarde.' }
+});
+
 app.use(cors());
-app.use(express.json());
-app.use(express.static('.'));
+app.use(express.json({ limit: '5mb' })); // importações enviam o arquivo no corpo
+app.use(express.static(PUBLIC_DIR));
 
-// Carrega dados dos arquivos
+// Carrega dados do armazenamento e aplica migrações pendentes
 async function loadData() {
     try {
-        // Carrega parcerias
-        if (await fs.pathExists(PARTNERSHIPS_FILE)) {
-            const data = await fs.readJson(PARTNERSHIPS_FILE);
-            partnerships = Array.isArray(data) ? data : [];
-        } else {
-            partnerships = [];
+        await store.load();
+
+        // Migra wallets do formato antigo (texto livre) para lista estruturada,
+        // numera as parcerias anteriores ao controle de versão e converte status antigos
+        let migratedCount = 0;
+        const changed = [];
+        store.partnerships.list().forEach(p => {
+            const { migrated, invalid } = migrateWallets(p);
+            if (migrated) {
+                migratedCount++;
+                if (invalid > 0) {
+                    console.warn(`⚠️ Parceria "${p.projectName}" tem ${invalid} wallet(s) inválida(s) para ${p.network}`);
+                }
+            }
+            const unversioned = !Number.isInteger(p.version);
+            if (unversioned) {
+                p.version = 1;
+            }
+            const statusMigrated = migrateStatus(p);
+            if (migrated || unversioned || statusMigrated) {
+                changed.push(p);
+            }
+        });
+        if (migratedCount > 0) {
+            console.log(`🔄 Wallets migradas para lista estruturada em ${migratedCount} parcerias`);
+        }
+        if (changed.length > 0) {
+            await store.partnerships.update(changed);
         }
 
-        // Carrega usuários
-        if (await fs.pathExists(USERS_FILE)) {
-            const data = await fs.readJson(USERS_FILE);
-            users = Array.isArray(data) ? data : [];
-        } else {
-            users = [];
+        rebuildWalletIndex();
+
+        // Contas 'user' (anteriores às funções granulares) passam a 'editor'
+        const legacyUsers = store.users.list().filter(u => u.role !== normalizeRole(u.role));
+        legacyUsers.forEach(u => { u.role = normalizeRole(u.role); });
+        if (legacyUsers.length > 0) {
+            await store.users.update(legacyUsers);
+        }
+        const legacyEmails = store.allowedEmails.list().filter(ae => ae.role !== normalizeRole(ae.role));
+        legacyEmails.forEach(ae => { ae.role = normalizeRole(ae.role); });
+        if (legacyEmails.length > 0) {
+            await store.allowedEmails.update(legacyEmails);
         }
 
-        // Carrega emails permitidos
-        if (await fs.pathExists(ALLOWED_EMAILS_FILE)) {
-            const data = await fs.readJson(ALLOWED_EMAILS_FILE);
-            allowedEmails = Array.isArray(data) ? data : [];
-        } else {
+        if (store.allowedEmails.count() === 0) {
             // Emails padrão (você pode alterar aqui)
-            allowedEmails = [
-                { 
-                    email: 'admin@wlsmanager.com', 
-                    role: 'admin', 
-                    addedAt: new Date().toISOString(),
-                    addedBy: 'system'
-                }
-            ];
-            await saveAllowedEmails();
+            await store.allowedEmails.insert({
+                email: 'admin@wlsmanager.com',
+                role: 'admin',
+                addedAt: new Date().toISOString(),
+                addedBy: 'system'
+            });
         }
 
-        console.log(`📂 Dados carregados:`);
-        console.log(`   • ${partnerships.length} parcerias`);
-        console.log(`   • ${users.length} usuários`);
-        console.log(`   • ${allowedEmails.length} emails permitidos`);
+        console.log(`📂 Dados carregados (${store.driver}):`);
+        console.log(`   • ${store.partnerships.count()} parcerias`);
+        console.log(`   • ${store.users.count()} usuários`);
+        console.log(`   • ${store.allowedEmails.count()} emails permitidos`);
+        console.log(`   • ${store.trash.count()} parcerias na lixeira`);
+        console.log(`   • ${store.sessions.count()} sessões`);
+        console.log(`   • ${store.webhooks.count()} webhooks`);
     } catch (error) {
+        // Não sobe com dados vazios: a próxima escrita apagaria o que está salvo
         console.error('❌ Erro ao carregar dados:', error);
-        partnerships = [];
-        users = [];
-        allowedEmails = [];
+        throw error;
     }
 }
 
-// Salva dados nos arquivos
-async function savePartnerships() {
-    try {
-        await fs.writeJson(PARTNERSHIPS_FILE, partnerships, { spaces: 2 });
-        console.log(`💾 Parcerias salvas (${partnerships.length} registros)`);
-    } catch (error) {
-        console.error('❌ Erro ao salvar parcerias:', error);
+// Avisa (uma vez por prazo) as parcerias com prazo vencendo nas próximas horas e
+// esquece os avisos de prazos que já passaram
+async function sendDeadlineReminders() {
+    const now = Date.now();
+    const timestamp = new Date(now).toISOString();
+    const reminders = [];
+
+    store.partnerships.list().forEach(partnership => {
+        upcomingDeadlines(partnership, DEADLINE_REMINDER_HOURS, now).forEach(field => {
+            const id = `${partnership.id}:${field}:${partnership[field]}`;
+            if (store.deadlineReminders.get(id)) {
+                return;
+            }
+            reminders.push({ id, partnershipId: partnership.id, field, deadline: partnership[field], sentAt: timestamp });
+            emitPartnershipEvent('partnershipDeadlineSoon', {
+                partnership,
+                field,
+                deadline: partnership[field],
+                hoursLeft: Math.ceil((deadlineEnd(partnership[field]) - now) / (60 * 60 * 1000)),
+                action: 'deadline',
+                timestamp
+            }, [partnership]);
+        });
+    });
+    if (reminders.length > 0) {
+        await store.deadlineReminders.insert(reminders);
+    }
+
+    const past = store.deadlineReminders.list().filter(reminder => deadlineEnd(reminder.deadline) < now);
+    if (past.length > 0) {
+        await store.deadlineReminders.remove(past.map(reminder => reminder.id));
     }
 }
 
-async function saveUsers() {
-    try {
-        await fs.writeJson(USERS_FILE, users, { spaces: 2 });
-        console.log(`💾 Usuários salvos (${users.length} registros)`);
-    } catch (error) {
-        console.error('❌ Erro ao salvar usuários:', error);
+// Recalcula o índice de wallets de todas as parcerias
+function rebuildWalletIndex() {
+    walletIndex = buildWalletIndex(store.partnerships.list());
+}
+
+// Conflitos que envolvem a parceria e ainda não existiam antes da alteração
+function detectNewConflicts(partnershipId, previousKeys = new Set()) {
+    return findConflicts(walletIndex, { partnershipId })
+        .filter(conflict => !previousKeys.has(conflict.key))
+        .map(({ address, occurrences }) => ({ address, occurrences }));
+}
+
+function conflictKeys(partnershipId) {
+    return new Set(findConflicts(walletIndex, { partnershipId }).map(c => c.key));
+}
+
+// Move parcerias para a lixeira; `batchId` agrupa as removidas por um "limpar tudo"
+async function moveToTrash(removed, user, { reason, batchId = null, timestamp }) {
+    const expiresAt = new Date(Date.parse(timestamp) + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    await store.trash.insert(removed.map(partnership => ({
+        partnership,
+        reason,
+        batchId,
+        deletedAt: timestamp,
+        deletedBy: user.name,
+        deletedByEmail: user.email,
+        expiresAt
+    })));
+}
+
+// Remove de vez o que passou do prazo de retenção
+async function purgeExpiredTrash() {
+    const now = Date.now();
+    const expired = store.trash.list().filter(item => Date.parse(item.expiresAt) <= now);
+    if (expired.length === 0) {
+        return;
     }
+
+    await store.trash.remove(expired.map(item => item.partnership.id));
+    await eligibility.forget(expired.map(item => item.partnership.id));
+    await recordHistory(expired.map(item => createHistoryEntry({
+        action: 'purge',
+        before: item.partnership,
+        user: { name: 'system', email: null }
+    })));
+    console.log(`🧹 ${expired.length} parceria(s) removida(s) definitivamente da lixeira`);
+}
+
+// Devolve itens da lixeira para a lista, mantendo a ordem por data de criação
+async function restoreFromTrash(items, user) {
+    const timestamp = new Date().toISOString();
+    const restored = items.map(item => item.partnership);
+
+    // Volta para a lista antes de sair da lixeira: uma falha no meio não perde a parceria
+    await store.partnerships.insert(restored);
+    await store.trash.remove(restored.map(p => p.id));
+    rebuildWalletIndex();
+    await recordHistory(restored.map(partnership => createHistoryEntry({
+        action: 'restore', after: partnership, user, timestamp
+    })));
+
+    return { restored, timestamp };
 }
 
-async function saveAllowedEmails() {
+// Registra entradas no histórico (append-only: nunca reescreve entradas anteriores).
+// Alterações gravam só a diferença para a versão anterior (lib/history.js).
+async function recordHistory(entries) {
     try {
-        await fs.writeJson(ALLOWED_EMAILS_FILE, allowedEmails, { spaces: 2 });
-        console.log(`💾 Emails permitidos salvos (${allowedEmails.length} registros)`);
+        await store.history.insert(compactHistoryEntries(entries, id => store.history.where('partnershipId', id)));
     } catch (error) {
-        console.error('❌ Erro ao salvar emails permitidos:', error);
+        console.error('❌ Erro ao salvar histórico:', error);
+    }
+}
+
+// Nome e função vêm do cadastro atual: mudanças valem sem novo login
+function hasTwoFactor(user) {
+    return Boolean(user.twoFactor && user.twoFactor.enabled);
+}
+
+// Usuário como aparece nas respostas: sem senha nem segredos do 2FA
+function publicUser(user) {
+    const { password, twoFactor, ...rest } = user;
+    return {
+        ...rest,
+        hasPassword: Boolean(password),
+        twoFactorEnabled: hasTwoFactor(user)
+    };
+}
+
+function withCurrentProfile(user) {
+    const stored = store.users.get(user.id);
+    return stored
+        ? { ...user, name: stored.name, role: normalizeRole(stored.role), twoFactorEnabled: hasTwoFactor(stored) }
+        : { ...user, role: normalizeRole(user.role) };
+}
+
+// Usuário de um socket com o perfil atual e a confirmação do 2FA da sessão, que pode
+// mudar depois da conexão
+function socketUser(socket) {
+    const session = findActiveSession(socket.user);
+    return { ...withCurrentProfile(socket.user), mfa: Boolean(session && session.mfa) };
+}
+
+function sessionRoom(sessionId) {
+    return `session:${sessionId}`;
+}
+
+// Sessão do token, se ainda vale: não revogada, não expirada e de um usuário ativo
+function findActiveSession(payload) {
+    const session = payload.sid ? store.sessions.get(payload.sid) : null;
+    if (!isSessionActive(session) || session.userId !== payload.id) {
+        return null;
+    }
+    const user = store.users.get(payload.id);
+    return user && user.isActive ? session : null;
+}
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            role: user.role,
+            sid: sessionId
+        },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+// Abre uma sessão e devolve o par de tokens. mfa: login confirmado com o segundo fator.
+async function startSession(user, req, { mfa = false } = {}) {
+    const secret = createRefreshSecret();
+    const now = new Date();
+    const session = {
+        id: uuidv4(),
+        userId: user.id,
+        email: user.email,
+        refreshHash: hashSecret(secret),
+        previousHash: null,
+        rotatedAt: null,
+        createdAt: now.toISOString(),
+        lastUsedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        userAgent: String(req.headers['user-agent'] || '').slice(0, 200),
+        ip: req.ip,
+        mfa,
+        revokedAt: null,
+        revokedBy: null,
+        revokeReason: null
+    };
+    await store.sessions.insert(session);
+
+    return {
+        token: signAccessToken(user, session.id),
+        refreshToken: formatRefreshToken(session.id, secret),
+        session
+    };
+}
+
+// Revoga sessões e derruba na hora os sockets abertos por elas
+async function revokeSessions(sessions, { by, reason }) {
+    const active = sessions.filter(session => !session.revokedAt);
+    if (active.length === 0) {
+        return 0;
+    }
+
+    const timestamp = new Date().toISOString();
+    active.forEach(session => {
+        session.revokedAt = timestamp;
+        session.revokedBy = by;
+        session.revokeReason = reason;
+    });
+    await store.sessions.update(active);
+
+    active.forEach(session => {
+        io.to(sessionRoom(session.id)).emit('sessionRevoked', { reason });
+        io.in(sessionRoom(session.id)).disconnectSockets(true);
+    });
+    return active.length;
+}
+
+function userSessions(userId) {
+    return store.sessions.where('userId', userId);
+}
+
+// Remove sessões vencidas (as revogadas ficam listadas até vencer)
+async function purgeExpiredSessions() {
+    const now = Date.now();
+    const expired = store.sessions.list().filter(session => Date.parse(session.expiresAt) <= now);
+    if (expired.length > 0) {
+        await store.sessions.remove(expired.map(session => session.id));
+    }
+}
+
+async function purgeExpiredPasswordResets() {
+    const now = Date.now();
+    const expired = store.passwordResets.list().filter(reset => Date.parse(reset.expiresAt) <= now);
+    if (expired.length > 0) {
+        await store.passwordResets.remove(expired.map(reset => reset.id));
+    }
+}
+
+function appUrl(req) {
+    return (APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Gera um link de redefinição (só o hash fica gravado; links anteriores deixam de valer)
+// e envia por email. Quem chama confere APP_URL antes.
+async function sendPasswordReset(user, req, requestedBy = null) {
+    if (!APP_URL) {
+        throw new Error(PASSWORD_RESET_UNAVAILABLE);
+    }
+    await store.passwordResets.remove(store.passwordResets.where('userId', user.id).map(reset => reset.id));
+
+    const secret = createRefreshSecret();
+    const now = new Date();
+    const reset = {
+        id: hashSecret(secret),
+        userId: user.id,
+        email: user.email,
+        requestedBy: requestedBy ? requestedBy.email : null,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString(),
+        ip: req.ip
+    };
+    await store.passwordResets.insert(reset);
+
+    await mailer.send(passwordResetEmail({
+        user,
+        url: `${APP_URL}/?reset=${secret}`,
+        expiresAt: reset.expiresAt,
+        requestedBy: requestedBy ? requestedBy.name : null
+    }));
+    return reset;
+}
+
+// Pedido de redefinição ainda válido para o token recebido, com o usuário dele
+function findPasswordReset(token) {
+    if (!/^[a-f0-9]{64}$/.test(String(token || ''))) {
+        return null;
+    }
+    const reset = store.passwordResets.get(hashSecret(token));
+    if (!reset || Date.parse(reset.expiresAt) <= Date.now()) {
+        return null;
+    }
+    const user = store.users.get(reset.userId);
+    return user && user.isActive ? { reset, user } : null;
+}
+
+// Grava a nova senha e cancela os links de redefinição pendentes
+async function setPassword(user, password) {
+    user.password = await bcrypt.hash(password, 12);
+    user.passwordChangedAt = new Date().toISOString();
+    await store.users.update(user);
+    await store.passwordResets.remove(store.passwordResets.where('userId', user.id).map(reset => reset.id));
+}
+
+// Registra o login, abre a sessão (token de acesso curto + refresh token) e responde.
+// Com 2FA ativo, a senha (ou a carteira) só rende um desafio: os tokens saem depois
+// do código, em /api/auth/login/2fa.
+async function completeLogin(user, req, res, { mfa = false } = {}) {
+    if (hasTwoFactor(user) && !mfa) {
+        return res.json({
+            success: true,
+            twoFactorRequired: true,
+            message: 'Digite o código do aplicativo autenticador',
+            challengeToken: jwt.sign({ id: user.id, purpose: 'two_factor' }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL })
+        });
+    }
+
+    user.lastLogin = new Date().toISOString();
+    await store.users.update(user);
+
+    const { token, refreshToken } = await startSession(user, req, { mfa });
+
+    res.json({
+        success: true,
+        message: 'Login realizado com sucesso',
+        token,
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL,
+        user: publicUser(user)
+    });
+}
+
+// Confere um código do autenticador ou de recuperação e grava o uso (o passo do TOTP
+// ou o código de recuperação consumido). Retorna 'totp', 'recovery' ou null.
+async function verifySecondFactor(user, code) {
+    const twoFactor = user.twoFactor;
+    const step = verifyTotp(decryptSecret(twoFactor.secret, TWO_FACTOR_KEY), code, { lastUsedStep: twoFactor.lastUsedStep });
+    if (step !== null) {
+        twoFactor.lastUsedStep = step;
+        await store.users.update(user);
+        return 'totp';
+    }
+
+    const hash = hashSecret(normalizeRecoveryCode(code));
+    const index = normalizeRecoveryCode(code) ? twoFactor.recoveryCodes.indexOf(hash) : -1;
+    if (index !== -1) {
+        twoFactor.recoveryCodes.splice(index, 1);
+        await store.users.update(user);
+        return 'recovery';
+    }
+    return null;
+}
+
+// Novos códigos de recuperação: grava só os hashes e devolve os códigos uma única vez
+function issueRecoveryCodes(user) {
+    const codes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = codes.map(code => hashSecret(normalizeRecoveryCode(code)));
+    return codes;
+}
+
+// Domínio que as mensagens de login com carteira precisam citar
+function siweDomain(req) {
+    return APP_URL ? new URL(APP_URL).host : req.get('host');
+}
+
+// Confere mensagem e assinatura de login com carteira e consome o nonce.
+// Retorna { address } ou { status, message }.
+function verifyWalletSignature(req) {
+    const { message, signature } = req.body;
+    const fields = parseSiweMessage(message);
+    if (!fields) {
+        return { status: 400, message: 'Mensagem de login inválida' };
+    }
+
+    const expiresAt = siweNonces.get(fields.nonce);
+    if (!expiresAt || expiresAt <= Date.now()) {
+        return { status: 401, message: 'Nonce inválido ou expirado. Tente novamente.' };
+    }
+
+    const invalid = siweMessageError(fields, { domain: siweDomain(req) });
+    if (invalid) {
+        return { status: 401, message: invalid };
+    }
+    if (!verifySiweSignature(message, fields, signature)) {
+        return { status: 401, message: 'Assinatura inválida' };
+    }
+
+    // Cada nonce vale para uma única assinatura
+    siweNonces.delete(fields.nonce);
+    return { address: normalizeAddress(fields.address) };
+}
+
+function findUserByWallet(address) {
+    return store.users.where('walletAddress', String(address).toLowerCase())[0] || null;
+}
+
+function weakPasswordResponse(res, errors) {
+    return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors: errors.map(message => ({ field: 'password', code: 'weakPassword', message })),
+        rules: PASSWORD_RULES
+    });
+}
+
+// Token pessoal de API: vale até ser revogado (ou vencer) e só no próprio escopo
+function authenticateApiToken(req, res, next, token) {
+    const apiToken = store.apiTokens.where('tokenHash', hashSecret(token))[0];
+    const user = apiToken && isApiTokenActive(apiToken) ? store.users.get(apiToken.userId) : null;
+    if (!user || !user.isActive) {
+        return res.status(401).json({ success: false, message: 'Token de API inválido, vencido ou revogado' });
+    }
+
+    const scopeError = apiTokenScopeError(apiToken.scope, req.method, req.baseUrl + req.route.path);
+    if (scopeError) {
+        return res.status(403).json({ success: false, scope: apiToken.scope, message: scopeError });
+    }
+
+    // O último uso é gravado no máximo uma vez por minuto
+    const now = Date.now();
+    if (!apiToken.lastUsedAt || now - Date.parse(apiToken.lastUsedAt) > API_TOKEN_TOUCH_MS) {
+        apiToken.lastUsedAt = new Date(now).toISOString();
+        apiToken.lastUsedIp = req.ip;
+        store.apiTokens.update(apiToken).catch(error => {
+            console.error('❌ Erro ao registrar uso do token de API:', error);
+        });
     }
+
+    req.user = {
+        ...withCurrentProfile({ id: user.id, email: user.email, name: user.name, role: user.role }),
+        mfa: Boolean(apiToken.mfa),
+        apiToken: { id: apiToken.id, name: apiToken.name, scope: apiToken.scope }
+    };
+    next();
 }
 
-// Middleware de autenticação
+// Middleware de autenticação: aceita o token da sessão (JWT) ou um token pessoal de API
 const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -146,24 +823,279 @@ const authenticateToken = (req, res, next) => {
     if (!token) {
         return res.status(401).json({ success: false, message: 'Token de acesso necessário' });
     }
+    if (isApiToken(token)) {
+        return authenticateApiToken(req, res, next, token);
+    }
 
     jwt.verify(token, JWT_SECRET, (err, user) => {
         if (err) {
+            // Token expirado: o cliente renova com o refresh token e repete o pedido
+            if (err.name === 'TokenExpiredError') {
+                return res.status(401).json({ success: false, expired: true, message: 'Token expirado' });
+            }
             return res.status(403).json({ success: false, message: 'Token inválido' });
         }
-        req.user = user;
+        const session = findActiveSession(user);
+        if (!session) {
+            return res.status(401).json({ success: false, revoked: true, message: 'Sessão encerrada. Faça login novamente.' });
+        }
+        req.user = { ...withCurrentProfile(user), mfa: Boolean(session.mfa) };
         next();
     });
 };
 
+// Poderes de admin exigem uma sessão confirmada com o segundo fator
+function isVerifiedAdmin(user) {
+    return user.role === 'admin' && user.mfa === true;
+}
+
 // Middleware para verificar se é admin
 const requireAdmin = (req, res, next) => {
     if (req.user.role !== 'admin') {
         return res.status(403).json({ success: false, message: 'Acesso negado. Apenas administradores.' });
     }
+    if (req.user.apiToken && req.user.apiToken.scope !== 'admin') {
+        return res.status(403).json({
+            success: false,
+            scope: req.user.apiToken.scope,
+            message: 'Rotas de administrador exigem um token de API com escopo "admin".'
+        });
+    }
+    if (!isVerifiedAdmin(req.user)) {
+        return res.status(403).json({
+            success: false,
+            twoFactorRequired: true,
+            message: req.user.twoFactorEnabled
+                ? 'Entre novamente confirmando o código de verificação para usar as funções de administrador.'
+                : 'Administradores precisam ativar a verificação em duas etapas em "Minha Conta".'
+        });
+    }
     next();
 };
 
+function findUserByEmail(email) {
+    return store.users.where('email', String(email).toLowerCase())[0] || null;
+}
+
+// Parcerias que o usuário pode ver
+function visiblePartnerships(user) {
+    return store.partnerships.list().filter(p => can(user, 'view', p));
+}
+
+// Parceria que o usuário pode ver; as ocultas respondem como inexistentes (404)
+function findVisiblePartnership(user, id) {
+    const partnership = store.partnerships.get(id);
+    return partnership && can(user, 'view', partnership) ? partnership : null;
+}
+
+// Conflitos de wallets como o usuário pode vê-los: ocorrências em parcerias ocultas
+// viram só uma contagem (hiddenOccurrences)
+function visibleConflicts(conflicts, user) {
+    return conflicts
+        .map(({ address, occurrences }) => {
+            const visible = occurrences.filter(o => {
+                const partnership = store.partnerships.get(o.partnershipId);
+                return partnership && can(user, 'view', partnership);
+            });
+            return { address, occurrences: visible, hiddenOccurrences: occurrences.length - visible.length };
+        })
+        .filter(conflict => conflict.occurrences.length > 0);
+}
+
+// Confere a ação na política de permissões (lib/policy.js).
+// Quando não pode, responde 403 e retorna false.
+function authorize(req, res, action, partnership, message = deniedMessage(action)) {
+    if (can(req.user, action, partnership)) {
+        return true;
+    }
+    res.status(403).json({ success: false, message });
+    return false;
+}
+
+// Marca uma alteração: quem mexeu, quando e a nova versão (usada no ETag/If-Match)
+function touchPartnership(partnership, user, timestamp) {
+    partnership.updatedAt = timestamp;
+    partnership.lastModifiedBy = user.name;
+    partnership.lastModifiedByEmail = user.email;
+    partnership.version = (partnership.version || 0) + 1;
+    return partnership;
+}
+
+function partnershipEtag(partnership) {
+    return `"${partnership.version}"`;
+}
+
+// Confere o If-Match enviado pelo cliente. Sem cabeçalho a escrita é incondicional.
+// Em conflito responde 409 com a versão atual do servidor e retorna false.
+function checkIfMatch(req, res, partnership) {
+    const header = req.headers['if-match'];
+    if (!header) {
+        return true;
+    }
+
+    const tags = header.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    if (tags.includes('*') || tags.includes(partnershipEtag(partnership))) {
+        return true;
+    }
+
+    res.set('ETag', partnershipEtag(partnership));
+    res.status(409).json({
+        success: false,
+        conflict: true,
+        message: `Parceria alterada por ${partnership.lastModifiedBy || 'outro usuário'} enquanto você editava. Revise a versão atual e salve novamente.`,
+        data: partnership
+    });
+    return false;
+}
+
+// Resposta padrão para tentativas de mudar wallets de uma lista já enviada
+function rejectLockedWallets(res, partnership) {
+    res.status(409).json({
+        success: false,
+        locked: true,
+        message: `As wallets não podem mais ser alteradas: parceria "${STATUS_LABELS[partnership.status]}". Reabra a coleta para editar.`
+    });
+}
+
+// Admin pode passar da cota de WLs enviando ?overrideQuota=1
+function wantsQuotaOverride(req) {
+    return isVerifiedAdmin(req.user) && ['1', 'true'].includes(String(req.query.overrideQuota));
+}
+
+// Confere se a nova lista de wallets cabe na cota. Retorna { override } quando pode
+// gravar (override traz o excedente aceito pelo admin, ou null); em bloqueio responde
+// 409 e retorna false.
+function checkQuota(req, res, allocated, currentCount, nextCount) {
+    const excess = quotaExcess(allocated, currentCount, nextCount);
+    if (!excess) {
+        return { override: null };
+    }
+    if (wantsQuotaOverride(req)) {
+        return { override: excess };
+    }
+
+    res.status(409).json({
+        success: false,
+        quotaExceeded: true,
+        quota: excess,
+        message: isVerifiedAdmin(req.user)
+            ? `${quotaMessage(excess)}. Confirme com overrideQuota para gravar mesmo assim.`
+            : `${quotaMessage(excess)}. Apenas administradores podem passar da cota.`
+    });
+    return false;
+}
+
+// Alterações aceitas acima da cota ficam marcadas no histórico
+function flagQuotaOverride(entry, override) {
+    return override ? { ...entry, quotaOverride: override } : entry;
+}
+
+function partnershipRoom(id) {
+    return `partnership:${id}`;
+}
+
+// Sockets do feed geral e das salas das parcerias
+function partnershipRecipients(partnerships) {
+    const socketIds = new Set();
+    [FEED_ROOM, ...partnerships.map(p => partnershipRoom(p.id))].forEach(room => {
+        (io.sockets.adapter.rooms.get(room) || []).forEach(id => socketIds.add(id));
+    });
+    return Array.from(socketIds).map(id => io.sockets.sockets.get(id)).filter(Boolean);
+}
+
+// Envia um evento de parceria ao feed geral e às salas das parcerias envolvidas, só para
+// quem pode ver ao menos uma delas. `payload` pode ser uma função (user) => dados,
+// para montar a mensagem de cada destinatário. Os webhooks que assinam o evento
+// também recebem, em segundo plano.
+function emitPartnershipEvent(event, payload, partnerships, { except = null } = {}) {
+    partnershipRecipients(partnerships).forEach(socket => {
+        if (socket.id === except) return;
+        const user = socketUser(socket);
+        if (!partnerships.some(p => can(user, 'view', p))) return;
+        socket.emit(event, typeof payload === 'function' ? payload(user) : payload);
+    });
+
+    if (WEBHOOK_EVENTS.includes(event)) {
+        webhooks.dispatch(event, typeof payload === 'function' ? payload(WEBHOOK_VIEWER) : payload);
+    }
+}
+
+// Quem via a parceria e deixou de ver (visibilidade ou colaboradores mudaram)
+// recebe partnershipHidden para tirá-la da tela
+function emitAccessLost(before, after) {
+    partnershipRecipients([before]).forEach(socket => {
+        const user = socketUser(socket);
+        if (can(user, 'view', before) && !can(user, 'view', after)) {
+            socket.emit('partnershipHidden', { partnershipId: after.id });
+        }
+    });
+}
+
+// Propaga um novo nome de exibição: parcerias e lixeira (criador, última alteração,
+// wallets, etapas, colaboradores) e usuários online; quem vê as parcerias afetadas
+// recebe authorRenamed
+async function renameUser(user) {
+    const renamed = store.partnerships.list().filter(p => renameAuthor(p, user.email, user.name));
+    if (renamed.length > 0) {
+        await store.partnerships.update(renamed);
+    }
+
+    const trashed = store.trash.list().filter(item => {
+        const changed = renameAuthor(item.partnership, user.email, user.name);
+        if (item.deletedByEmail === user.email && item.deletedBy !== user.name) {
+            item.deletedBy = user.name;
+            return true;
+        }
+        return changed;
+    });
+    if (trashed.length > 0) {
+        await store.trash.update(trashed);
+    }
+
+    io.sockets.sockets.forEach(socket => {
+        if (socket.user.id === user.id) {
+            socket.user.name = user.name;
+        }
+    });
+    connectedUsers.forEach(entry => {
+        if (entry.userId === user.id) {
+            entry.name = user.name;
+        }
+    });
+
+    if (renamed.length > 0) {
+        emitPartnershipEvent('authorRenamed', currentUser => ({
+            email: user.email,
+            name: user.name,
+            partnershipIds: renamed.filter(p => can(currentUser, 'view', p)).map(p => p.id)
+        }), renamed);
+    }
+}
+
+// Envia o arquivo de exportação como download
+function sendExport(res, format, wallets, skipped, meta, baseName) {
+    const file = renderExport(format, wallets, { ...meta, skipped });
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${baseName}.${file.extension}"`);
+    res.set('X-Skipped-Wallets', String(skipped.length));
+    res.send(file.body);
+}
+
+// Lê as opções comuns das rotas de importação
+function readImportOptions(body) {
+    const format = String(body.format || '').toLowerCase();
+    const walletStrategy = body.walletStrategy || 'merge';
+    const dryRun = body.dryRun !== false;
+
+    if (typeof body.content !== 'string' || !body.content.trim()) {
+        return { error: 'Conteúdo do arquivo é obrigatório' };
+    }
+    if (!IMPORT_STRATEGIES.includes(walletStrategy)) {
+        return { error: `Estratégia inválida. Use: ${IMPORT_STRATEGIES.join(', ')}` };
+    }
+    return { format, walletStrategy, dryRun, content: body.content };
+}
+
 // Gera ID único
 function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
@@ -183,8 +1115,18 @@ app.post('/api/auth/register', async (req, res) => {
             });
         }
 
+        const displayName = normalizeName(name);
+        if (displayName.error) {
+            return res.status(400).json({ success: false, message: displayName.error });
+        }
+
+        const weak = passwordErrors(password, { email, name: displayName.value });
+        if (weak.length > 0) {
+            return weakPasswordResponse(res, weak);
+        }
+
         // Verifica se o email está na lista de permitidos
-        const allowedEmail = allowedEmails.find(ae => ae.email.toLowerCase() === email.toLowerCase());
+        const allowedEmail = store.allowedEmails.get(email.toLowerCase());
         if (!allowedEmail) {
             return res.status(403).json({ 
                 success: false, 
@@ -193,7 +1135,7 @@ app.post('/api/auth/register', async (req, res) => {
         }
 
         // Verifica se o usuário já existe
-        const existingUser = users.find(u => u.email.toLowerCase() === email.toLowerCase());
+        const existingUser = findUserByEmail(email);
         if (existingUser) {
             return res.status(400).json({ 
                 success: false, 
@@ -209,24 +1151,20 @@ app.post('/api/auth/register', async (req, res) => {
         const newUser = {
             id: uuidv4(),
             email: email.toLowerCase(),
-            name: name.trim(),
+            name: displayName.value,
             password: hashedPassword,
-            role: allowedEmail.role || 'user',
+            role: normalizeRole(allowedEmail.role),
             createdAt: new Date().toISOString(),
             lastLogin: null,
             isActive: true
         };
 
-        users.push(newUser);
-        await saveUsers();
-
-        // Remove senha da resposta
-        const { password: _, ...userResponse } = newUser;
+        await store.users.insert(newUser);
 
         res.json({
             success: true,
             message: 'Usuário criado com sucesso',
-            user: userResponse
+            user: publicUser(newUser)
         });
     } catch (error) {
         console.error('❌ Erro no registro:', error);
@@ -247,7 +1185,7 @@ app.post('/api/auth/login', loginLimiter, async (req, res) => {
         }
 
         // Busca usuário
-        const user = users.find(u => u.email.toLowerCase() === email.toLowerCase());
+        const user = findUserByEmail(email);
         if (!user) {
             return res.status(401).json({ 
                 success: false, 
@@ -263,6 +1201,14 @@ app.post('/api/auth/login', loginLimiter, async (req, res) => {
             });
         }
 
+        // Contas criadas pela carteira não têm senha
+        if (!user.password) {
+            return res.status(401).json({
+                success: false,
+                message: 'Esta conta entra com carteira. Use "Entrar com carteira".'
+            });
+        }
+
         // Verifica senha
         const isValidPassword = await bcrypt.compare(password, user.password);
         if (!isValidPassword) {
@@ -272,203 +1218,2749 @@ app.post('/api/auth/login', loginLimiter, async (req, res) => {
             });
         }
 
-        // Atualiza último login
-        user.lastLogin = new Date().toISOString();
-        await saveUsers();
+        await completeLogin(user, req, res);
+    } catch (error) {
+        console.error('❌ Erro no login:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Verificar token
+app.get('/api/auth/verify', authenticateToken, (req, res) => {
+    const stored = store.users.get(req.user.id);
+    res.json({
+        success: true,
+        user: {
+            ...req.user,
+            walletAddress: stored.walletAddress || null,
+            hasPassword: Boolean(stored.password)
+        }
+    });
+});
+
+// Renovar o token de acesso. O refresh token é trocado a cada uso; reapresentar um
+// refresh token já trocado (fora da tolerância entre abas) revoga a sessão.
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const parsed = parseRefreshToken(req.body.refreshToken);
+        const session = parsed ? store.sessions.get(parsed.sessionId) : null;
+
+        if (!isSessionActive(session)) {
+            return res.status(401).json({
+                success: false,
+                revoked: true,
+                message: 'Sessão encerrada. Faça login novamente.'
+            });
+        }
+
+        const user = store.users.get(session.userId);
+        if (!user || !user.isActive) {
+            await revokeSessions([session], { by: 'system', reason: 'inactive' });
+            return res.status(401).json({
+                success: false,
+                revoked: true,
+                message: 'Conta desativada. Entre em contato com o administrador.'
+            });
+        }
+
+        const userResponse = publicUser(user);
 
-        // Gera token JWT
-        const token = jwt.sign(
-            { 
-                id: user.id, 
-                email: user.email, 
-                name: user.name, 
-                role: user.role 
-            },
-            JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        // Outra aba já renovou com este token há pouco: só um novo token de acesso
+        const recentlyRotated = session.rotatedAt && Date.now() - Date.parse(session.rotatedAt) < REFRESH_REUSE_GRACE_MS;
+        if (recentlyRotated && matchesHash(parsed.secret, session.previousHash)) {
+            return res.json({
+                success: true,
+                token: signAccessToken(user, session.id),
+                expiresIn: ACCESS_TOKEN_TTL,
+                user: userResponse
+            });
+        }
+
+        if (!matchesHash(parsed.secret, session.refreshHash)) {
+            await revokeSessions([session], { by: 'system', reason: 'reuse' });
+            return res.status(401).json({
+                success: false,
+                revoked: true,
+                message: 'Refresh token reutilizado. A sessão foi encerrada por segurança.'
+            });
+        }
 
-        // Remove senha da resposta
-        const { password: _, ...userResponse } = user;
+        const secret = createRefreshSecret();
+        session.previousHash = session.refreshHash;
+        session.refreshHash = hashSecret(secret);
+        session.rotatedAt = new Date().toISOString();
+        session.lastUsedAt = session.rotatedAt;
+        await store.sessions.update(session);
 
         res.json({
             success: true,
-            message: 'Login realizado com sucesso',
-            token,
+            token: signAccessToken(user, session.id),
+            refreshToken: formatRefreshToken(session.id, secret),
+            expiresIn: ACCESS_TOKEN_TTL,
             user: userResponse
         });
     } catch (error) {
-        console.error('❌ Erro no login:', error);
+        console.error('❌ Erro ao renovar token:', error);
         res.status(500).json({ success: false, message: 'Erro interno do servidor' });
     }
 });
 
-// Verificar token
-app.get('/api/auth/verify', authenticateToken, (req, res) => {
+// Sair: encerra a sessão do refresh token (ou do token de acesso, mesmo expirado)
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        let sessionId = null;
+        const parsed = parseRefreshToken(req.body.refreshToken);
+        if (parsed) {
+            const session = store.sessions.get(parsed.sessionId);
+            if (session && matchesHash(parsed.secret, session.refreshHash)) {
+                sessionId = session.id;
+            }
+        }
+
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+        if (!sessionId && token) {
+            try {
+                sessionId = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true }).sid || null;
+            } catch (error) {
+                sessionId = null;
+            }
+        }
+
+        const session = sessionId ? store.sessions.get(sessionId) : null;
+        if (session) {
+            await revokeSessions([session], { by: session.email, reason: 'logout' });
+        }
+
+        res.json({ success: true, message: 'Sessão encerrada' });
+    } catch (error) {
+        console.error('❌ Erro no logout:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Sessões do próprio usuário
+app.get('/api/auth/sessions', authenticateToken, (req, res) => {
+    const sessions = userSessions(req.user.id)
+        .filter(session => isSessionActive(session))
+        .map(session => publicSession(session, req.user.sid));
+
     res.json({
         success: true,
-        user: req.user
+        data: sessions,
+        count: sessions.length
     });
 });
 
-// =================== ROTAS DE ADMINISTRAÇÃO ===================
+// Encerrar uma sessão do próprio usuário (ex.: outro dispositivo)
+app.delete('/api/auth/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        const session = store.sessions.get(req.params.id);
+        if (!session || session.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sessão não encontrada'
+            });
+        }
 
-// Listar usuários (apenas admin)
-app.get('/api/admin/users', authenticateToken, requireAdmin, (req, res) => {
-    const usersResponse = users.map(user => {
-        const { password, ...userWithoutPassword } = user;
-        return userWithoutPassword;
-    });
+        await revokeSessions([session], { by: req.user.email, reason: 'user' });
+
+        res.json({ success: true, message: 'Sessão encerrada' });
+    } catch (error) {
+        console.error('❌ Erro ao encerrar sessão:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Tokens pessoais de API do próprio usuário
+app.get('/api/auth/tokens', authenticateToken, (req, res) => {
+    const tokens = store.apiTokens.where('userId', req.user.id).map(publicApiToken);
 
     res.json({
         success: true,
-        users: usersResponse,
-        count: usersResponse.length
+        data: tokens,
+        count: tokens.length,
+        scopes: API_TOKEN_SCOPES.map(scope => ({ scope, label: API_TOKEN_SCOPE_LABELS[scope] }))
     });
 });
 
-// Listar emails permitidos (apenas admin)
-app.get('/api/admin/allowed-emails', authenticateToken, requireAdmin, (req, res) => {
+// Criar um token. O valor só aparece nesta resposta; depois fica apenas o hash.
+app.post('/api/auth/tokens', authenticateToken, async (req, res) => {
+    try {
+        const { value, error } = normalizeApiTokenInput(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        // Escopo admin só para admins com o segundo fator confirmado nesta sessão
+        if (value.scope === 'admin' && !isVerifiedAdmin(req.user)) {
+            return res.status(403).json({
+                success: false,
+                twoFactorRequired: req.user.role === 'admin',
+                message: req.user.role === 'admin'
+                    ? 'Entre confirmando o código de verificação para criar tokens de administrador.'
+                    : 'Apenas administradores podem criar tokens com escopo "admin".'
+            });
+        }
+
+        if (store.apiTokens.where('userId', req.user.id).length >= MAX_API_TOKENS_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                message: `Limite de ${MAX_API_TOKENS_PER_USER} tokens atingido. Revogue um token antigo antes de criar outro.`
+            });
+        }
+
+        const token = createApiToken();
+        const now = new Date();
+        const apiToken = {
+            id: uuidv4(),
+            userId: req.user.id,
+            name: value.name,
+            scope: value.scope,
+            tokenHash: hashSecret(token),
+            prefix: token.slice(0, 12),
+            mfa: value.scope === 'admin',
+            createdAt: now.toISOString(),
+            expiresAt: value.expiresInDays
+                ? new Date(now.getTime() + value.expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+                : null,
+            lastUsedAt: null,
+            lastUsedIp: null
+        };
+        await store.apiTokens.insert(apiToken);
+
+        console.log(`🔑 Token de API "${apiToken.name}" (${apiToken.scope}) criado por ${req.user.email}`);
+
+        res.status(201).json({
+            success: true,
+            data: publicApiToken(apiToken),
+            token,
+            message: 'Token criado. Copie agora: ele não será mostrado de novo.'
+        });
+    } catch (error) {
+        console.error('❌ Erro ao criar token de API:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Revogar um token do próprio usuário
+app.delete('/api/auth/tokens/:id', authenticateToken, async (req, res) => {
+    try {
+        const apiToken = store.apiTokens.get(req.params.id);
+        if (!apiToken || apiToken.userId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Token não encontrado'
+            });
+        }
+
+        await store.apiTokens.remove(apiToken.id);
+
+        res.json({ success: true, message: `Token "${apiToken.name}" revogado` });
+    } catch (error) {
+        console.error('❌ Erro ao revogar token de API:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Alterar o próprio nome de exibição
+app.put('/api/auth/profile', authenticateToken, async (req, res) => {
+    try {
+        const user = store.users.get(req.user.id);
+        const displayName = normalizeName(req.body.name);
+        if (displayName.error) {
+            return res.status(400).json({ success: false, message: displayName.error });
+        }
+
+        if (displayName.value !== user.name) {
+            user.name = displayName.value;
+            await store.users.update(user);
+            await renameUser(user);
+        }
+
+        res.json({
+            success: true,
+            message: 'Perfil atualizado',
+            user: publicUser(user)
+        });
+    } catch (error) {
+        console.error('❌ Erro ao atualizar perfil:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Trocar a própria senha; as outras sessões do usuário são encerradas
+app.post('/api/auth/password', authenticateToken, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const user = store.users.get(req.user.id);
+
+        if (!user.password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Esta conta entra com carteira e não tem senha'
+            });
+        }
+
+        if (!currentPassword || !(await bcrypt.compare(String(currentPassword), user.password))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Senha atual incorreta'
+            });
+        }
+
+        const weak = passwordErrors(newPassword, user);
+        if (weak.length > 0) {
+            return weakPasswordResponse(res, weak);
+        }
+        if (await bcrypt.compare(newPassword, user.password)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A nova senha deve ser diferente da atual'
+            });
+        }
+
+        await setPassword(user, newPassword);
+        const others = userSessions(user.id).filter(session => session.id !== req.user.sid);
+        const revoked = await revokeSessions(others, { by: user.email, reason: 'password_changed' });
+
+        res.json({
+            success: true,
+            message: revoked > 0
+                ? `Senha alterada. ${revoked} outra(s) sessão(ões) foram encerradas.`
+                : 'Senha alterada'
+        });
+    } catch (error) {
+        console.error('❌ Erro ao trocar senha:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Esqueci a senha: envia o link por email. A resposta é a mesma exista ou não a conta.
+app.post('/api/auth/password-reset', passwordResetLimiter, async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim();
+        if (!email) {
+            return res.status(400).json({ success: false, message: 'Email é obrigatório' });
+        }
+        if (!APP_URL) {
+            return res.status(503).json({ success: false, message: PASSWORD_RESET_UNAVAILABLE });
+        }
+
+        const user = findUserByEmail(email);
+        if (user && user.isActive && user.password) {
+            await sendPasswordReset(user, req);
+            console.log(`🔑 Link de redefinição enviado para ${user.email}`);
+        }
+
+        res.json({
+            success: true,
+            message: 'Se o email estiver cadastrado, você receberá um link para criar uma nova senha.'
+        });
+    } catch (error) {
+        console.error('❌ Erro ao pedir redefinição de senha:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Confere um link de redefinição antes de mostrar o formulário
+app.get('/api/auth/password-reset/:token', (req, res) => {
+    const found = findPasswordReset(req.params.token);
+    if (!found) {
+        return res.status(404).json({
+            success: false,
+            message: 'Link de redefinição inválido ou expirado'
+        });
+    }
+
     res.json({
         success: true,
-        allowedEmails: allowedEmails,
-        count: allowedEmails.length
+        email: found.user.email,
+        name: found.user.name,
+        expiresAt: found.reset.expiresAt,
+        rules: PASSWORD_RULES
     });
 });
 
-// Adicionar email permitido (apenas admin)
-app.post('/api/admin/allowed-emails', authenticateToken, requireAdmin, async (req, res) => {
+// Define a nova senha pelo link; todas as sessões da conta são encerradas
+app.post('/api/auth/password-reset/:token', passwordResetLimiter, async (req, res) => {
     try {
-        const { email, role = 'user' } = req.body;
+        const found = findPasswordReset(req.params.token);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Link de redefinição inválido ou expirado'
+            });
+        }
 
-        if (!email) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Email é obrigatório' 
+        const { user } = found;
+        const weak = passwordErrors(req.body.password, user);
+        if (weak.length > 0) {
+            return weakPasswordResponse(res, weak);
+        }
+
+        await setPassword(user, req.body.password);
+        await revokeSessions(userSessions(user.id), { by: user.email, reason: 'password_reset' });
+        console.log(`🔑 Senha redefinida: ${user.email}`);
+
+        res.json({
+            success: true,
+            message: 'Senha redefinida. Faça login com a nova senha.',
+            email: user.email
+        });
+    } catch (error) {
+        console.error('❌ Erro ao redefinir senha:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Login, segundo passo: o código do autenticador (ou de recuperação) troca o desafio
+// pelos tokens
+app.post('/api/auth/login/2fa', twoFactorLimiter, async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+
+        let challenge;
+        try {
+            challenge = jwt.verify(String(challengeToken || ''), JWT_SECRET);
+        } catch (error) {
+            challenge = null;
+        }
+        const user = challenge && challenge.purpose === 'two_factor' ? store.users.get(challenge.id) : null;
+        if (!user || !user.isActive || !hasTwoFactor(user)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Verificação expirada. Faça login novamente.'
             });
         }
 
-        // Verifica se o email já está na lista
-        const existingEmail = allowedEmails.find(ae => ae.email.toLowerCase() === email.toLowerCase());
-        if (existingEmail) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Email já está na lista de permitidos' 
+        const method = await verifySecondFactor(user, code);
+        if (!method) {
+            return res.status(401).json({
+                success: false,
+                message: 'Código inválido'
             });
         }
+        if (method === 'recovery') {
+            console.log(`🔐 Código de recuperação usado por ${user.email} (${user.twoFactor.recoveryCodes.length} restantes)`);
+        }
 
-        const newAllowedEmail = {
-            email: email.toLowerCase(),
-            role: role,
-            addedAt: new Date().toISOString(),
-            addedBy: req.user.email
-        };
+        await completeLogin(user, req, res, { mfa: true });
+    } catch (error) {
+        console.error('❌ Erro na verificação em duas etapas:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Situação da verificação em duas etapas do próprio usuário
+app.get('/api/auth/2fa', authenticateToken, (req, res) => {
+    const user = store.users.get(req.user.id);
+    res.json({
+        success: true,
+        enabled: hasTwoFactor(user),
+        required: user.role === 'admin',
+        enabledAt: hasTwoFactor(user) ? user.twoFactor.enabledAt : null,
+        recoveryCodesLeft: hasTwoFactor(user) ? user.twoFactor.recoveryCodes.length : 0,
+        sessionVerified: req.user.mfa
+    });
+});
+
+// Ativação, passo 1: novo segredo para cadastrar no aplicativo (QR code ou URI)
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
+    try {
+        const user = store.users.get(req.user.id);
+        if (hasTwoFactor(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A verificação em duas etapas já está ativa'
+            });
+        }
 
-        allowedEmails.push(newAllowedEmail);
-        await saveAllowedEmails();
+        const secret = generateSecret();
+        user.twoFactor = {
+            enabled: false,
+            secret: encryptSecret(secret, TWO_FACTOR_KEY),
+            recoveryCodes: [],
+            lastUsedStep: null,
+            enabledAt: null
+        };
+        await store.users.update(user);
 
+        const uri = otpauthUrl({ secret, account: user.email, issuer: TWO_FACTOR_ISSUER });
         res.json({
             success: true,
-            message: 'Email adicionado à lista de permitidos',
-            allowedEmail: newAllowedEmail
+            secret,
+            otpauthUrl: uri,
+            qrCode: await qrCodeDataUrl(uri)
         });
     } catch (error) {
-        console.error('❌ Erro ao adicionar email permitido:', error);
+        console.error('❌ Erro ao preparar 2FA:', error);
         res.status(500).json({ success: false, message: 'Erro interno do servidor' });
     }
 });
 
-// Remover email permitido (apenas admin)
-app.delete('/api/admin/allowed-emails/:email', authenticateToken, requireAdmin, async (req, res) => {
+// Ativação, passo 2: o primeiro código confirma o cadastro. Devolve os códigos de
+// recuperação (só nesta resposta) e a sessão atual passa a contar como verificada.
+app.post('/api/auth/2fa/enable', authenticateToken, async (req, res) => {
     try {
-        const { email } = req.params;
+        const user = store.users.get(req.user.id);
+        if (!user.twoFactor || hasTwoFactor(user)) {
+            return res.status(400).json({
+                success: false,
+                message: hasTwoFactor(user) ? 'A verificação em duas etapas já está ativa' : 'Gere o QR code antes de ativar'
+            });
+        }
 
-        // Não permite remover o próprio email
-        if (email.toLowerCase() === req.user.email.toLowerCase()) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Não é possível remover seu próprio email' 
+        const step = verifyTotp(decryptSecret(user.twoFactor.secret, TWO_FACTOR_KEY), req.body.code);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Código inválido. Confira o horário do celular e tente novamente.'
             });
         }
 
-        const index = allowedEmails.findIndex(ae => ae.email.toLowerCase() === email.toLowerCase());
-        if (index === -1) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'Email não encontrado na lista' 
+        // Sessão encerrada no meio do pedido: não ativa sem ter a quem mostrar os códigos
+        const session = findActiveSession(req.user);
+        if (!session) {
+            return res.status(401).json({ success: false, revoked: true, message: 'Sessão encerrada. Faça login novamente.' });
+        }
+
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date().toISOString();
+        user.twoFactor.lastUsedStep = step;
+        const recoveryCodes = issueRecoveryCodes(user);
+        await store.users.update(user);
+
+        session.mfa = true;
+        await store.sessions.update(session);
+        console.log(`🔐 2FA ativado: ${user.email}`);
+
+        res.json({
+            success: true,
+            message: 'Verificação em duas etapas ativada. Guarde os códigos de recuperação.',
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('❌ Erro ao ativar 2FA:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Gerar novos códigos de recuperação (os anteriores deixam de valer)
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, twoFactorLimiter, async (req, res) => {
+    try {
+        const user = store.users.get(req.user.id);
+        if (!hasTwoFactor(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A verificação em duas etapas não está ativa'
+            });
+        }
+        if (!(await verifySecondFactor(user, req.body.code))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Código inválido'
+            });
+        }
+
+        const recoveryCodes = issueRecoveryCodes(user);
+        await store.users.update(user);
+
+        res.json({
+            success: true,
+            message: 'Novos códigos de recuperação gerados',
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('❌ Erro ao gerar códigos de recuperação:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Desativar a verificação em duas etapas (não vale para admins, para quem é obrigatória)
+app.post('/api/auth/2fa/disable', authenticateToken, twoFactorLimiter, async (req, res) => {
+    try {
+        const user = store.users.get(req.user.id);
+        if (!hasTwoFactor(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A verificação em duas etapas não está ativa'
+            });
+        }
+        if (user.role === 'admin') {
+            return res.status(400).json({
+                success: false,
+                message: 'A verificação em duas etapas é obrigatória para administradores'
+            });
+        }
+        if (!(await verifySecondFactor(user, req.body.code))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Código inválido'
+            });
+        }
+
+        delete user.twoFactor;
+        await store.users.update(user);
+        console.log(`🔓 2FA desativado: ${user.email}`);
+
+        res.json({
+            success: true,
+            message: 'Verificação em duas etapas desativada'
+        });
+    } catch (error) {
+        console.error('❌ Erro ao desativar 2FA:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Login com carteira (EIP-4361), passo 1: nonce e mensagem para a carteira assinar
+app.post('/api/auth/siwe/nonce', (req, res) => {
+    const address = normalizeAddress(req.body.address);
+    if (!address) {
+        return res.status(400).json({ success: false, message: 'Endereço de carteira inválido' });
+    }
+    const chainId = parseInt(req.body.chainId) || 1;
+
+    const now = Date.now();
+    siweNonces.forEach((expiresAt, nonce) => {
+        if (expiresAt <= now) siweNonces.delete(nonce);
+    });
+
+    const nonce = createNonce();
+    const expiresAt = new Date(now + SIWE_NONCE_TTL_MS).toISOString();
+    siweNonces.set(nonce, now + SIWE_NONCE_TTL_MS);
+
+    res.json({
+        success: true,
+        nonce,
+        expiresAt,
+        message: buildSiweMessage({
+            domain: siweDomain(req),
+            address,
+            uri: appUrl(req),
+            chainId,
+            nonce,
+            issuedAt: new Date(now).toISOString(),
+            expirationTime: expiresAt
+        })
+    });
+});
+
+// Login com carteira, passo 2: confere a assinatura e abre a sessão. Carteira vinculada
+// entra na conta dela; carteira autorizada e sem conta ganha uma conta nova.
+app.post('/api/auth/siwe/login', loginLimiter, async (req, res) => {
+    try {
+        const verified = verifyWalletSignature(req);
+        if (verified.status) {
+            return res.status(verified.status).json({ success: false, message: verified.message });
+        }
+
+        let user = findUserByWallet(verified.address);
+        if (!user) {
+            const allowedWallet = store.allowedWallets.get(verified.address.toLowerCase());
+            if (!allowedWallet) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Carteira não autorizada. Vincule-a à sua conta ou peça acesso ao administrador.'
+                });
+            }
+
+            user = {
+                id: uuidv4(),
+                email: walletAccountEmail(verified.address),
+                name: allowedWallet.name || `${verified.address.slice(0, 6)}…${verified.address.slice(-4)}`,
+                password: null,
+                role: normalizeRole(allowedWallet.role),
+                walletAddress: verified.address,
+                walletLinkedAt: new Date().toISOString(),
+                createdAt: new Date().toISOString(),
+                lastLogin: null,
+                isActive: true
+            };
+            await store.users.insert(user);
+            console.log(`👛 Conta criada pela carteira ${verified.address}`);
+        }
+
+        if (!user.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Conta desativada. Entre em contato com o administrador.'
+            });
+        }
+
+        await completeLogin(user, req, res);
+    } catch (error) {
+        console.error('❌ Erro no login com carteira:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Vincular uma carteira à própria conta (assinando a mensagem do nonce)
+app.put('/api/auth/wallet', authenticateToken, async (req, res) => {
+    try {
+        const verified = verifyWalletSignature(req);
+        if (verified.status) {
+            return res.status(verified.status).json({ success: false, message: verified.message });
+        }
+
+        const owner = findUserByWallet(verified.address);
+        if (owner && owner.id !== req.user.id) {
+            return res.status(409).json({
+                success: false,
+                message: 'Esta carteira já está vinculada a outra conta'
+            });
+        }
+
+        const user = store.users.get(req.user.id);
+        if (isWalletAccountEmail(user.email)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Contas criadas pela carteira não trocam de carteira'
+            });
+        }
+
+        user.walletAddress = verified.address;
+        user.walletLinkedAt = new Date().toISOString();
+        await store.users.update(user);
+
+        res.json({
+            success: true,
+            message: 'Carteira vinculada. Você já pode entrar com ela.',
+            user: publicUser(user)
+        });
+    } catch (error) {
+        console.error('❌ Erro ao vincular carteira:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Desvincular a carteira da própria conta
+app.delete('/api/auth/wallet', authenticateToken, async (req, res) => {
+    try {
+        const user = store.users.get(req.user.id);
+        if (!user.walletAddress) {
+            return res.status(404).json({
+                success: false,
+                message: 'Nenhuma carteira vinculada'
+            });
+        }
+        if (isWalletAccountEmail(user.email)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A carteira é o único acesso desta conta e não pode ser desvinculada'
+            });
+        }
+
+        user.walletAddress = null;
+        user.walletLinkedAt = null;
+        await store.users.update(user);
+
+        res.json({
+            success: true,
+            message: 'Carteira desvinculada',
+            user: publicUser(user)
+        });
+    } catch (error) {
+        console.error('❌ Erro ao desvincular carteira:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// =================== ROTAS DE ADMINISTRAÇÃO ===================
+
+// Listar usuários (apenas admin)
+app.get('/api/admin/users', authenticateToken, requireAdmin, (req, res) => {
+    const usersResponse = store.users.list().map(user => {
+        return {
+            ...publicUser(user),
+            activeSessions: userSessions(user.id).filter(session => isSessionActive(session)).length,
+            apiTokens: store.apiTokens.where('userId', user.id).length
+        };
+    });
+
+    res.json({
+        success: true,
+        users: usersResponse,
+        count: usersResponse.length
+    });
+});
+
+// Listar emails permitidos (apenas admin)
+app.get('/api/admin/allowed-emails', authenticateToken, requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        allowedEmails: store.allowedEmails.list(),
+        count: store.allowedEmails.count()
+    });
+});
+
+// Adicionar email permitido (apenas admin)
+app.post('/api/admin/allowed-emails', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { email, role = 'editor' } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Email é obrigatório' 
+            });
+        }
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Função inválida. Use: ${ROLES.join(', ')}`
+            });
+        }
+
+        // Verifica se o email já está na lista
+        const existingEmail = store.allowedEmails.get(email.toLowerCase());
+        if (existingEmail) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Email já está na lista de permitidos' 
+            });
+        }
+
+        const newAllowedEmail = {
+            email: email.toLowerCase(),
+            role: role,
+            addedAt: new Date().toISOString(),
+            addedBy: req.user.email
+        };
+
+        await store.allowedEmails.insert(newAllowedEmail);
+
+        res.json({
+            success: true,
+            message: 'Email adicionado à lista de permitidos',
+            allowedEmail: newAllowedEmail
+        });
+    } catch (error) {
+        console.error('❌ Erro ao adicionar email permitido:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Listar carteiras permitidas (apenas admin)
+app.get('/api/admin/allowed-wallets', authenticateToken, requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        allowedWallets: store.allowedWallets.list(),
+        count: store.allowedWallets.count()
+    });
+});
+
+// Adicionar carteira permitida (apenas admin): ela pode entrar e criar a própria conta
+app.post('/api/admin/allowed-wallets', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { role = 'editor' } = req.body;
+        const address = normalizeAddress(req.body.address);
+
+        if (!address) {
+            return res.status(400).json({
+                success: false,
+                message: 'Endereço de carteira inválido'
+            });
+        }
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Função inválida. Use: ${ROLES.join(', ')}`
+            });
+        }
+
+        if (store.allowedWallets.get(address.toLowerCase())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Carteira já está na lista de permitidas'
+            });
+        }
+
+        const name = req.body.name ? normalizeName(req.body.name) : null;
+        if (name && name.error) {
+            return res.status(400).json({ success: false, message: name.error });
+        }
+
+        const newAllowedWallet = {
+            address,
+            name: name ? name.value : null,
+            role,
+            addedAt: new Date().toISOString(),
+            addedBy: req.user.email
+        };
+
+        await store.allowedWallets.insert(newAllowedWallet);
+
+        res.json({
+            success: true,
+            message: 'Carteira adicionada à lista de permitidas',
+            allowedWallet: newAllowedWallet
+        });
+    } catch (error) {
+        console.error('❌ Erro ao adicionar carteira permitida:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Remover carteira permitida (apenas admin). A conta criada por ela é desativada;
+// carteiras vinculadas a contas com email continuam valendo.
+app.delete('/api/admin/allowed-wallets/:address', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const key = String(req.params.address).toLowerCase();
+
+        const removedWallet = store.allowedWallets.get(key);
+        if (!removedWallet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Carteira não encontrada na lista'
+            });
+        }
+
+        const user = findUserByWallet(key);
+        if (user && user.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'Não é possível remover sua própria carteira'
+            });
+        }
+
+        await store.allowedWallets.remove(key);
+
+        if (user && isWalletAccountEmail(user.email)) {
+            user.isActive = false;
+            await store.users.update(user);
+            await revokeSessions(userSessions(user.id), { by: req.user.email, reason: 'access_removed' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Carteira removida da lista de permitidas',
+            removedWallet
+        });
+    } catch (error) {
+        console.error('❌ Erro ao remover carteira permitida:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Remover email permitido (apenas admin)
+app.delete('/api/admin/allowed-emails/:email', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { email } = req.params;
+
+        // Não permite remover o próprio email
+        if (email.toLowerCase() === req.user.email.toLowerCase()) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Não é possível remover seu próprio email' 
+            });
+        }
+
+        const removedEmail = store.allowedEmails.get(email.toLowerCase());
+        if (!removedEmail) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Email não encontrado na lista' 
+            });
+        }
+
+        await store.allowedEmails.remove(email.toLowerCase());
+
+        // Desativa usuário correspondente e derruba as sessões abertas
+        const user = findUserByEmail(email);
+        if (user) {
+            user.isActive = false;
+            await store.users.update(user);
+            await revokeSessions(userSessions(user.id), { by: req.user.email, reason: 'access_removed' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Email removido da lista de permitidos',
+            removedEmail
+        });
+    } catch (error) {
+        console.error('❌ Erro ao remover email permitido:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Mudar a função de um usuário (apenas admin)
+app.put('/api/admin/users/:id/role', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Função inválida. Use: ${ROLES.join(', ')}`
+            });
+        }
+
+        const user = store.users.get(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuário não encontrado'
+            });
+        }
+
+        // Evita que o admin perca o próprio acesso ao painel
+        if (user.id === req.user.id && role !== 'admin') {
+            return res.status(400).json({
+                success: false,
+                message: 'Não é possível remover sua própria função de admin'
+            });
+        }
+
+        user.role = role;
+        await store.users.update(user);
+
+        // Novos cadastros com este email (ou carteira) também recebem a função
+        const allowedEmail = store.allowedEmails.get(user.email);
+        if (allowedEmail) {
+            allowedEmail.role = role;
+            await store.allowedEmails.update(allowedEmail);
+        }
+        const allowedWallet = user.walletAddress ? store.allowedWallets.get(user.walletAddress.toLowerCase()) : null;
+        if (allowedWallet) {
+            allowedWallet.role = role;
+            await store.allowedWallets.update(allowedWallet);
+        }
+
+        res.json({
+            success: true,
+            message: `Função alterada para ${ROLE_LABELS[role]}`,
+            user: publicUser(user)
+        });
+    } catch (error) {
+        console.error('❌ Erro ao alterar função:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Sessões de um usuário, inclusive as revogadas (apenas admin)
+app.get('/api/admin/users/:id/sessions', authenticateToken, requireAdmin, (req, res) => {
+    if (!store.users.get(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Usuário não encontrado'
+        });
+    }
+
+    const sessions = userSessions(req.params.id).map(session => publicSession(session, req.user.sid));
+    res.json({
+        success: true,
+        data: sessions,
+        count: sessions.length
+    });
+});
+
+// Revogar todas as sessões de um usuário (apenas admin)
+app.delete('/api/admin/users/:id/sessions', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const user = store.users.get(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuário não encontrado'
+            });
+        }
+
+        const count = await revokeSessions(userSessions(user.id), { by: req.user.email, reason: 'admin' });
+
+        res.json({
+            success: true,
+            revoked: count,
+            message: `${count} sessão(ões) de ${user.name} encerrada(s)`
+        });
+    } catch (error) {
+        console.error('❌ Erro ao revogar sessões:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Revogar todos os tokens de API de um usuário (apenas admin)
+app.delete('/api/admin/users/:id/tokens', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const user = store.users.get(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuário não encontrado'
+            });
+        }
+
+        const tokens = store.apiTokens.where('userId', user.id);
+        if (tokens.length > 0) {
+            await store.apiTokens.remove(tokens.map(apiToken => apiToken.id));
+        }
+
+        res.json({
+            success: true,
+            revoked: tokens.length,
+            message: `${tokens.length} token(s) de API de ${user.name} revogado(s)`
+        });
+    } catch (error) {
+        console.error('❌ Erro ao revogar tokens de API:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Zerar a verificação em duas etapas de um usuário que perdeu o celular e os códigos
+// de recuperação (apenas admin). As sessões dele são encerradas.
+app.delete('/api/admin/users/:id/2fa', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const user = store.users.get(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuário não encontrado'
+            });
+        }
+        if (user.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'Não é possível zerar a sua própria verificação em duas etapas'
+            });
+        }
+        if (!user.twoFactor) {
+            return res.status(400).json({
+                success: false,
+                message: 'O usuário não usa verificação em duas etapas'
+            });
+        }
+
+        delete user.twoFactor;
+        await store.users.update(user);
+        await revokeSessions(userSessions(user.id), { by: req.user.email, reason: 'two_factor_reset' });
+        console.log(`🔓 2FA de ${user.email} zerado por ${req.user.email}`);
+
+        res.json({
+            success: true,
+            message: user.role === 'admin'
+                ? `Verificação em duas etapas de ${user.name} zerada. Será preciso ativá-la de novo após o próximo login.`
+                : `Verificação em duas etapas de ${user.name} zerada. No próximo login basta a senha.`
+        });
+    } catch (error) {
+        console.error('❌ Erro ao zerar 2FA:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Enviar ao usuário um link de redefinição de senha (apenas admin). A senha atual
+// continua valendo até o usuário definir a nova.
+app.post('/api/admin/users/:id/password-reset', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const user = store.users.get(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuário não encontrado'
+            });
+        }
+        if (!user.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Conta desativada'
+            });
+        }
+        if (!user.password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Esta conta entra com carteira e não tem senha'
+            });
+        }
+        if (!APP_URL) {
+            return res.status(503).json({ success: false, message: PASSWORD_RESET_UNAVAILABLE });
+        }
+
+        const reset = await sendPasswordReset(user, req, req.user);
+        console.log(`🔑 Redefinição de senha de ${user.email} pedida por ${req.user.email}`);
+
+        res.json({
+            success: true,
+            message: `Link de redefinição enviado para ${user.email}`,
+            expiresAt: reset.expiresAt
+        });
+    } catch (error) {
+        console.error('❌ Erro ao pedir redefinição de senha:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Revogar uma sessão (apenas admin)
+app.delete('/api/admin/sessions/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const session = store.sessions.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sessão não encontrada'
+            });
+        }
+
+        await revokeSessions([session], { by: req.user.email, reason: 'admin' });
+
+        res.json({ success: true, message: 'Sessão encerrada' });
+    } catch (error) {
+        console.error('❌ Erro ao revogar sessão:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Listar webhooks (apenas admin), com o resultado do último envio de cada um
+app.get('/api/admin/webhooks', authenticateToken, requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        webhooks: store.webhooks.list().map(webhook => {
+            const [lastDelivery] = store.webhookDeliveries.where('webhookId', webhook.id);
+            return {
+                ...publicWebhook(webhook),
+                lastDelivery: lastDelivery ? publicDelivery(lastDelivery) : null
+            };
+        }),
+        events: WEBHOOK_EVENTS,
+        eventLabels: WEBHOOK_EVENT_LABELS
+    });
+});
+
+// Cadastrar webhook (apenas admin). O segredo da assinatura só aparece nesta resposta.
+app.post('/api/admin/webhooks', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const input = normalizeWebhookInput(req.body);
+        if (input.error) {
+            return res.status(400).json({ success: false, message: input.error });
+        }
+
+        const timestamp = new Date().toISOString();
+        const webhook = {
+            id: generateId(),
+            active: true,
+            ...input.value,
+            secret: generateWebhookSecret(),
+            createdAt: timestamp,
+            createdBy: req.user.email,
+            updatedAt: timestamp
+        };
+
+        await store.webhooks.insert(webhook);
+
+        res.json({
+            success: true,
+            message: 'Webhook cadastrado. Guarde o segredo: ele não será mostrado de novo.',
+            webhook: publicWebhook(webhook),
+            secret: webhook.secret
+        });
+    } catch (error) {
+        console.error('❌ Erro ao cadastrar webhook:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Alterar URL, eventos, descrição ou pausar/reativar um webhook (apenas admin)
+app.put('/api/admin/webhooks/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const webhook = store.webhooks.get(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook não encontrado' });
+        }
+
+        const input = normalizeWebhookInput(req.body, { partial: true });
+        if (input.error) {
+            return res.status(400).json({ success: false, message: input.error });
+        }
+
+        const updatedWebhook = { ...webhook, ...input.value, updatedAt: new Date().toISOString() };
+        await store.webhooks.update(updatedWebhook);
+
+        res.json({
+            success: true,
+            message: 'Webhook atualizado',
+            webhook: publicWebhook(updatedWebhook)
+        });
+    } catch (error) {
+        console.error('❌ Erro ao atualizar webhook:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Trocar o segredo da assinatura (apenas admin); o anterior deixa de valer na hora
+app.post('/api/admin/webhooks/:id/secret', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const webhook = store.webhooks.get(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook não encontrado' });
+        }
+
+        webhook.secret = generateWebhookSecret();
+        webhook.updatedAt = new Date().toISOString();
+        await store.webhooks.update(webhook);
+
+        res.json({
+            success: true,
+            message: 'Novo segredo gerado. Atualize o destino: o anterior já não vale.',
+            webhook: publicWebhook(webhook),
+            secret: webhook.secret
+        });
+    } catch (error) {
+        console.error('❌ Erro ao trocar segredo do webhook:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Remover webhook e o log de envios dele (apenas admin)
+app.delete('/api/admin/webhooks/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const webhook = store.webhooks.get(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook não encontrado' });
+        }
+
+        await store.webhooks.remove(webhook.id);
+        const deliveries = store.webhookDeliveries.where('webhookId', webhook.id);
+        if (deliveries.length > 0) {
+            await store.webhookDeliveries.remove(deliveries.map(delivery => delivery.id));
+        }
+
+        res.json({
+            success: true,
+            message: 'Webhook removido',
+            removedWebhook: publicWebhook(webhook)
+        });
+    } catch (error) {
+        console.error('❌ Erro ao remover webhook:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Log de envios de um webhook (apenas admin), mais recentes primeiro
+app.get('/api/admin/webhooks/:id/deliveries', authenticateToken, requireAdmin, (req, res) => {
+    const webhook = store.webhooks.get(req.params.id);
+    if (!webhook) {
+        return res.status(404).json({ success: false, message: 'Webhook não encontrado' });
+    }
+
+    res.json({
+        success: true,
+        webhook: publicWebhook(webhook),
+        deliveries: store.webhookDeliveries.where('webhookId', webhook.id).map(publicDelivery)
+    });
+});
+
+// Enviar evento de teste (apenas admin). Vale também para webhooks pausados; o
+// resultado aparece no log de envios.
+app.post('/api/admin/webhooks/:id/test', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const webhook = store.webhooks.get(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook não encontrado' });
+        }
+
+        const delivery = await webhooks.sendTest(webhook, {
+            message: 'Evento de teste do WLs Manager',
+            webhookId: webhook.id,
+            timestamp: new Date().toISOString(),
+            user: req.user.name
+        });
+
+        res.json({
+            success: true,
+            message: 'Evento de teste enviado. Confira o resultado no log.',
+            delivery: publicDelivery(delivery)
+        });
+    } catch (error) {
+        console.error('❌ Erro ao enviar teste do webhook:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Estatísticas das parcerias gravadas (?period=day|week|month&from=&to=&groupBy=network|status|creator&top=)
+app.get('/api/analytics', authenticateToken, requireAdmin, (req, res) => {
+    try {
+        const options = readAnalyticsOptions(req.query);
+        res.json({
+            success: true,
+            data: buildAnalytics(store.partnerships.list(), options)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('❌ Erro ao gerar analytics:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// =================== ROTAS DE PARCERIAS ===================
+
+// Etapas do fluxo, transições permitidas e regras de prazo (usadas pelas telas)
+app.get('/api/lifecycle', authenticateToken, (req, res) => {
+    res.json({
+        success: true,
+        statuses: PARTNERSHIP_STATUSES,
+        labels: STATUS_LABELS,
+        transitions: STATUS_TRANSITIONS,
+        walletLockedStatuses: WALLET_LOCKED_STATUSES,
+        deadlineStatuses: DEADLINE_STATUSES,
+        defaultStatus: DEFAULT_STATUS
+    });
+});
+
+// Listar parcerias com busca e filtros:
+//   ?q=texto (nome, descrição ou parte de uma wallet) &wallet=endereço exato
+//   &network=&status= (aceitam vários, separados por vírgula) &creator=email|me
+//   &deadline=overdue|walletDeadline|deliveryDeadline
+//   &createdFrom=&createdTo=&updatedFrom=&updatedTo= (AAAA-MM-DD ou ISO)
+//   &sort=createdAt|updatedAt|projectName|numberOfWLs|wallets &order=asc|desc
+//   &page=&pageSize= (sem eles, retorna todos os resultados)
+app.get('/api/partnerships', authenticateToken, (req, res) => {
+    try {
+        const options = readPartnershipQuery(req.query, req.user);
+        const result = searchPartnerships(visiblePartnerships(req.user), options);
+
+        res.json({
+            success: true,
+            data: result.items,
+            count: result.items.length,
+            total: result.total,
+            page: result.page,
+            pageSize: result.pageSize,
+            totalPages: result.totalPages,
+            walletMatches: result.walletMatches,
+            permissions: Object.fromEntries(result.items.map(p => [p.id, permissionsFor(req.user, p)])),
+            canCreate: can(req.user, 'create'),
+            connectedUsers: connectedUsers.size
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('❌ Erro ao listar parcerias:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Buscar uma parceria. Responde 304 quando o If-None-Match já é a versão atual.
+app.get('/api/partnerships/:id', authenticateToken, (req, res) => {
+    const partnership = findVisiblePartnership(req.user, req.params.id);
+
+    if (!partnership) {
+        return res.status(404).json({
+            success: false,
+            message: 'Parceria não encontrada'
+        });
+    }
+
+    res.set('ETag', partnershipEtag(partnership));
+    if (req.headers['if-none-match'] === partnershipEtag(partnership)) {
+        return res.status(304).end();
+    }
+
+    res.json({
+        success: true,
+        data: partnership,
+        quota: partnershipQuota(partnership),
+        permissions: permissionsFor(req.user, partnership)
+    });
+});
+
+// Cota de WLs: alocadas x coletadas x entregues, por parceria e no total.
+// ?partnershipId=<id> limita a resposta a uma parceria.
+app.get('/api/quota', authenticateToken, (req, res) => {
+    const { partnershipId } = req.query;
+    if (partnershipId) {
+        const partnership = findVisiblePartnership(req.user, String(partnershipId));
+        if (!partnership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parceria não encontrada'
+            });
+        }
+        return res.json({ success: true, data: partnershipQuota(partnership) });
+    }
+
+    const summary = quotaSummary(visiblePartnerships(req.user));
+    res.json({
+        success: true,
+        totals: summary.totals,
+        data: summary.partnerships
+    });
+});
+
+// Criar parceria
+app.post('/api/partnerships', authenticateToken, async (req, res) => {
+    try {
+        if (!authorize(req, res, 'create')) {
+            return;
+        }
+
+        const { value: input, errors: fieldErrors } = validatePartnershipInput(req.body);
+        if (fieldErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dados inválidos',
+                errors: fieldErrors
+            });
+        }
+
+        const invalidFields = [...initialStatusErrors(input), ...deadlineErrors(input)];
+        if (invalidFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dados inválidos',
+                errors: invalidFields
+            });
+        }
+
+        if (input.visibility && !canSetVisibility(req.user, input.visibility)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Você não pode definir esta visibilidade'
+            });
+        }
+
+        const network = input.network || 'Ethereum';
+        const { wallets, errors } = buildWalletList(input.collectedWallets, network, { user: req.user });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${errors.length} wallet(s) inválida(s) ou duplicada(s)`,
+                walletErrors: errors
+            });
+        }
+
+        const quotaCheck = checkQuota(req, res, input.numberOfWLs || 0, 0, wallets.length);
+        if (!quotaCheck) {
+            return;
+        }
+
+        const timestamp = new Date().toISOString();
+        const status = input.status || DEFAULT_STATUS;
+        const newPartnership = {
+            id: generateId(),
+            projectName: input.projectName,
+            network,
+            numberOfWLs: input.numberOfWLs || 0,
+            templateDescription: input.templateDescription || '',
+            collectedWallets: wallets,
+            status,
+            statusHistory: [statusChange(null, status, req.user, timestamp)],
+            walletDeadline: input.walletDeadline || null,
+            deliveryDeadline: input.deliveryDeadline || null,
+            visibility: input.visibility || DEFAULT_VISIBILITY,
+            version: 1,
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            createdBy: req.user.name,
+            createdByEmail: req.user.email,
+            lastModifiedBy: req.user.name,
+            lastModifiedByEmail: req.user.email
+        };
+
+        await store.partnerships.insert(newPartnership);
+        rebuildWalletIndex();
+        await recordHistory(flagQuotaOverride(
+            createHistoryEntry({ action: 'create', after: newPartnership, user: req.user }),
+            quotaCheck.override
+        ));
+
+        // Notifica todos os clientes conectados
+        const newConflicts = detectNewConflicts(newPartnership.id);
+        emitPartnershipEvent('partnershipAdded', user => ({
+            partnership: newPartnership,
+            newConflicts: visibleConflicts(newConflicts, user),
+            action: 'add',
+            timestamp: new Date().toISOString(),
+            user: req.user.name
+        }), [newPartnership]);
+
+        res.set('ETag', partnershipEtag(newPartnership));
+        res.json({
+            success: true,
+            data: newPartnership,
+            quota: partnershipQuota(newPartnership),
+            message: 'Parceria criada com sucesso'
+        });
+    } catch (error) {
+        console.error('❌ Erro ao criar parceria:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Importar parcerias em lote (CSV ou JSON). Por padrão é só uma prévia (dryRun)
+app.post('/api/partnerships/import', authenticateToken, async (req, res) => {
+    try {
+        if (!authorize(req, res, 'create')) {
+            return;
+        }
+
+        const options = readImportOptions(req.body);
+        if (options.error) {
+            return res.status(400).json({ success: false, message: options.error });
+        }
+
+        const records = parsePartnershipRecords(options.format, options.content);
+        const plan = planPartnershipImport(records, {
+            partnerships: visiblePartnerships(req.user),
+            user: req.user,
+            strategy: options.walletStrategy,
+            canEdit: (user, partnership) => can(user, 'edit', partnership),
+            canSetVisibility: (user, visibility) => canSetVisibility(user, visibility),
+            generateId,
+            allowOverQuota: wantsQuotaOverride(req)
+        });
+
+        const errorCount = plan.rows.filter(r => r.action === 'error').length;
+        const summary = {
+            total: plan.rows.length,
+            create: plan.creates.length,
+            update: plan.updates.length,
+            unchanged: plan.rows.filter(r => r.action === 'unchanged').length,
+            errors: errorCount
+        };
+
+        if (options.dryRun || errorCount > 0) {
+            return res.status(options.dryRun ? 200 : 400).json({
+                success: options.dryRun,
+                dryRun: options.dryRun,
+                message: errorCount > 0
+                    ? `${errorCount} linha(s) com erro. Corrija o arquivo antes de importar.`
+                    : 'Prévia da importação gerada',
+                summary,
+                rows: plan.rows
+            });
+        }
+
+        const timestamp = new Date().toISOString();
+        const historyEntries = plan.creates.map(created => flagQuotaOverride(createHistoryEntry({
+            action: 'create', after: created, user: req.user, timestamp
+        }), plan.quotaOverrides[created.id]));
+        plan.updates.forEach(({ partnership, wallets }) => {
+            const before = JSON.parse(JSON.stringify(partnership));
+            partnership.collectedWallets = wallets;
+            touchPartnership(partnership, req.user, timestamp);
+            historyEntries.push(flagQuotaOverride(
+                createHistoryEntry({ action: 'update', before, after: partnership, user: req.user, timestamp }),
+                plan.quotaOverrides[partnership.id]
+            ));
+        });
+        await store.partnerships.update(plan.updates.map(u => u.partnership));
+        await store.partnerships.insert(plan.creates);
+        rebuildWalletIndex();
+        await recordHistory(historyEntries);
+
+        // Um único evento para toda a importação
+        const updated = plan.updates.map(u => u.partnership);
+        emitPartnershipEvent('partnershipsImported', user => ({
+            created: plan.creates.filter(p => can(user, 'view', p)),
+            updated: updated.filter(p => can(user, 'view', p)),
+            action: 'import',
+            timestamp,
+            user: req.user.name
+        }), [...plan.creates, ...updated]);
+
+        res.json({
+            success: true,
+            dryRun: false,
+            message: `${summary.create} parceria(s) criada(s), ${summary.update} atualizada(s)`,
+            summary,
+            rows: plan.rows
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('❌ Erro ao importar parcerias:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Importar wallets para uma parceria existente (CSV ou JSON)
+app.post('/api/partnerships/:id/wallets/import', authenticateToken, async (req, res) => {
+    try {
+        const partnership = findVisiblePartnership(req.user, req.params.id);
+
+        if (!partnership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parceria não encontrada'
+            });
+        }
+
+        if (!authorize(req, res, 'edit', partnership)) {
+            return;
+        }
+
+        if (isWalletLocked(partnership)) {
+            return rejectLockedWallets(res, partnership);
+        }
+
+        const options = readImportOptions(req.body);
+        if (options.error) {
+            return res.status(400).json({ success: false, message: options.error });
+        }
+
+        const addresses = parseWalletRecords(options.format, options.content);
+        const plan = planWalletImport(addresses, {
+            partnership,
+            user: req.user,
+            strategy: options.walletStrategy
+        });
+
+        const currentCount = (partnership.collectedWallets || []).length;
+        const excess = quotaExcess(partnership.numberOfWLs, currentCount, plan.wallets.length);
+        const summary = {
+            total: addresses.filter(a => String(a || '').trim()).length,
+            added: plan.added,
+            removed: plan.removed,
+            errors: plan.errors.length,
+            resultingCount: plan.wallets.length,
+            allocated: partnership.numberOfWLs || 0,
+            overQuota: excess ? excess.excess : 0
+        };
+
+        if (options.dryRun || plan.errors.length > 0) {
+            return res.status(options.dryRun ? 200 : 400).json({
+                success: options.dryRun,
+                dryRun: options.dryRun,
+                message: plan.errors.length > 0
+                    ? `${plan.errors.length} wallet(s) com erro. Corrija o arquivo antes de importar.`
+                    : 'Prévia da importação gerada',
+                summary,
+                errors: plan.errors
+            });
+        }
+
+        const quotaCheck = checkQuota(req, res, partnership.numberOfWLs, currentCount, plan.wallets.length);
+        if (!quotaCheck) {
+            return;
+        }
+
+        const previousConflicts = conflictKeys(partnership.id);
+        const before = JSON.parse(JSON.stringify(partnership));
+        const timestamp = new Date().toISOString();
+        partnership.collectedWallets = plan.wallets;
+        touchPartnership(partnership, req.user, timestamp);
+        await store.partnerships.update(partnership);
+        rebuildWalletIndex();
+        await recordHistory(flagQuotaOverride(
+            createHistoryEntry({ action: 'update', before, after: partnership, user: req.user, timestamp }),
+            quotaCheck.override
+        ));
+
+        const newConflicts = detectNewConflicts(partnership.id, previousConflicts);
+        emitPartnershipEvent('partnershipsImported', user => ({
+            created: [],
+            updated: [partnership],
+            newConflicts: visibleConflicts(newConflicts, user),
+            action: 'import',
+            timestamp,
+            user: req.user.name
+        }), [partnership]);
+
+        res.set('ETag', partnershipEtag(partnership));
+        res.json({
+            success: true,
+            dryRun: false,
+            data: partnership,
+            quota: partnershipQuota(partnership),
+            message: `${plan.added} wallet(s) adicionada(s), ${plan.removed} removida(s)`,
+            summary
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('❌ Erro ao importar wallets:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Atualizar parceria
+app.put('/api/partnerships/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const partnership = findVisiblePartnership(req.user, id);
+
+        if (!partnership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parceria não encontrada'
+            });
+        }
+
+        if (!authorize(req, res, 'edit', partnership)) {
+            return;
+        }
+
+        if (!checkIfMatch(req, res, partnership)) {
+            return;
+        }
+
+        const { value: input, errors: fieldErrors } = validatePartnershipInput(req.body, { partial: true });
+        if (fieldErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dados inválidos',
+                errors: fieldErrors
+            });
+        }
+
+        // Visibilidade segue a regra de compartilhar (lib/policy.js)
+        const visibilityChanged = input.visibility !== undefined
+            && input.visibility !== (partnership.visibility || DEFAULT_VISIBILITY);
+        if (visibilityChanged && !canSetVisibility(req.user, input.visibility, partnership)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Você não pode definir esta visibilidade'
+            });
+        }
+
+        // Mudança de etapa só pelos caminhos permitidos do fluxo
+        const nextStatus = input.status || partnership.status;
+        if (!canTransition(partnership.status, nextStatus)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Mudança de status inválida',
+                errors: [transitionError(partnership.status, nextStatus)]
+            });
+        }
+
+        const invalidDeadlines = deadlineErrors({ ...partnership, ...input });
+        if (invalidDeadlines.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dados inválidos',
+                errors: invalidDeadlines
+            });
+        }
+
+        // Revalida as wallets quando a lista ou a rede mudam
+        const network = input.network || partnership.network || 'Ethereum';
+        let collectedWallets = partnership.collectedWallets;
+        if (input.collectedWallets !== undefined || network !== partnership.network) {
+            // Lista enviada fica travada, a menos que esta mesma alteração reabra a coleta
+            if (isWalletLocked(partnership) && isWalletLocked({ status: nextStatus })) {
+                return rejectLockedWallets(res, partnership);
+            }
+
+            const walletInput = input.collectedWallets !== undefined
+                ? input.collectedWallets
+                : partnership.collectedWallets;
+            const { wallets, errors } = buildWalletList(walletInput, network, {
+                existing: partnership.collectedWallets,
+                user: req.user
+            });
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${errors.length} wallet(s) inválida(s) ou duplicada(s)`,
+                    walletErrors: errors
+                });
+            }
+            collectedWallets = wallets;
+        }
+
+        const allocated = input.numberOfWLs !== undefined ? input.numberOfWLs : partnership.numberOfWLs;
+        const quotaCheck = checkQuota(req, res, allocated, (partnership.collectedWallets || []).length, collectedWallets.length);
+        if (!quotaCheck) {
+            return;
+        }
+
+        // Atualiza apenas os campos declarados no schema
+        const timestamp = new Date().toISOString();
+        const statusHistory = nextStatus !== partnership.status
+            ? [...(partnership.statusHistory || []), statusChange(partnership.status, nextStatus, req.user, timestamp)]
+            : partnership.statusHistory;
+        const updatedPartnership = touchPartnership({
+            ...partnership,
+            ...input,
+            collectedWallets,
+            statusHistory
+        }, req.user, timestamp);
+
+        const previousConflicts = conflictKeys(id);
+        await store.partnerships.update(updatedPartnership);
+        rebuildWalletIndex();
+        await recordHistory(flagQuotaOverride(createHistoryEntry({
+            action: 'update',
+            before: partnership,
+            after: updatedPartnership,
+            user: req.user
+        }), quotaCheck.override));
+
+        // Notifica todos os clientes conectados
+        const newConflicts = detectNewConflicts(id, previousConflicts);
+        emitPartnershipEvent('partnershipUpdated', user => ({
+            partnership: updatedPartnership,
+            newConflicts: visibleConflicts(newConflicts, user),
+            action: 'update',
+            field: Object.keys(input).length === 1 ? Object.keys(input)[0] : 'multiple',
+            timestamp: new Date().toISOString(),
+            user: req.user.name
+        }), [updatedPartnership]);
+        emitAccessLost(partnership, updatedPartnership);
+
+        res.set('ETag', partnershipEtag(updatedPartnership));
+        res.json({
+            success: true,
+            data: updatedPartnership,
+            quota: partnershipQuota(updatedPartnership),
+            message: 'Parceria atualizada com sucesso'
+        });
+    } catch (error) {
+        console.error('❌ Erro ao atualizar parceria:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Grava a nova lista de wallets da parceria: histórico, índice de duplicadas e aviso em
+// tempo real. `event` vai junto no partnershipUpdated (ex.: a origem do envio).
+async function saveWalletList(partnership, wallets, user, { quotaOverride = null, event = {} } = {}) {
+    const id = partnership.id;
+    const timestamp = new Date().toISOString();
+    const updatedPartnership = touchPartnership({
+        ...partnership,
+        collectedWallets: wallets
+    }, user, timestamp);
+
+    const previousConflicts = conflictKeys(id);
+    await store.partnerships.update(updatedPartnership);
+    rebuildWalletIndex();
+    await recordHistory(flagQuotaOverride(createHistoryEntry({
+        action: 'update',
+        before: partnership,
+        after: updatedPartnership,
+        user,
+        timestamp
+    }), quotaOverride));
+
+    const newConflicts = detectNewConflicts(id, previousConflicts);
+    emitPartnershipEvent('partnershipUpdated', viewer => ({
+        partnership: updatedPartnership,
+        newConflicts: visibleConflicts(newConflicts, viewer),
+        action: 'update',
+        field: 'collectedWallets',
+        timestamp,
+        user: user.name,
+        ...event
+    }), [updatedPartnership]);
+
+    return updatedPartnership;
+}
+
+// Grava as wallets adicionadas/removidas e responde (PATCH das wallets e API do bot)
+async function changeWallets(req, res, partnership, { add, remove }) {
+    if (isWalletLocked(partnership)) {
+        return rejectLockedWallets(res, partnership);
+    }
+
+    const network = partnership.network || 'Ethereum';
+    const result = applyWalletChanges(partnership.collectedWallets || [], { add, remove }, network, { user: req.user });
+    if (result.errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: `${result.errors.length} wallet(s) inválida(s) ou duplicada(s)`,
+            walletErrors: result.errors
+        });
+    }
+
+    // Nada mudou (ex.: a outra pessoa já tinha feito a mesma alteração)
+    if (result.added.length === 0 && result.removed.length === 0) {
+        res.set('ETag', partnershipEtag(partnership));
+        return res.json({
+            success: true,
+            data: partnership,
+            summary: { added: 0, removed: 0 },
+            message: 'Nenhuma alteração nas wallets'
+        });
+    }
+
+    const quotaCheck = checkQuota(req, res, partnership.numberOfWLs, (partnership.collectedWallets || []).length, result.wallets.length);
+    if (!quotaCheck) {
+        return;
+    }
+
+    const updatedPartnership = await saveWalletList(partnership, result.wallets, req.user, {
+        quotaOverride: quotaCheck.override
+    });
+
+    res.set('ETag', partnershipEtag(updatedPartnership));
+    res.json({
+        success: true,
+        data: updatedPartnership,
+        quota: partnershipQuota(updatedPartnership),
+        summary: { added: result.added.length, removed: result.removed.length },
+        message: `${result.added.length} wallet(s) adicionada(s), ${result.removed.length} removida(s)`
+    });
+}
+
+// Aplicar só as wallets adicionadas/removidas, sem exigir a versão mais recente.
+// Permite que duas pessoas editem a lista ao mesmo tempo sem uma sobrescrever a outra.
+app.patch('/api/partnerships/:id/wallets', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const partnership = findVisiblePartnership(req.user, id);
+
+        if (!partnership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parceria não encontrada'
+            });
+        }
+
+        if (!authorize(req, res, 'edit', partnership)) {
+            return;
+        }
+
+        const { add, remove } = req.body;
+        const isList = value => value === undefined || typeof value === 'string' || Array.isArray(value);
+        if (!isList(add) || !isList(remove)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Envie `add` e/ou `remove` como texto (uma wallet por linha) ou lista'
+            });
+        }
+
+        await changeWallets(req, res, partnership, { add, remove });
+    } catch (error) {
+        console.error('❌ Erro ao alterar wallets:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Remover parceria
+app.delete('/api/partnerships/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const partnership = findVisiblePartnership(req.user, id);
+
+        if (!partnership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parceria não encontrada'
+            });
+        }
+
+        if (!authorize(req, res, 'delete', partnership)) {
+            return;
+        }
+
+        const deletedPartnership = partnership;
+        const timestamp = new Date().toISOString();
+        await moveToTrash([deletedPartnership], req.user, { reason: 'delete', timestamp });
+        await store.partnerships.remove(id);
+        rebuildWalletIndex();
+        await recordHistory(createHistoryEntry({ action: 'delete', before: deletedPartnership, user: req.user, timestamp }));
+
+        // Notifica todos os clientes conectados
+        emitPartnershipEvent('partnershipDeleted', {
+            partnershipId: id,
+            projectName: deletedPartnership.projectName,
+            visibility: deletedPartnership.visibility || DEFAULT_VISIBILITY,
+            action: 'delete',
+            timestamp: new Date().toISOString(),
+            user: req.user.name
+        }, [deletedPartnership]);
+
+        res.json({
+            success: true,
+            data: deletedPartnership,
+            message: `Parceria movida para a lixeira (restaurável por ${TRASH_RETENTION_DAYS} dias)`
+        });
+    } catch (error) {
+        console.error('❌ Erro ao remover parceria:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Histórico de alterações de uma parceria (mais recentes primeiro)
+app.get('/api/partnerships/:id/history', authenticateToken, (req, res) => {
+    const { id } = req.params;
+    const entries = store.history.where('partnershipId', id);
+
+    // Vale a visibilidade atual (ou a última registrada, se a parceria já foi apagada)
+    const trashed = store.trash.get(id);
+    const record = store.partnerships.get(id)
+        || (trashed && trashed.partnership)
+        || partnershipVersion(entries, entries.length - 1);
+
+    if (!record || !can(req.user, 'view', record)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Parceria não encontrada'
+        });
+    }
+
+    const data = entries
+        .slice()
+        .reverse()
+        .map(({ snapshot, patch, ...entry }) => entry);
+
+    res.json({
+        success: true,
+        data,
+        count: data.length
+    });
+});
+
+// Exportar wallets de uma parceria (csv, txt, json ou merkle)
+app.get('/api/partnerships/:id/export', authenticateToken, (req, res) => {
+    try {
+        const partnership = findVisiblePartnership(req.user, req.params.id);
+
+        if (!partnership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parceria não encontrada'
+            });
+        }
+
+        if (!authorize(req, res, 'export', partnership)) {
+            return;
+        }
+
+        const format = (req.query.format || 'csv').toLowerCase();
+        const { wallets, skipped } = collectExportWallets([partnership]);
+        const baseName = `wallets-${(partnership.projectName || partnership.id).replace(/[^a-z0-9-_]+/gi, '_')}`;
+
+        sendExport(res, format, wallets, skipped, {
+            partnershipId: partnership.id,
+            projectName: partnership.projectName,
+            network: partnership.network,
+            exportedAt: new Date().toISOString(),
+            exportedBy: req.user.email
+        }, baseName);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('❌ Erro ao exportar wallets:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Limpar todas as parcerias (apenas admin)
+app.delete('/api/partnerships', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const removed = store.partnerships.list();
+        const count = removed.length;
+        const timestamp = new Date().toISOString();
+        const batchId = uuidv4();
+        await moveToTrash(removed, req.user, { reason: 'clear_all', batchId, timestamp });
+        await store.partnerships.clear();
+        rebuildWalletIndex();
+        await recordHistory(removed.map(p => createHistoryEntry({
+            action: 'clear_all', before: p, user: req.user, timestamp
+        })));
+
+        // Notifica todos os clientes conectados
+        emitPartnershipEvent('allPartnershipsCleared', {
+            count: removed.length,
+            action: 'clear_all',
+            timestamp: new Date().toISOString(),
+            user: req.user.name
+        }, removed);
+
+        res.json({
+            success: true,
+            batchId,
+            message: `${count} parcerias movidas para a lixeira (restauráveis por ${TRASH_RETENTION_DAYS} dias)`
+        });
+    } catch (error) {
+        console.error('❌ Erro ao limpar parcerias:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Voltar uma parceria para uma versão registrada no histórico
+app.post('/api/partnerships/:id/revert', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const partnership = findVisiblePartnership(req.user, id);
+
+        if (!partnership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parceria não encontrada'
+            });
+        }
+
+        if (!authorize(req, res, 'edit', partnership)) {
+            return;
+        }
+
+        // Só entradas que resultam numa versão da parceria podem ser usadas
+        const entries = store.history.where('partnershipId', id);
+        const index = entries.findIndex(e => e.id === req.body.historyId);
+        const entry = entries[index];
+        if (!entry || !['create', 'update', 'revert', 'restore'].includes(entry.action)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Versão não encontrada no histórico'
+            });
+        }
+
+        if (!checkIfMatch(req, res, partnership)) {
+            return;
+        }
+
+        const timestamp = new Date().toISOString();
+        // Reverter restaura o conteúdo, não a etapa: o status continua o atual
+        const revertedPartnership = touchPartnership({
+            ...partnershipVersion(entries, index),
+            id,
+            createdAt: partnership.createdAt,
+            createdBy: partnership.createdBy,
+            createdByEmail: partnership.createdByEmail,
+            status: partnership.status,
+            statusHistory: partnership.statusHistory,
+            collaborators: partnership.collaborators,
+            visibility: partnership.visibility,
+            version: partnership.version
+        }, req.user, timestamp);
+
+        const changesWallets = diffPartnership(partnership, revertedPartnership)
+            .some(change => change.field === 'collectedWallets' || change.field === 'network');
+        if (changesWallets && isWalletLocked(partnership)) {
+            return rejectLockedWallets(res, partnership);
+        }
+
+        const quotaCheck = checkQuota(req, res, revertedPartnership.numberOfWLs,
+            (partnership.collectedWallets || []).length, (revertedPartnership.collectedWallets || []).length);
+        if (!quotaCheck) {
+            return;
+        }
+
+        const previousConflicts = conflictKeys(id);
+        await store.partnerships.update(revertedPartnership);
+        rebuildWalletIndex();
+        await recordHistory(flagQuotaOverride({
+            ...createHistoryEntry({
+                action: 'revert',
+                before: partnership,
+                after: revertedPartnership,
+                user: req.user,
+                timestamp
+            }),
+            revertedTo: entry.id
+        }, quotaCheck.override));
+
+        const newConflicts = detectNewConflicts(id, previousConflicts);
+        emitPartnershipEvent('partnershipUpdated', user => ({
+            partnership: revertedPartnership,
+            newConflicts: visibleConflicts(newConflicts, user),
+            action: 'revert',
+            field: 'multiple',
+            timestamp,
+            user: req.user.name
+        }), [revertedPartnership]);
+
+        res.set('ETag', partnershipEtag(revertedPartnership));
+        res.json({
+            success: true,
+            data: revertedPartnership,
+            quota: partnershipQuota(revertedPartnership),
+            message: `Parceria revertida para a versão de ${new Date(entry.timestamp).toLocaleString('pt-BR')}`
+        });
+    } catch (error) {
+        console.error('❌ Erro ao reverter parceria:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Grava a nova lista de colaboradores como uma alteração da parceria (versão, histórico e aviso)
+async function saveCollaborators(partnership, collaborators, user) {
+    const timestamp = new Date().toISOString();
+    const updatedPartnership = touchPartnership({ ...partnership, collaborators }, user, timestamp);
+
+    await store.partnerships.update(updatedPartnership);
+    await recordHistory(createHistoryEntry({
+        action: 'update',
+        before: partnership,
+        after: updatedPartnership,
+        user,
+        timestamp
+    }));
+
+    emitPartnershipEvent('partnershipUpdated', {
+        partnership: updatedPartnership,
+        newConflicts: [],
+        action: 'update',
+        field: 'collaborators',
+        timestamp,
+        user: user.name
+    }, [updatedPartnership]);
+    emitAccessLost(partnership, updatedPartnership);
+
+    return updatedPartnership;
+}
+
+// Adicionar colaborador ou mudar o acesso dele ({ access: 'edit' | 'view' })
+app.put('/api/partnerships/:id/collaborators/:email', authenticateToken, async (req, res) => {
+    try {
+        const partnership = findVisiblePartnership(req.user, req.params.id);
+
+        if (!partnership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parceria não encontrada'
+            });
+        }
+
+        if (!authorize(req, res, 'share', partnership)) {
+            return;
+        }
+
+        const { access } = req.body;
+        if (!COLLABORATOR_ACCESS.includes(access)) {
+            return res.status(400).json({
+                success: false,
+                message: `Acesso inválido. Use: ${COLLABORATOR_ACCESS.join(', ')}`
+            });
+        }
+
+        const collaborator = findUserByEmail(req.params.email);
+        if (!collaborator || !collaborator.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuário não encontrado'
+            });
+        }
+
+        if (isOwner(collaborator, partnership)) {
+            return res.status(400).json({
+                success: false,
+                message: 'O criador da parceria já tem acesso total'
+            });
+        }
+
+        const current = (partnership.collaborators || []).find(c => c.email === collaborator.email);
+        if (current && current.access === access) {
+            res.set('ETag', partnershipEtag(partnership));
+            return res.json({
+                success: true,
+                data: partnership,
+                message: 'Nenhuma alteração nos colaboradores'
+            });
+        }
+
+        const entry = {
+            email: collaborator.email,
+            name: collaborator.name,
+            access,
+            addedBy: req.user.email,
+            addedAt: current ? current.addedAt : new Date().toISOString()
+        };
+        const collaborators = current
+            ? partnership.collaborators.map(c => (c.email === collaborator.email ? entry : c))
+            : [...(partnership.collaborators || []), entry];
+
+        const updatedPartnership = await saveCollaborators(partnership, collaborators, req.user);
+
+        res.set('ETag', partnershipEtag(updatedPartnership));
+        res.json({
+            success: true,
+            data: updatedPartnership,
+            message: `${collaborator.name} agora ${access === 'edit' ? 'pode editar' : 'pode visualizar'} esta parceria`
+        });
+    } catch (error) {
+        console.error('❌ Erro ao salvar colaborador:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Remover colaborador
+app.delete('/api/partnerships/:id/collaborators/:email', authenticateToken, async (req, res) => {
+    try {
+        const partnership = findVisiblePartnership(req.user, req.params.id);
+
+        if (!partnership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parceria não encontrada'
+            });
+        }
+
+        if (!authorize(req, res, 'share', partnership)) {
+            return;
+        }
+
+        const email = String(req.params.email).toLowerCase();
+        const collaborators = partnership.collaborators || [];
+        if (!collaborators.some(c => c.email === email)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Colaborador não encontrado nesta parceria'
+            });
+        }
+
+        const updatedPartnership = await saveCollaborators(partnership, collaborators.filter(c => c.email !== email), req.user);
+
+        res.set('ETag', partnershipEtag(updatedPartnership));
+        res.json({
+            success: true,
+            data: updatedPartnership,
+            message: 'Colaborador removido'
+        });
+    } catch (error) {
+        console.error('❌ Erro ao remover colaborador:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Links públicos de envio de wallets da parceria (quem pode compartilhar a parceria)
+const SUBMISSION_LINKS_DENIED = 'Apenas o criador da parceria, gerentes e admins gerenciam os links de envio';
+
+app.get('/api/partnerships/:id/submission-links', authenticateToken, (req, res) => {
+    const partnership = findVisiblePartnership(req.user, req.params.id);
+
+    if (!partnership) {
+        return res.status(404).json({
+            success: false,
+            message: 'Parceria não encontrada'
+        });
+    }
+
+    if (!authorize(req, res, 'share', partnership, SUBMISSION_LINKS_DENIED)) {
+        return;
+    }
+
+    const links = store.submissionLinks.where('partnershipId', partnership.id)
+        .map(link => publicSubmissionLink(link, partnership));
+
+    res.json({
+        success: true,
+        data: links,
+        count: links.length
+    });
+});
+
+// Criar um link. O endereço completo só aparece nesta resposta.
+app.post('/api/partnerships/:id/submission-links', authenticateToken, async (req, res) => {
+    try {
+        const partnership = findVisiblePartnership(req.user, req.params.id);
+
+        if (!partnership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parceria não encontrada'
+            });
+        }
+
+        if (!authorize(req, res, 'share', partnership, SUBMISSION_LINKS_DENIED)) {
+            return;
+        }
+
+        if (partnership.status === 'cancelled' || isWalletLocked(partnership)) {
+            return res.status(409).json({
+                success: false,
+                message: `Parceria "${STATUS_LABELS[partnership.status]}" não recebe wallets`
+            });
+        }
+
+        const open = store.submissionLinks.where('partnershipId', partnership.id)
+            .filter(link => !closedReason(link, partnership));
+        if (open.length >= MAX_OPEN_SUBMISSION_LINKS) {
+            return res.status(400).json({
+                success: false,
+                message: `Limite de ${MAX_OPEN_SUBMISSION_LINKS} links abertos. Encerre um antes de criar outro.`
+            });
+        }
+
+        const { value, error } = normalizeSubmissionLinkInput(req.body || {}, partnership);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const token = createSubmissionToken();
+        const link = {
+            id: uuidv4(),
+            partnershipId: partnership.id,
+            tokenHash: hashSecret(token),
+            prefix: token.slice(0, 6),
+            label: value.label,
+            maxSubmissions: value.maxSubmissions,
+            submissions: 0,
+            expiresAt: value.expiresAt,
+            createdAt: new Date().toISOString(),
+            createdBy: req.user.name,
+            createdByEmail: req.user.email,
+            lastSubmissionAt: null,
+            closedAt: null,
+            closedBy: null
+        };
+        await store.submissionLinks.insert(link);
+
+        console.log(`🔗 Link de envio criado para ${partnership.projectName} por ${req.user.email}`);
+
+        res.status(201).json({
+            success: true,
+            data: publicSubmissionLink(link, partnership),
+            url: `${appUrl(req)}/submit/${token}`,
+            message: 'Link criado. Copie agora: ele não será mostrado de novo.'
+        });
+    } catch (error) {
+        console.error('❌ Erro ao criar link de envio:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Encerrar um link: os envios já feitos continuam na lista
+app.delete('/api/partnerships/:id/submission-links/:linkId', authenticateToken, async (req, res) => {
+    try {
+        const partnership = findVisiblePartnership(req.user, req.params.id);
+
+        if (!partnership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parceria não encontrada'
+            });
+        }
+
+        if (!authorize(req, res, 'share', partnership, SUBMISSION_LINKS_DENIED)) {
+            return;
+        }
+
+        const link = store.submissionLinks.get(req.params.linkId);
+        if (!link || link.partnershipId !== partnership.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Link não encontrado'
+            });
+        }
+
+        if (!link.closedAt) {
+            link.closedAt = new Date().toISOString();
+            link.closedBy = req.user.name;
+            await store.submissionLinks.update(link);
+        }
+
+        res.json({
+            success: true,
+            data: publicSubmissionLink(link, partnership),
+            message: `Link encerrado (${link.submissions} envio(s))`
+        });
+    } catch (error) {
+        console.error('❌ Erro ao encerrar link de envio:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Verificação on-chain das wallets: regras, resultado de cada wallet e a última verificação
+app.get('/api/partnerships/:id/eligibility', authenticateToken, (req, res) => {
+    const partnership = findVisiblePartnership(req.user, req.params.id);
+
+    if (!partnership) {
+        return res.status(404).json({
+            success: false,
+            message: 'Parceria não encontrada'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: eligibility.report(partnership)
+    });
+});
+
+// Regras de elegibilidade: { minBalance, minTxCount, tokenContract, minTokenBalance }.
+// Todas vazias desligam a verificação da parceria.
+app.put('/api/partnerships/:id/eligibility/rules', authenticateToken, async (req, res) => {
+    try {
+        const partnership = findVisiblePartnership(req.user, req.params.id);
+
+        if (!partnership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parceria não encontrada'
             });
         }
 
-        const removedEmail = allowedEmails.splice(index, 1)[0];
-        await saveAllowedEmails();
+        if (!authorize(req, res, 'edit', partnership)) {
+            return;
+        }
 
-        // Desativa usuário correspondente
-        const user = users.find(u => u.email.toLowerCase() === email.toLowerCase());
-        if (user) {
-            user.isActive = false;
-            await saveUsers();
+        const { value: rules, error } = normalizeEligibilityRules(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
         }
 
+        const timestamp = new Date().toISOString();
+        const updatedPartnership = touchPartnership({ ...partnership, eligibilityRules: rules }, req.user, timestamp);
+
+        await store.partnerships.update(updatedPartnership);
+        await recordHistory(createHistoryEntry({
+            action: 'update',
+            before: partnership,
+            after: updatedPartnership,
+            user: req.user,
+            timestamp
+        }));
+
+        emitPartnershipEvent('partnershipUpdated', {
+            partnership: updatedPartnership,
+            newConflicts: [],
+            action: 'update',
+            field: 'eligibilityRules',
+            timestamp,
+            user: req.user.name
+        }, [updatedPartnership]);
+
         res.json({
             success: true,
-            message: 'Email removido da lista de permitidos',
-            removedEmail
+            data: eligibility.report(updatedPartnership),
+            message: rules ? 'Regras de elegibilidade salvas' : 'Verificação on-chain desligada para esta parceria'
         });
     } catch (error) {
-        console.error('❌ Erro ao remover email permitido:', error);
+        console.error('❌ Erro ao salvar regras de elegibilidade:', error);
         res.status(500).json({ success: false, message: 'Erro interno do servidor' });
     }
 });
 
-// =================== ROTAS DE PARCERIAS ===================
+// Começa a verificar as wallets no RPC da rede (em segundo plano). Resultados recentes
+// são reaproveitados, a menos que venha { force: true }. O fim é avisado por eligibilityChecked.
+app.post('/api/partnerships/:id/eligibility/check', authenticateToken, (req, res) => {
+    const partnership = findVisiblePartnership(req.user, req.params.id);
+
+    if (!partnership) {
+        return res.status(404).json({
+            success: false,
+            message: 'Parceria não encontrada'
+        });
+    }
+
+    if (!authorize(req, res, 'edit', partnership)) {
+        return;
+    }
+
+    const { job, error, code } = eligibility.start(partnership, {
+        force: Boolean(req.body && req.body.force),
+        user: req.user,
+        onProgress: progress => {
+            emitPartnershipEvent('eligibilityProgress', { partnershipId: partnership.id, job: { ...progress } }, [partnership]);
+        },
+        onFinish: finished => {
+            const current = store.partnerships.get(partnership.id);
+            if (!current) {
+                return;
+            }
+            emitPartnershipEvent('eligibilityChecked', {
+                partnershipId: current.id,
+                job: { ...finished },
+                summary: eligibility.report(current).summary,
+                timestamp: finished.finishedAt
+            }, [current]);
+        }
+    });
+
+    if (error) {
+        const status = { running: 409, busy: 429, notConfigured: 503 }[code] || 400;
+        return res.status(status).json({
+            success: false,
+            message: error,
+            configured: code !== 'notConfigured',
+            running: code === 'running',
+            job: job || null
+        });
+    }
+
+    res.status(202).json({
+        success: true,
+        data: job,
+        message: job.total === 0 && job.cached > 0
+            ? 'Todas as wallets já têm resultado recente'
+            : 'Verificação iniciada'
+    });
+});
+
+// =================== ROTAS DA LIXEIRA ===================
+
+// Listar parcerias apagadas que o usuário pode restaurar
+app.get('/api/trash', authenticateToken, (req, res) => {
+    const items = store.trash.list().filter(item => can(req.user, 'delete', item.partnership));
 
-// Listar parcerias
-app.get('/api/partnerships', authenticateToken, (req, res) => {
     res.json({
         success: true,
-        data: partnerships,
-        count: partnerships.length,
-        connectedUsers: connectedUsers.size
+        data: items,
+        count: items.length,
+        retentionDays: TRASH_RETENTION_DAYS
     });
 });
 
-// Criar parceria
-app.post('/api/partnerships', authenticateToken, async (req, res) => {
+// Restaurar uma parceria apagada
+app.post('/api/trash/:id/restore', authenticateToken, async (req, res) => {
     try {
-        const newPartnership = {
-            id: generateId(),
-            projectName: req.body.projectName || '',
-            network: req.body.network || 'Ethereum',
-            numberOfWLs: parseInt(req.body.numberOfWLs) || 0,
-            templateDescription: req.body.templateDescription || '',
-            collectedWallets: req.body.collectedWallets || '',
-            status: req.body.status || 'active',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-            createdBy: req.user.name,
-            createdByEmail: req.user.email,
-            lastModifiedBy: req.user.name,
-            lastModifiedByEmail: req.user.email
-        };
+        const item = store.trash.get(req.params.id);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parceria não encontrada na lixeira'
+            });
+        }
 
-        partnerships.unshift(newPartnership);
-        await savePartnerships();
+        // Restaurar segue a regra de quem pode apagar
+        if (!can(req.user, 'delete', item.partnership)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Você só pode restaurar parcerias que você criou'
+            });
+        }
 
-        // Notifica todos os clientes conectados
-        io.emit('partnershipAdded', {
-            partnership: newPartnership,
-            action: 'add',
-            timestamp: new Date().toISOString(),
+        const { restored, timestamp } = await restoreFromTrash([item], req.user);
+
+        emitPartnershipEvent('partnershipRestored', {
+            partnership: restored[0],
+            action: 'restore',
+            timestamp,
             user: req.user.name
-        });
+        }, [restored[0]]);
 
         res.json({
             success: true,
-            data: newPartnership,
-            message: 'Parceria criada com sucesso'
+            data: restored[0],
+            message: 'Parceria restaurada com sucesso'
         });
     } catch (error) {
-        console.error('❌ Erro ao criar parceria:', error);
+        console.error('❌ Erro ao restaurar parceria:', error);
         res.status(500).json({
             success: false,
             message: 'Erro interno do servidor'
@@ -476,56 +3968,34 @@ app.post('/api/partnerships', authenticateToken, async (req, res) => {
     }
 });
 
-// Atualizar parceria
-app.put('/api/partnerships/:id', authenticateToken, async (req, res) => {
+// Restaurar tudo o que foi removido por um "limpar tudo" (apenas admin)
+app.post('/api/trash/batches/:batchId/restore', authenticateToken, requireAdmin, async (req, res) => {
     try {
-        const { id } = req.params;
-        const partnershipIndex = partnerships.findIndex(p => p.id === id);
+        const items = store.trash.where('batchId', req.params.batchId);
 
-        if (partnershipIndex === -1) {
+        if (items.length === 0) {
             return res.status(404).json({
                 success: false,
-                message: 'Parceria não encontrada'
-            });
-        }
-
-        // Verifica permissões: apenas o criador ou admin pode editar
-        const partnership = partnerships[partnershipIndex];
-        if (req.user.role !== 'admin' && partnership.createdByEmail !== req.user.email) {
-            return res.status(403).json({
-                success: false,
-                message: 'Você só pode editar parcerias que você criou'
+                message: 'Lote não encontrado na lixeira'
             });
         }
 
-        // Atualiza os campos fornecidos
-        const updatedPartnership = {
-            ...partnerships[partnershipIndex],
-            ...req.body,
-            updatedAt: new Date().toISOString(),
-            lastModifiedBy: req.user.name,
-            lastModifiedByEmail: req.user.email
-        };
-
-        partnerships[partnershipIndex] = updatedPartnership;
-        await savePartnerships();
+        const { restored, timestamp } = await restoreFromTrash(items, req.user);
 
-        // Notifica todos os clientes conectados
-        io.emit('partnershipUpdated', {
-            partnership: updatedPartnership,
-            action: 'update',
-            field: req.body.field || 'multiple',
-            timestamp: new Date().toISOString(),
+        emitPartnershipEvent('partnershipsRestored', user => ({
+            partnerships: restored.filter(p => can(user, 'view', p)),
+            action: 'restore_batch',
+            timestamp,
             user: req.user.name
-        });
+        }), restored);
 
         res.json({
             success: true,
-            data: updatedPartnership,
-            message: 'Parceria atualizada com sucesso'
+            data: restored,
+            message: `${restored.length} parcerias restauradas com sucesso`
         });
     } catch (error) {
-        console.error('❌ Erro ao atualizar parceria:', error);
+        console.error('❌ Erro ao restaurar lote:', error);
         res.status(500).json({
             success: false,
             message: 'Erro interno do servidor'
@@ -533,79 +4003,246 @@ app.put('/api/partnerships/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// Remover parceria
-app.delete('/api/partnerships/:id', authenticateToken, async (req, res) => {
+// =================== ROTAS DE WALLETS ===================
+
+// Wallets presentes em mais de uma parceria
+app.get('/api/wallets/duplicates', authenticateToken, (req, res) => {
+    const conflicts = visibleConflicts(findConflicts(walletIndex, { partnershipId: req.query.partnershipId }), req.user);
+
+    res.json({
+        success: true,
+        data: conflicts,
+        count: conflicts.length
+    });
+});
+
+// Exportar wallets de várias parcerias (filtros: partnershipIds, network, status)
+app.get('/api/wallets/export', authenticateToken, (req, res) => {
     try {
-        const { id } = req.params;
-        const partnershipIndex = partnerships.findIndex(p => p.id === id);
+        const format = (req.query.format || 'csv').toLowerCase();
+        const ids = req.query.partnershipIds
+            ? String(req.query.partnershipIds).split(',').map(id => id.trim()).filter(Boolean)
+            : null;
 
-        if (partnershipIndex === -1) {
-            return res.status(404).json({
-                success: false,
-                message: 'Parceria não encontrada'
-            });
+        const partnerships = visiblePartnerships(req.user);
+        let selected = ids
+            ? partnerships.filter(p => ids.includes(p.id))
+            : partnerships.filter(p => can(req.user, 'export', p));
+
+        if (ids) {
+            const forbidden = selected.filter(p => !can(req.user, 'export', p));
+            if (forbidden.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: deniedMessage('export'),
+                    partnershipIds: forbidden.map(p => p.id)
+                });
+            }
         }
 
-        const partnership = partnerships[partnershipIndex];
-        
-        // Verifica permissões: apenas o criador ou admin pode deletar
-        if (req.user.role !== 'admin' && partnership.createdByEmail !== req.user.email) {
-            return res.status(403).json({
-                success: false,
-                message: 'Você só pode apagar parcerias que você criou'
-            });
+        if (req.query.network) {
+            selected = selected.filter(p => p.network === req.query.network);
+        }
+        if (req.query.status) {
+            selected = selected.filter(p => p.status === req.query.status);
         }
 
-        const deletedPartnership = partnerships[partnershipIndex];
-        partnerships.splice(partnershipIndex, 1);
-        await savePartnerships();
+        const { wallets, skipped } = collectExportWallets(selected);
 
-        // Notifica todos os clientes conectados
-        io.emit('partnershipDeleted', {
-            partnershipId: id,
-            action: 'delete',
-            timestamp: new Date().toISOString(),
-            user: req.user.name
+        sendExport(res, format, wallets, skipped, {
+            partnershipIds: selected.map(p => p.id),
+            network: req.query.network || null,
+            exportedAt: new Date().toISOString(),
+            exportedBy: req.user.email
+        }, `wallets-${new Date().toISOString().split('T')[0]}`);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('❌ Erro ao exportar wallets:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// API do bot: comandos curtos para um bot do Discord (consultar parceria, ver a cota,
+// adicionar wallets). Autentica com BOT_API_TOKEN no cabeçalho Authorization (Bearer).
+// Cada resposta traz `message`, pronta para o bot repassar no canal.
+const authenticateBot = (req, res, next) => {
+    if (!BOT_API_TOKEN) {
+        return res.status(503).json({
+            success: false,
+            message: 'API do bot desativada. Defina BOT_API_TOKEN no servidor.'
+        });
+    }
+
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if (!token || !matchesHash(token, hashSecret(BOT_API_TOKEN))) {
+        return res.status(401).json({
+            success: false,
+            message: 'Token do bot inválido'
+        });
+    }
+
+    req.user = BOT_USER;
+    next();
+};
+
+// Parcerias que o bot alcança
+function botPartnerships() {
+    return store.partnerships.list().filter(p => botCan('view', p));
+}
+
+// Parceria pelo id ou pelo nome exato (sem diferenciar maiúsculas). Responde 404 com
+// sugestões ou 409 quando o nome é ambíguo, e retorna null nesses casos.
+function findBotPartnership(req, res) {
+    const ref = String(req.params.ref || '').trim();
+    const byId = store.partnerships.get(ref);
+    if (byId && botCan('view', byId)) {
+        return byId;
+    }
+
+    const name = ref.toLowerCase();
+    const visible = botPartnerships();
+    const matches = visible.filter(p => String(p.projectName).toLowerCase() === name);
+    if (matches.length === 1) {
+        return matches[0];
+    }
+
+    if (matches.length > 1) {
+        res.status(409).json({
+            success: false,
+            ambiguous: true,
+            partnerships: matches.map(botPartnership),
+            message: `Há ${matches.length} parcerias chamadas "${ref}". Use o id:\n${matches.map(p => `${partnershipLine(p)} · id: ${p.id}`).join('\n')}`
         });
+        return null;
+    }
+
+    const suggestions = visible.filter(p => String(p.projectName).toLowerCase().includes(name)).slice(0, 5);
+    res.status(404).json({
+        success: false,
+        partnerships: suggestions.map(botPartnership),
+        message: suggestions.length > 0
+            ? `Parceria "${ref}" não encontrada. Você quis dizer: ${suggestions.map(p => p.projectName).join(', ')}?`
+            : `Parceria "${ref}" não encontrada`
+    });
+    return null;
+}
+
+// Resumo de uma parceria nas respostas do bot
+function botPartnership(partnership) {
+    return {
+        id: partnership.id,
+        projectName: partnership.projectName,
+        network: partnership.network,
+        status: partnership.status,
+        walletDeadline: partnership.walletDeadline || null,
+        deliveryDeadline: partnership.deliveryDeadline || null,
+        quota: partnershipQuota(partnership)
+    };
+}
+
+// Buscar parcerias pelo nome (?name=, trecho do nome; máximo de 10)
+app.get('/api/bot/partnerships', authenticateBot, (req, res) => {
+    try {
+        const name = String(req.query.name || '').trim().toLowerCase();
+        const matches = botPartnerships()
+            .filter(p => String(p.projectName).toLowerCase().includes(name))
+            .slice(0, 10);
 
         res.json({
             success: true,
-            data: deletedPartnership,
-            message: 'Parceria removida com sucesso'
+            partnerships: matches.map(botPartnership),
+            message: matches.length > 0
+                ? matches.map(partnershipLine).join('\n')
+                : 'Nenhuma parceria encontrada'
         });
     } catch (error) {
-        console.error('❌ Erro ao remover parceria:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Erro interno do servidor'
-        });
+        console.error('❌ Erro na busca do bot:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
     }
 });
 
-// Limpar todas as parcerias (apenas admin)
-app.delete('/api/partnerships', authenticateToken, requireAdmin, async (req, res) => {
+// Consultar uma parceria (id ou nome exato)
+app.get('/api/bot/partnerships/:ref', authenticateBot, (req, res) => {
     try {
-        const count = partnerships.length;
-        partnerships = [];
-        await savePartnerships();
+        const partnership = findBotPartnership(req, res);
+        if (!partnership) {
+            return;
+        }
 
-        // Notifica todos os clientes conectados
-        io.emit('allPartnershipsCleared', {
-            action: 'clear_all',
-            timestamp: new Date().toISOString(),
-            user: req.user.name
+        res.json({
+            success: true,
+            partnership: botPartnership(partnership),
+            message: partnershipLine(partnership)
         });
+    } catch (error) {
+        console.error('❌ Erro na consulta do bot:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Cota de WLs de uma parceria
+app.get('/api/bot/partnerships/:ref/quota', authenticateBot, (req, res) => {
+    try {
+        const partnership = findBotPartnership(req, res);
+        if (!partnership) {
+            return;
+        }
+
+        const quota = partnershipQuota(partnership);
+        const detail = !quota.limited
+            ? 'WLs ainda não definidas'
+            : quota.overfilled > 0
+                ? `${quota.overfilled} acima da cota`
+                : `${quota.open} vaga(s) aberta(s)`;
 
         res.json({
             success: true,
-            message: `${count} parcerias removidas com sucesso`
+            quota,
+            message: `**${partnership.projectName}**: ${walletProgress(partnership)} · ${detail}`
         });
     } catch (error) {
-        console.error('❌ Erro ao limpar parcerias:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Erro interno do servidor'
-        });
+        console.error('❌ Erro na cota do bot:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Adicionar wallets ({ wallets: texto ou lista, submittedBy: quem pediu no Discord }).
+// Segue as mesmas regras do Dashboard: rede, duplicatas, cota e lista travada.
+app.post('/api/bot/partnerships/:ref/wallets', authenticateBot, async (req, res) => {
+    try {
+        const partnership = findBotPartnership(req, res);
+        if (!partnership) {
+            return;
+        }
+
+        const { wallets } = req.body;
+        if (typeof wallets !== 'string' && !Array.isArray(wallets)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Envie `wallets` como texto (uma wallet por linha) ou lista'
+            });
+        }
+
+        // Quem pediu no Discord aparece no histórico e nas wallets adicionadas
+        if (req.body.submittedBy) {
+            const submittedBy = normalizeName(req.body.submittedBy);
+            if (submittedBy.error) {
+                return res.status(400).json({ success: false, message: submittedBy.error });
+            }
+            req.user = { ...req.user, name: `${req.user.name} (${submittedBy.value})` };
+        }
+
+        if (!botCan('edit', partnership)) {
+            return res.status(403).json({ success: false, message: 'O bot só altera parcerias visíveis para todo o time' });
+        }
+
+        await changeWallets(req, res, partnership, { add: wallets });
+    } catch (error) {
+        console.error('❌ Erro ao adicionar wallets pelo bot:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
     }
 });
 
@@ -616,14 +4253,122 @@ app.get('/api/status', (req, res) => {
         server: 'Gerenciador de Parcerias WLs',
         version: '2.0.0',
         uptime: process.uptime(),
-        partnerships: partnerships.length,
-        users: users.length,
-        allowedEmails: allowedEmails.length,
+        partnerships: store.partnerships.count(),
+        users: store.users.count(),
+        allowedEmails: store.allowedEmails.count(),
+        storage: store.driver,
         connectedUsers: connectedUsers.size,
         timestamp: new Date().toISOString()
     });
 });
 
+// =================== LINKS PÚBLICOS DE ENVIO ===================
+
+// Link público pelo token e a parceria dele. Responde 404 (link desconhecido) ou 410
+// (encerrado, expirado ou sem vagas) e retorna null nesses casos.
+function findOpenSubmissionLink(req, res) {
+    const link = store.submissionLinks.where('tokenHash', hashSecret(req.params.token))[0];
+    if (!link) {
+        res.status(404).json({ success: false, message: 'Link de envio não encontrado' });
+        return null;
+    }
+
+    const partnership = store.partnerships.get(link.partnershipId);
+    const reason = closedReason(link, partnership);
+    if (reason) {
+        res.status(410).json({ success: false, closed: true, reason, message: CLOSED_MESSAGES[reason] });
+        return null;
+    }
+    return { link, partnership };
+}
+
+// Quem envia pelo link não tem conta: aparece no histórico pelo Discord, se informado
+function submissionUser(discord) {
+    return { id: null, email: null, role: 'viewer', name: discord ? `${discord} (link público)` : 'Link público' };
+}
+
+// Dados mostrados na página do link (sem as wallets já coletadas)
+app.get('/api/public/submissions/:token', (req, res) => {
+    const found = findOpenSubmissionLink(req, res);
+    if (!found) {
+        return;
+    }
+
+    const { link, partnership } = found;
+    res.json({
+        success: true,
+        data: {
+            projectName: partnership.projectName,
+            network: partnership.network || 'Ethereum',
+            label: link.label,
+            expiresAt: link.expiresAt,
+            remaining: remainingSubmissions(link, partnership)
+        }
+    });
+});
+
+// Enviar uma wallet pelo link
+app.post('/api/public/submissions/:token', submissionLimiter, async (req, res) => {
+    try {
+        const found = findOpenSubmissionLink(req, res);
+        if (!found) {
+            return;
+        }
+
+        const { link, partnership } = found;
+        const network = partnership.network || 'Ethereum';
+        const check = validateAddress(req.body.wallet, network);
+        if (!check.valid) {
+            return res.status(400).json({
+                success: false,
+                message: `${check.reason}. Envie uma wallet da rede ${network}.`
+            });
+        }
+
+        const discord = normalizeDiscordHandle(req.body.discord);
+        if (discord.error) {
+            return res.status(400).json({ success: false, message: discord.error });
+        }
+
+        const user = submissionUser(discord.value);
+        const result = applyWalletChanges(partnership.collectedWallets || [], { add: [check.address] }, network, { user });
+        if (result.added.length === 0) {
+            return res.json({
+                success: true,
+                alreadySubmitted: true,
+                message: 'Esta wallet já está na lista'
+            });
+        }
+
+        // Conta o envio e grava a wallet antes de qualquer espera, para que envios
+        // simultâneos não passem do limite do link
+        const timestamp = new Date().toISOString();
+        await Promise.all([
+            store.submissionLinks.update({ ...link, submissions: link.submissions + 1, lastSubmissionAt: timestamp }),
+            saveWalletList(partnership, result.wallets, user, {
+                event: { source: 'submissionLink', submissionLinkId: link.id, submittedBy: discord.value }
+            })
+        ]);
+
+        res.status(201).json({
+            success: true,
+            wallet: check.address,
+            message: `Wallet registrada em ${partnership.projectName}. Obrigado!`
+        });
+    } catch (error) {
+        console.error('❌ Erro ao receber wallet pelo link:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// Documento OpenAPI da API REST (lib/openapi.js)
+app.get('/api/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument({
+        version: '2.0.0',
+        serverUrl: appUrl(req)
+    }));
+});
+
 // =================== WEBSOCKET ===================
 
 // Middleware de autenticação para WebSocket
@@ -635,9 +4380,12 @@ io.use((socket, next) => {
 
     jwt.verify(token, JWT_SECRET, (err, user) => {
         if (err) {
-            return next(new Error('Token inválido'));
+            return next(new Error(err.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido'));
         }
-        socket.user = user;
+        if (!findActiveSession(user)) {
+            return next(new Error('Sessão encerrada'));
+        }
+        socket.user = withCurrentProfile(user);
         next();
     });
 });
@@ -657,10 +4405,22 @@ io.on('connection', (socket) => {
     };
     
     connectedUsers.set(socket.id, user);
-    
+
+    // Revogar a sessão derruba este socket (revokeSessions)
+    socket.join(sessionRoom(socket.user.sid));
+
+    // Quem conecta já assinando uma parceria (auth.partnershipId) não entra no feed geral
+    const scopedId = socket.handshake.auth.partnershipId;
+    const scoped = scopedId ? findVisiblePartnership(socketUser(socket), String(scopedId)) : null;
+    if (scoped) {
+        socket.join(partnershipRoom(scoped.id));
+    } else {
+        socket.join(FEED_ROOM);
+    }
+
     // Envia dados iniciais para o usuário
     socket.emit('initialData', {
-        partnerships: partnerships,
+        partnerships: scoped ? [scoped] : visiblePartnerships(socketUser(socket)),
         connectedUsers: Array.from(connectedUsers.values()),
         user: socket.user
     });
@@ -668,24 +4428,57 @@ io.on('connection', (socket) => {
     // Notifica outros usuários sobre nova conexão
     socket.broadcast.emit('userJoined', user);
 
-    // Usuário está editando um campo
+    // Passa a receber só os eventos de uma parceria (sai do feed geral)
+    socket.on('subscribe', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        const partnership = data && data.partnershipId
+            ? findVisiblePartnership(socketUser(socket), String(data.partnershipId))
+            : null;
+        if (!partnership) {
+            return reply({ success: false, message: 'Parceria não encontrada' });
+        }
+        socket.leave(FEED_ROOM);
+        socket.join(partnershipRoom(partnership.id));
+        reply({ success: true, data: partnership });
+    });
+
+    // Deixa de acompanhar uma parceria; sem nenhuma assinatura, volta ao feed geral
+    socket.on('unsubscribe', (data) => {
+        if (data && data.partnershipId) {
+            socket.leave(partnershipRoom(String(data.partnershipId)));
+        }
+        const subscribed = Array.from(socket.rooms).some(room => room.startsWith('partnership:'));
+        if (!subscribed) {
+            socket.join(FEED_ROOM);
+        }
+    });
+
+    // Usuário está editando um campo (avisa o feed e quem acompanha a parceria)
     socket.on('editing', (data) => {
-        socket.broadcast.emit('userEditing', {
+        const partnership = data && data.partnershipId
+            ? findVisiblePartnership(socketUser(socket), String(data.partnershipId))
+            : null;
+        if (!partnership) return;
+        emitPartnershipEvent('userEditing', {
             user: user,
-            partnershipId: data.partnershipId,
+            partnershipId: partnership.id,
             field: data.field,
             timestamp: new Date().toISOString()
-        });
+        }, [partnership], { except: socket.id });
     });
 
     // Usuário parou de editar
     socket.on('stopEditing', (data) => {
-        socket.broadcast.emit('userStoppedEditing', {
+        const partnership = data && data.partnershipId
+            ? findVisiblePartnership(socketUser(socket), String(data.partnershipId))
+            : null;
+        if (!partnership) return;
+        emitPartnershipEvent('userStoppedEditing', {
             user: user,
-            partnershipId: data.partnershipId,
+            partnershipId: partnership.id,
             field: data.field,
             timestamp: new Date().toISOString()
-        });
+        }, [partnership], { except: socket.id });
     });
 
     // Atualiza atividade do usuário
@@ -707,24 +4500,39 @@ io.on('connection', (socket) => {
 
 // Rotas estáticas
 app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
 });
 
 app.get('/dashboard', (req, res) => {
-    res.sendFile(path.join(__dirname, 'dashboard-new.html'));
+    res.sendFile(path.join(PUBLIC_DIR, 'dashboard-new.html'));
 });
 
 app.get('/partnership-details', (req, res) => {
-    res.sendFile(path.join(__dirname, 'partnership-details.html'));
+    res.sendFile(path.join(PUBLIC_DIR, 'partnership-details.html'));
 });
 
 app.get('/admin', (req, res) => {
-    res.sendFile(path.join(__dirname, 'admin.html'));
+    res.sendFile(path.join(PUBLIC_DIR, 'admin.html'));
+});
+
+// Página pública de um link de envio de wallets
+app.get('/submit/:token', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'submit.html'));
 });
 
 // Inicialização do servidor
 async function startServer() {
     await loadData();
+    await purgeExpiredTrash();
+    await purgeExpiredSessions();
+    await purgeExpiredPasswordResets();
+    await sendDeadlineReminders();
+
+    // Envios que ficaram aguardando nova tentativa quando o servidor parou
+    const pendingDeliveries = webhooks.resume();
+    if (pendingDeliveries > 0) {
+        console.log(`🔁 ${pendingDeliveries} envio(s) de webhook retomado(s)`);
+    }
     
     server.listen(PORT, HOST, () => {
         console.log('');
@@ -733,9 +4541,15 @@ async function startServer() {
         console.log('🔐 Sistema de Autenticação Ativado');
         console.log('🚀 ==========================================');
         console.log(`📡 Servidor rodando em: http://localhost:${PORT}`);
-        console.log(`📊 Parcerias: ${partnerships.length}`);
-        console.log(`👥 Usuários: ${users.length}`);
-        console.log(`📧 Emails permitidos: ${allowedEmails.length}`);
+        console.log(`📊 Parcerias: ${store.partnerships.count()}`);
+        console.log(`👥 Usuários: ${store.users.count()}`);
+        console.log(`📧 Emails permitidos: ${store.allowedEmails.count()}`);
+        console.log(`👛 Carteiras permitidas: ${store.allowedWallets.count()}`);
+        console.log(`🗄️ Armazenamento: ${store.driver}`);
+        console.log(`📧 Envio de emails: ${mailer.name}${APP_URL ? '' : ' (redefinição de senha desligada: defina APP_URL)'}`);
+        console.log(`🪝 Webhooks: ${store.webhooks.count()}`);
+        console.log(`🤖 API do bot: ${BOT_API_TOKEN ? 'ativa' : 'desativada'}`);
+        console.log(`⛓️ Verificação on-chain: ${eligibility.networks.length > 0 ? eligibility.networks.join(', ') : 'desativada'}`);
         console.log(`🔗 WebSocket ativo para colaboração`);
         console.log('🚀 ==========================================');
         console.log('');
@@ -745,34 +4559,50 @@ async function startServer() {
         console.log('   • /admin         - Painel Admin');
         console.log('   • /api/auth/*    - Autenticação');
         console.log('   • /api/admin/*   - Administração');
+        console.log('   • /api/bot/*     - Bot do Discord');
         console.log('');
     });
 }
 
-// Backup automático a cada 10 minutos
+// Cada alteração já é gravada na hora; aqui só limpa a lixeira, as sessões e os links de
+// redefinição vencidos a cada 10 minutos
+setInterval(async () => {
+    try {
+        await purgeExpiredTrash();
+        await purgeExpiredSessions();
+        await purgeExpiredPasswordResets();
+    } catch (error) {
+        console.error('❌ Erro ao limpar lixeira, sessões e links de redefinição:', error);
+    }
+}, 10 * 60 * 1000);
+
+// Avisos de prazos próximos, conferidos a cada 10 minutos
 setInterval(async () => {
-    await savePartnerships();
-    await saveUsers();
-    await saveAllowedEmails();
+    try {
+        await sendDeadlineReminders();
+    } catch (error) {
+        console.error('❌ Erro ao enviar avisos de prazo:', error);
+    }
 }, 10 * 60 * 1000);
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\n🛑 Encerrando servidor...');
-    await savePartnerships();
-    await saveUsers();
-    await saveAllowedEmails();
+    webhooks.stop();
+    await store.close();
     console.log('💾 Dados salvos com sucesso');
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
     console.log('\n🛑 Encerrando servidor...');
-    await savePartnerships();
-    await saveUsers();
-    await saveAllowedEmails();
+    webhooks.stop();
+    await store.close();
     console.log('💾 Dados salvos com sucesso');
     process.exit(0);
 });
 
-startServer().catch(console.error);
\ No newline at end of file
+startServer().catch(error => {
+    console.error('❌ Erro ao iniciar servidor:', error);
+    process.exit(1);
+});
\ No newline at end of file
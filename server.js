@@ -25,7 +25,7 @@ const DB_FILE = path.join(__dirname, 'partnerships.json');
 // Middleware
 app.use(cors());
 app.use(express.json());
-app.use(express.static('.'));
+app.use(express.static(path.join(__dirname, 'public')));
 
 // Banco de dados em memória com backup em arquivo
 let partnerships = [];
@@ -306,7 +306,7 @@ io.on('connection', (socket) => {
 
 // Rota principal
 app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
 // Inicialização do servidor
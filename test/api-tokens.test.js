@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const EDITOR_EMAIL = 'editor@test.local';
+
+let server;
+let session;
+
+before(async () => {
+    server = await startServer({ allowedEmails: [{ email: EDITOR_EMAIL, role: 'editor' }] });
+    session = await server.login(EDITOR_EMAIL, 'Editor');
+});
+
+after(async () => {
+    await server.stop();
+});
+
+async function createToken(body) {
+    const res = await server.request('POST', '/api/auth/tokens', { token: session, body });
+    assert.strictEqual(res.status, 201, res.text);
+    return res.body;
+}
+
+test('o token criado começa com wls_ e só o prefixo fica visível', async () => {
+    const created = await createToken({ name: 'Planilha' });
+    assert.match(created.token, /^wls_[a-f0-9]{64}$/);
+    assert.strictEqual(created.data.scope, 'read');
+    assert.strictEqual(created.data.prefix, created.token.slice(0, 12));
+    assert.strictEqual(created.data.tokenHash, undefined);
+
+    const list = await server.request('GET', '/api/auth/tokens', { token: session });
+    assert.strictEqual(list.body.data.length, 1);
+    assert.doesNotMatch(list.text, new RegExp(created.token));
+
+    // Sem o prefixo o valor é tratado como JWT e recusado
+    const unprefixed = await server.request('GET', '/api/partnerships', { token: created.token.slice(4) });
+    assert.strictEqual(unprefixed.status, 403);
+
+    const revoked = await server.request('DELETE', `/api/auth/tokens/${created.data.id}`, { token: session });
+    assert.strictEqual(revoked.status, 200);
+    const afterRevoke = await server.request('GET', '/api/partnerships', { token: created.token });
+    assert.strictEqual(afterRevoke.status, 401);
+});
+
+test('escopo inválido ou admin para quem não é admin é recusado', async () => {
+    const invalid = await server.request('POST', '/api/auth/tokens', { token: session, body: { name: 'X', scope: 'tudo' } });
+    assert.strictEqual(invalid.status, 400);
+
+    const admin = await server.request('POST', '/api/auth/tokens', { token: session, body: { name: 'X', scope: 'admin' } });
+    assert.strictEqual(admin.status, 403);
+    assert.strictEqual(admin.body.twoFactorRequired, false);
+});
+
+test('cada escopo só libera as próprias rotas', async () => {
+    const partnership = await server.request('POST', '/api/partnerships', {
+        token: session,
+        body: { projectName: 'Escopos', status: 'confirmed' }
+    });
+    assert.strictEqual(partnership.status, 200, partnership.text);
+    const id = partnership.body.data.id;
+
+    const read = (await createToken({ name: 'Leitura', scope: 'read' })).token;
+    const wallets = (await createToken({ name: 'Wallets', scope: 'wallets' })).token;
+
+    assert.strictEqual((await server.request('GET', '/api/partnerships', { token: read })).status, 200);
+    assert.strictEqual((await server.request('GET', '/api/auth/verify', { token: read })).status, 200);
+
+    const readWrite = await server.request('PATCH', `/api/partnerships/${id}/wallets`, {
+        token: read,
+        body: { add: '0x1111111111111111111111111111111111111111' }
+    });
+    assert.strictEqual(readWrite.status, 403);
+    assert.strictEqual(readWrite.body.scope, 'read');
+
+    const walletWrite = await server.request('PATCH', `/api/partnerships/${id}/wallets`, {
+        token: wallets,
+        body: { add: '0x1111111111111111111111111111111111111111' }
+    });
+    assert.strictEqual(walletWrite.status, 200, walletWrite.text);
+
+    const create = await server.request('POST', '/api/partnerships', { token: wallets, body: { projectName: 'Pelo token' } });
+    assert.strictEqual(create.status, 403);
+    assert.strictEqual(create.body.scope, 'wallets');
+
+    // Configurações da conta exigem login, qualquer que seja o escopo
+    for (const token of [read, wallets]) {
+        const res = await server.request('POST', '/api/auth/tokens', { token, body: { name: 'Outro' } });
+        assert.strictEqual(res.status, 403);
+    }
+});
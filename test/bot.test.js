@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const ADMIN_EMAIL = 'admin@test.local';
+const BOT_TOKEN = 'bot-token-de-teste';
+const WALLET = '0x8617E340B3D01FA5F11F306F4090FD50E238070D';
+
+let server;
+const ids = {};
+
+function bot(method, url, body) {
+    return fetch(server.baseUrl + url, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${BOT_TOKEN}` },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    }).then(async res => ({ status: res.status, body: await res.json() }));
+}
+
+before(async () => {
+    server = await startServer({
+        allowedEmails: [{ email: ADMIN_EMAIL, role: 'admin' }],
+        env: { BOT_API_TOKEN: BOT_TOKEN }
+    });
+    const token = await server.login(ADMIN_EMAIL, 'Admin', { twoFactor: true });
+    for (const visibility of ['team', 'collaborators', 'admin']) {
+        const created = await server.request('POST', '/api/partnerships', {
+            token,
+            body: { projectName: `Bot ${visibility}`, network: 'Ethereum', numberOfWLs: 5, visibility }
+        });
+        assert.strictEqual(created.status, 200, created.text);
+        ids[visibility] = created.body.data.id;
+    }
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('o bot só encontra parcerias visíveis para o time todo', async () => {
+    const list = await bot('GET', '/api/bot/partnerships?name=bot');
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.body.partnerships.map(p => p.projectName), ['Bot team']);
+
+    for (const visibility of ['collaborators', 'admin']) {
+        for (const ref of [ids[visibility], `Bot ${visibility}`]) {
+            const res = await bot('GET', `/api/bot/partnerships/${encodeURIComponent(ref)}`);
+            assert.strictEqual(res.status, 404, `${ref} respondeu ${res.status}`);
+        }
+    }
+});
+
+test('o bot só adiciona wallets em parcerias do time todo', async () => {
+    const hidden = await bot('POST', `/api/bot/partnerships/${ids.collaborators}/wallets`, { wallets: WALLET });
+    assert.strictEqual(hidden.status, 404);
+
+    const added = await bot('POST', `/api/bot/partnerships/${ids.team}/wallets`, { wallets: WALLET, submittedBy: 'fulano' });
+    assert.strictEqual(added.status, 200, added.body.message);
+    assert.strictEqual(added.body.summary.added, 1);
+});
@@ -0,0 +1,102 @@
+const { spawn } = require('child_process');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { totpCode } = require('../../lib/totp');
+
+const SERVER_FILE = path.join(__dirname, '..', '..', 'server-auth.js');
+const PASSWORD = 'Senha@Forte123';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Sobe o servidor de verdade num diretório de dados temporário, com os emails
+// permitidos informados, e espera /api/status responder
+async function startServer({ allowedEmails = [], env = {} } = {}) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wls-test-'));
+    await fs.writeJson(path.join(dataDir, 'allowed-emails.json'), allowedEmails.map(({ email, role }) => ({
+        email,
+        role,
+        addedAt: new Date().toISOString(),
+        addedBy: 'test'
+    })));
+
+    const port = await freePort();
+    const baseUrl = `http://127.0.0.1:${port}`;
+    const child = spawn(process.execPath, [SERVER_FILE], {
+        env: { ...process.env, PORT: String(port), HOST: '127.0.0.1', DATA_DIR: dataDir, ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    async function request(method, url, { body, token } = {}) {
+        const res = await fetch(baseUrl + url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await res.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            // Resposta que não é JSON (página, arquivo estático): fica só em `text`
+        }
+        return { status: res.status, body: json, text };
+    }
+
+    // Cadastra e entra; com `twoFactor`, ativa o 2FA e devolve a sessão já verificada
+    async function login(email, name, { twoFactor = false } = {}) {
+        await request('POST', '/api/auth/register', { body: { email, password: PASSWORD, name } });
+        const { body } = await request('POST', '/api/auth/login', { body: { email, password: PASSWORD } });
+        if (!twoFactor) {
+            return body.token;
+        }
+        const setup = await request('POST', '/api/auth/2fa/setup', { token: body.token });
+        await request('POST', '/api/auth/2fa/enable', { token: body.token, body: { code: totpCode(setup.body.secret) } });
+        return body.token;
+    }
+
+    async function stop() {
+        if (child.exitCode === null) {
+            child.kill('SIGTERM');
+            await exited;
+        }
+        await fs.remove(dataDir);
+    }
+
+    for (let attempt = 0; attempt < 100; attempt++) {
+        if (child.exitCode !== null) {
+            await fs.remove(dataDir);
+            throw new Error(`Servidor encerrou ao iniciar:\n${output}`);
+        }
+        try {
+            await fetch(`${baseUrl}/api/status`);
+            return { baseUrl, dataDir, request, login, stop };
+        } catch (error) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+    await stop();
+    throw new Error(`Servidor não respondeu em ${baseUrl}:\n${output}`);
+}
+
+module.exports = {
+    startServer
+};
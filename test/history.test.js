@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    HISTORY_CHECKPOINT_INTERVAL,
+    createHistoryEntry,
+    compactHistoryEntries,
+    partnershipVersion
+} = require('../lib/history');
+
+const user = { name: 'Editor', email: 'editor@test.local' };
+
+function wallet(n) {
+    return { address: `0x${n.toString(16).padStart(40, '0')}`, addedBy: user.name, addedAt: '2026-01-01T00:00:00.000Z' };
+}
+
+// Grava como o servidor: cada entrada é compactada contra as já gravadas
+function record(stored, entries) {
+    stored.push(...compactHistoryEntries(entries, id => stored.filter(e => e.partnershipId === id)));
+}
+
+function editSequence(edits) {
+    const stored = [];
+    const versions = [];
+    let current = {
+        id: 'p1',
+        projectName: 'Alpha',
+        network: 'Ethereum',
+        numberOfWLs: 500,
+        collectedWallets: [],
+        version: 1
+    };
+    record(stored, createHistoryEntry({ action: 'create', after: current, user }));
+    versions.push(current);
+
+    for (let i = 1; i <= edits; i++) {
+        const next = {
+            ...current,
+            collectedWallets: [...current.collectedWallets, wallet(i)],
+            version: current.version + 1
+        };
+        if (i % 7 === 0) {
+            next.collectedWallets = next.collectedWallets.slice(1);
+            next.templateDescription = `Edição ${i}`;
+        }
+        record(stored, createHistoryEntry({ action: 'update', before: current, after: next, user }));
+        versions.push(next);
+        current = next;
+    }
+    return { stored, versions };
+}
+
+test('alterações guardam a diferença e a versão inteira só nos pontos de controle', () => {
+    const { stored } = editSequence(45);
+    const checkpoints = stored.map((entry, index) => (entry.snapshot ? index : null)).filter(index => index !== null);
+
+    assert.deepStrictEqual(checkpoints, [0, HISTORY_CHECKPOINT_INTERVAL, HISTORY_CHECKPOINT_INTERVAL * 2]);
+    stored.forEach(entry => {
+        assert.ok(Boolean(entry.snapshot) !== Boolean(entry.patch), 'cada entrada guarda só um dos dois');
+    });
+    // A diferença de uma wallet nova não carrega a lista inteira
+    assert.strictEqual(stored[10].patch.wallets.added.length, 1);
+    assert.strictEqual(stored[10].patch.set.collectedWallets, undefined);
+});
+
+test('cada versão registrada pode ser reconstruída', () => {
+    const { stored, versions } = editSequence(45);
+    versions.forEach((version, index) => {
+        assert.deepStrictEqual(partnershipVersion(stored, index), version);
+    });
+});
+
+test('mudança fora do histórico grava a versão inteira', () => {
+    const { stored, versions } = editSequence(3);
+    const last = versions[versions.length - 1];
+    // Outro caminho alterou a parceria sem registrar no histórico
+    const changedElsewhere = { ...last, createdBy: 'Outro nome' };
+    const next = { ...changedElsewhere, numberOfWLs: 600, version: last.version + 1 };
+
+    record(stored, createHistoryEntry({ action: 'update', before: changedElsewhere, after: next, user }));
+    const entry = stored[stored.length - 1];
+    assert.ok(entry.snapshot);
+    assert.strictEqual(entry.patch, undefined);
+    assert.deepStrictEqual(partnershipVersion(stored, stored.length - 1), next);
+});
+
+test('exclusões e restaurações guardam a versão inteira', () => {
+    const { stored, versions } = editSequence(2);
+    const last = versions[versions.length - 1];
+    record(stored, [
+        createHistoryEntry({ action: 'delete', before: last, user }),
+        createHistoryEntry({ action: 'restore', after: last, user })
+    ]);
+    assert.ok(stored.slice(-2).every(entry => entry.snapshot && !entry.patch));
+});
@@ -0,0 +1,173 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parsePartnershipRecords, parseWalletRecords, planPartnershipImport } = require('../lib/import');
+const { buildWalletList } = require('../lib/wallets');
+
+const user = { name: 'Editor', email: 'editor@test.local', role: 'editor' };
+const WALLETS = [
+    '0x8617e340b3d01fa5f11f306f4090fd50e238070d',
+    '0x1111111111111111111111111111111111111111',
+    '0x2222222222222222222222222222222222222222'
+];
+
+function existingPartnership(overrides = {}) {
+    return {
+        id: 'p1',
+        projectName: 'Foo',
+        network: 'Ethereum',
+        numberOfWLs: 10,
+        status: 'collecting',
+        collectedWallets: buildWalletList([WALLETS[0]], 'Ethereum', { user }).wallets,
+        createdByEmail: user.email,
+        ...overrides
+    };
+}
+
+function plan(records, options = {}) {
+    let nextId = 0;
+    return planPartnershipImport(records, {
+        partnerships: [existingPartnership()],
+        user,
+        strategy: 'merge',
+        canEdit: () => true,
+        canSetVisibility: () => true,
+        generateId: () => `new-${++nextId}`,
+        ...options
+    });
+}
+
+test('linha sem wallets não apaga as wallets de uma parceria existente', () => {
+    for (const strategy of ['merge', 'replace']) {
+        for (const record of [{ projectName: 'Foo' }, { projectName: 'Foo', collectedWallets: '' }]) {
+            const result = plan([record], { strategy });
+            assert.deepStrictEqual(result.updates, [], `${strategy} ${JSON.stringify(record)}`);
+            assert.strictEqual(result.rows[0].action, 'unchanged');
+            assert.strictEqual(result.rows[0].walletsRemoved, 0);
+        }
+    }
+});
+
+test('linha sem nenhuma wallet nova ou removida não gera atualização', () => {
+    for (const strategy of ['merge', 'replace']) {
+        const result = plan([{ projectName: 'Foo', collectedWallets: WALLETS[0].toUpperCase().replace('0X', '0x') }], { strategy });
+        assert.deepStrictEqual(result.updates, []);
+        assert.deepStrictEqual(result.rows.map(row => row.action), ['unchanged']);
+    }
+});
+
+test('lê CSV com cabeçalho e JSON em array ou { partnerships }', () => {
+    const csv = 'projectName,network,numberOfWLs,collectedWallets\n'
+        + `Bar,Polygon,5,"${WALLETS[1]}; ${WALLETS[2]}"\n`;
+    assert.deepStrictEqual(parsePartnershipRecords('csv', csv), [{
+        projectName: 'Bar',
+        network: 'Polygon',
+        numberOfWLs: '5',
+        collectedWallets: `${WALLETS[1]}; ${WALLETS[2]}`
+    }]);
+
+    const records = [{ projectName: 'Bar' }];
+    assert.deepStrictEqual(parsePartnershipRecords('json', JSON.stringify(records)), records);
+    assert.deepStrictEqual(parsePartnershipRecords('json', JSON.stringify({ partnerships: records })), records);
+
+    for (const [format, content] of [['json', '{'], ['json', '{"x":1}'], ['xml', '<a/>']]) {
+        assert.throws(() => parsePartnershipRecords(format, content), error => error.status === 400, `${format} ${content}`);
+    }
+
+    assert.deepStrictEqual(parseWalletRecords('csv', `address\n${WALLETS[1]}\n${WALLETS[2]},extra`), [WALLETS[1], WALLETS[2]]);
+    assert.deepStrictEqual(parseWalletRecords('json', JSON.stringify([WALLETS[1], { address: WALLETS[2] }])), [WALLETS[1], WALLETS[2]]);
+});
+
+test('parceria nova do CSV é criada com as wallets da célula', () => {
+    const records = parsePartnershipRecords('csv', 'projectName,network,numberOfWLs,collectedWallets\n'
+        + `Bar,Polygon,5,"${WALLETS[1]}; ${WALLETS[2]}"\n`);
+    const result = plan(records);
+
+    assert.deepStrictEqual(result.rows.map(row => [row.action, row.walletsAdded]), [['create', 2]]);
+    const [created] = result.creates;
+    assert.strictEqual(created.network, 'Polygon');
+    assert.strictEqual(created.numberOfWLs, 5);
+    assert.strictEqual(created.status, 'negotiating');
+    assert.strictEqual(created.visibility, 'team');
+    assert.strictEqual(created.createdByEmail, user.email);
+    assert.strictEqual(created.collectedWallets.length, 2);
+});
+
+test('merge acrescenta às wallets atuais e replace substitui a lista', () => {
+    const merged = plan([{ projectName: 'Foo', collectedWallets: WALLETS[1] }], { strategy: 'merge' });
+    assert.deepStrictEqual(merged.rows.map(row => [row.action, row.walletsAdded, row.walletsRemoved]), [['update', 1, 0]]);
+    assert.deepStrictEqual(merged.updates[0].wallets.map(w => w.address.toLowerCase()), [WALLETS[0], WALLETS[1]]);
+
+    const replaced = plan([{ projectName: 'foo', collectedWallets: `${WALLETS[1]}\n${WALLETS[2]}` }], { strategy: 'replace' });
+    assert.deepStrictEqual(replaced.rows.map(row => [row.action, row.walletsAdded, row.walletsRemoved]), [['update', 2, 1]]);
+    assert.deepStrictEqual(replaced.updates[0].wallets.map(w => w.address.toLowerCase()), [WALLETS[1], WALLETS[2]]);
+
+    // Quem adicionou a wallet que continua na lista não muda
+    const kept = plan([{ id: 'p1', projectName: 'Foo', collectedWallets: `${WALLETS[0]}\n${WALLETS[1]}` }], {
+        strategy: 'replace',
+        user: { name: 'Outro', email: 'outro@test.local', role: 'editor' }
+    });
+    assert.strictEqual(kept.updates[0].wallets[0].addedBy, user.name);
+    assert.strictEqual(kept.updates[0].wallets[1].addedBy, 'Outro');
+});
+
+test('linhas além da cota são erro, a menos que allowOverQuota esteja ligado', () => {
+    const records = [
+        { projectName: 'Nova', numberOfWLs: 1, collectedWallets: `${WALLETS[1]}\n${WALLETS[2]}` },
+        { projectName: 'Foo', collectedWallets: `${WALLETS[1]}\n${WALLETS[2]}` }
+    ];
+    const partnerships = [existingPartnership({ numberOfWLs: 2 })];
+
+    const blocked = plan(records, { partnerships });
+    assert.deepStrictEqual(blocked.rows.map(row => row.action), ['error', 'error']);
+    blocked.rows.forEach(row => assert.match(row.errors[0].message, /Cota excedida/));
+    assert.deepStrictEqual(blocked.creates, []);
+    assert.deepStrictEqual(blocked.updates, []);
+
+    const allowed = plan(records, { partnerships, allowOverQuota: true });
+    assert.deepStrictEqual(allowed.rows.map(row => [row.action, row.overQuota]), [['create', 1], ['update', 1]]);
+    assert.strictEqual(allowed.quotaOverrides[allowed.creates[0].id].excess, 1);
+    assert.deepStrictEqual(allowed.quotaOverrides.p1, { allocated: 2, collected: 1, requested: 3, excess: 1 });
+
+    // Remover wallets numa parceria já acima da cota não é bloqueado
+    const over = existingPartnership({
+        numberOfWLs: 1,
+        collectedWallets: buildWalletList(WALLETS, 'Ethereum', { user }).wallets
+    });
+    const trimmed = plan([{ projectName: 'Foo', collectedWallets: `${WALLETS[0]}\n${WALLETS[1]}` }], {
+        partnerships: [over],
+        strategy: 'replace'
+    });
+    assert.deepStrictEqual(trimmed.rows.map(row => [row.action, row.walletsRemoved]), [['update', 1]]);
+});
+
+test('cada linha inválida vira erro sem afetar as outras', () => {
+    const result = plan([
+        { projectName: 'Repetida' },
+        { projectName: 'repetida' },
+        { id: 'nao-existe', projectName: 'Fantasma' },
+        { projectName: 'Wallet ruim', collectedWallets: '0x123' },
+        { projectName: 'Restrita', visibility: 'admin' },
+        'não é objeto',
+        { projectName: 'Ok' }
+    ], {
+        canSetVisibility: (currentUser, visibility) => visibility !== 'admin'
+    });
+
+    assert.deepStrictEqual(result.rows.map(row => [row.row, row.action]), [
+        [1, 'create'],
+        [2, 'error'],
+        [3, 'error'],
+        [4, 'error'],
+        [5, 'error'],
+        [6, 'error'],
+        [7, 'create']
+    ]);
+    assert.match(result.rows[1].errors[0].message, /linha 1/);
+    assert.deepStrictEqual(result.rows[2].errors.map(e => e.field), ['id']);
+    assert.deepStrictEqual(result.rows[3].errors.map(e => e.field), ['collectedWallets']);
+    assert.deepStrictEqual(result.rows[4].errors.map(e => e.field), ['visibility']);
+
+    const denied = plan([{ projectName: 'Foo', collectedWallets: WALLETS[1] }], { canEdit: () => false });
+    assert.strictEqual(denied.rows[0].action, 'error');
+    assert.deepStrictEqual(denied.updates, []);
+});
@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { planPartnershipImport } = require('../lib/import');
+const { startServer } = require('./helpers/server');
+
+const EDITOR_EMAIL = 'editor@test.local';
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ allowedEmails: [{ email: EDITOR_EMAIL, role: 'editor' }] });
+    token = await server.login(EDITOR_EMAIL, 'Editor');
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('parceria nova não pode pular etapas do ciclo de vida', async () => {
+    for (const status of ['collecting', 'submitted', 'delivered']) {
+        const res = await server.request('POST', '/api/partnerships', {
+            token,
+            body: { projectName: `Pulo ${status}`, status }
+        });
+        assert.strictEqual(res.status, 400, `${status} respondeu ${res.status}`);
+        assert.strictEqual(res.body.errors[0].field, 'status');
+    }
+
+    const list = await server.request('GET', '/api/partnerships', { token });
+    assert.strictEqual(list.body.data.length, 0);
+});
+
+test('parceria nova começa negociando ou num dos próximos passos', async () => {
+    const negotiating = await server.request('POST', '/api/partnerships', { token, body: { projectName: 'Padrão' } });
+    assert.strictEqual(negotiating.status, 200, negotiating.text);
+    assert.strictEqual(negotiating.body.data.status, 'negotiating');
+
+    const confirmed = await server.request('POST', '/api/partnerships', {
+        token,
+        body: { projectName: 'Confirmada', status: 'confirmed' }
+    });
+    assert.strictEqual(confirmed.status, 200, confirmed.text);
+    assert.strictEqual(confirmed.body.data.status, 'confirmed');
+});
+
+test('a importação aplica a mesma regra às parcerias novas', () => {
+    let nextId = 0;
+    const plan = planPartnershipImport([
+        { projectName: 'Importada entregue', status: 'delivered' },
+        { projectName: 'Importada confirmada', status: 'confirmed' }
+    ], {
+        partnerships: [],
+        user: { name: 'Editor', email: EDITOR_EMAIL, role: 'editor' },
+        strategy: 'merge',
+        canEdit: () => true,
+        canSetVisibility: () => true,
+        generateId: () => `id-${++nextId}`
+    });
+
+    assert.deepStrictEqual(plan.rows.map(row => row.action), ['error', 'create']);
+    assert.strictEqual(plan.rows[0].errors[0].field, 'status');
+    assert.deepStrictEqual(plan.creates.map(p => p.status), ['confirmed']);
+});
+
+test('a importação não altera as wallets de uma parceria entregue', async () => {
+    const wallet = '0x8617e340b3d01fa5f11f306f4090fd50e238070d';
+    const created = await server.request('POST', '/api/partnerships', {
+        token,
+        body: { projectName: 'Entregue', numberOfWLs: 5, collectedWallets: wallet }
+    });
+    assert.strictEqual(created.status, 200, created.text);
+    const { id } = created.body.data;
+    for (const status of ['confirmed', 'collecting', 'submitted', 'delivered']) {
+        const moved = await server.request('PUT', `/api/partnerships/${id}`, { token, body: { status } });
+        assert.strictEqual(moved.status, 200, moved.text);
+    }
+
+    const importRow = (record, walletStrategy, dryRun = false) => server.request('POST', '/api/partnerships/import', {
+        token,
+        body: { format: 'json', walletStrategy, dryRun, content: JSON.stringify([record]) }
+    });
+    for (const walletStrategy of ['merge', 'replace']) {
+        for (const record of [{ projectName: 'Entregue' }, { projectName: 'Entregue', collectedWallets: '' }]) {
+            const res = await importRow(record, walletStrategy);
+            assert.strictEqual(res.status, 200, res.text);
+            assert.strictEqual(res.body.rows[0].action, 'unchanged');
+        }
+        const added = await importRow({ projectName: 'Entregue', collectedWallets: '0x1111111111111111111111111111111111111111' }, walletStrategy);
+        assert.strictEqual(added.status, 400, added.text);
+        assert.strictEqual(added.body.rows[0].errors[0].field, 'collectedWallets');
+    }
+
+    // Uma lista vazia na estratégia replace também removeria a wallet
+    const emptied = await importRow({ projectName: 'Entregue', collectedWallets: [] }, 'replace', true);
+    assert.strictEqual(emptied.body.rows[0].action, 'error');
+
+    const after = await server.request('GET', `/api/partnerships/${id}`, { token });
+    assert.strictEqual(after.body.data.status, 'delivered');
+    assert.deepStrictEqual(after.body.data.collectedWallets.map(w => w.address.toLowerCase()), [wallet]);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const fs = require('fs-extra');
+const { startServer } = require('./helpers/server');
+
+const EMAIL = 'editor@test.local';
+
+// fetch não deixa trocar o Host; aqui o pedido chega com um host forjado
+function postWithHost(baseUrl, url, host, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(baseUrl + url, {
+            method: 'POST',
+            headers: { Host: host, 'Content-Type': 'application/json' }
+        }, res => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('error', reject);
+        req.end(JSON.stringify(body));
+    });
+}
+
+test('sem APP_URL a redefinição por email é recusada', async () => {
+    const server = await startServer({
+        allowedEmails: [{ email: EMAIL, role: 'editor' }],
+        env: { APP_URL: '', MAIL_TRANSPORT: 'file' }
+    });
+    try {
+        await server.login(EMAIL, 'Editor');
+        const res = await server.request('POST', '/api/auth/password-reset', { body: { email: EMAIL } });
+        assert.strictEqual(res.status, 503);
+        assert.strictEqual(await fs.pathExists(path.join(server.dataDir, 'mail-outbox.jsonl')), false);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('o link enviado usa APP_URL mesmo com o host do pedido forjado', async () => {
+    const server = await startServer({
+        allowedEmails: [{ email: EMAIL, role: 'editor' }],
+        env: { APP_URL: 'https://wls.example.com/', MAIL_TRANSPORT: 'file' }
+    });
+    try {
+        await server.login(EMAIL, 'Editor');
+        const status = await postWithHost(server.baseUrl, '/api/auth/password-reset', 'evil.example.net', { email: EMAIL });
+        assert.strictEqual(status, 200);
+
+        const outbox = await fs.readFile(path.join(server.dataDir, 'mail-outbox.jsonl'), 'utf8');
+        assert.match(outbox, /https:\/\/wls\.example\.com\/\?reset=[a-f0-9]{64}/);
+        assert.doesNotMatch(outbox, /evil\.example\.net/);
+
+        const raw = await server.request('GET', '/mail-outbox.jsonl');
+        assert.strictEqual(raw.status, 404);
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { can, canSetVisibility, permissionsFor } = require('../lib/policy');
+
+const partnership = visibility => ({
+    id: 'p1',
+    projectName: 'Alpha',
+    visibility,
+    createdByEmail: 'owner@test.local',
+    collaborators: []
+});
+
+const admin = mfa => ({ id: 'a1', email: 'admin@test.local', role: 'admin', mfa });
+
+test('admin com o segundo fator confirmado tem todos os poderes', () => {
+    const user = admin(true);
+    for (const visibility of ['team', 'collaborators', 'admin']) {
+        assert.strictEqual(can(user, 'view', partnership(visibility)), true);
+        assert.strictEqual(can(user, 'delete', partnership(visibility)), true);
+    }
+    assert.strictEqual(canSetVisibility(user, 'admin'), true);
+});
+
+test('admin sem o segundo fator confirmado age como editor', () => {
+    for (const user of [admin(false), admin(undefined)]) {
+        assert.strictEqual(can(user, 'view', partnership('team')), true);
+        assert.strictEqual(can(user, 'edit', partnership('team')), false);
+        assert.strictEqual(can(user, 'delete', partnership('team')), false);
+        assert.strictEqual(can(user, 'view', partnership('collaborators')), false);
+        assert.strictEqual(can(user, 'view', partnership('admin')), false);
+        assert.strictEqual(can(user, 'create'), true);
+        assert.strictEqual(canSetVisibility(user, 'admin'), false);
+        assert.strictEqual(permissionsFor(user, partnership('team')).role, 'editor');
+    }
+});
+
+test('a confirmação do segundo fator não muda as outras funções', () => {
+    const manager = { id: 'm1', email: 'manager@test.local', role: 'manager' };
+    assert.strictEqual(can(manager, 'edit', partnership('collaborators')), true);
+    assert.strictEqual(can(manager, 'view', partnership('admin')), false);
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const EMAIL = 'editor@test.local';
+const PASSWORD = 'Senha@Forte123';
+
+let server;
+
+before(async () => {
+    server = await startServer({ allowedEmails: [{ email: EMAIL, role: 'editor' }] });
+    await server.request('POST', '/api/auth/register', { body: { email: EMAIL, password: PASSWORD, name: 'Editor' } });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+async function login() {
+    const res = await server.request('POST', '/api/auth/login', { body: { email: EMAIL, password: PASSWORD } });
+    assert.strictEqual(res.status, 200, res.text);
+    return res.body;
+}
+
+function refresh(refreshToken) {
+    return server.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+}
+
+test('cada renovação troca o refresh token', async () => {
+    const first = await login();
+
+    const second = await refresh(first.refreshToken);
+    assert.strictEqual(second.status, 200, second.text);
+    assert.ok(second.body.token);
+    assert.notStrictEqual(second.body.refreshToken, first.refreshToken);
+
+    const third = await refresh(second.body.refreshToken);
+    assert.strictEqual(third.status, 200, third.text);
+    assert.notStrictEqual(third.body.refreshToken, second.body.refreshToken);
+
+    const verify = await server.request('GET', '/api/auth/verify', { token: third.body.token });
+    assert.strictEqual(verify.status, 200);
+
+    const garbage = await refresh('nao-e-um-token');
+    assert.strictEqual(garbage.status, 401);
+    assert.strictEqual(garbage.body.revoked, true);
+});
+
+test('o token anterior ainda vale na tolerância entre abas, mas sem novo refresh token', async () => {
+    const first = await login();
+    const second = await refresh(first.refreshToken);
+    assert.strictEqual(second.status, 200, second.text);
+
+    const otherTab = await refresh(first.refreshToken);
+    assert.strictEqual(otherTab.status, 200, otherTab.text);
+    assert.ok(otherTab.body.token);
+    assert.strictEqual(otherTab.body.refreshToken, undefined);
+
+    // A sessão continua com o refresh token da renovação
+    const next = await refresh(second.body.refreshToken);
+    assert.strictEqual(next.status, 200, next.text);
+});
+
+test('reapresentar um refresh token já trocado encerra a sessão', async () => {
+    const first = await login();
+    const second = await refresh(first.refreshToken);
+    const third = await refresh(second.body.refreshToken);
+    assert.strictEqual(third.status, 200, third.text);
+
+    const reused = await refresh(first.refreshToken);
+    assert.strictEqual(reused.status, 401);
+    assert.strictEqual(reused.body.revoked, true);
+    assert.match(reused.body.message, /reutilizado/);
+
+    // Nem o refresh token atual nem o token de acesso valem mais
+    const current = await refresh(third.body.refreshToken);
+    assert.strictEqual(current.status, 401);
+    const verify = await server.request('GET', '/api/auth/verify', { token: third.body.token });
+    assert.strictEqual(verify.status, 401);
+    assert.strictEqual(verify.body.revoked, true);
+
+    // Outras sessões do usuário não são afetadas
+    const other = await login();
+    assert.strictEqual((await refresh(other.refreshToken)).status, 200);
+});
@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { Wallet } = require('ethers');
+const { parseSiweMessage, siweMessageError } = require('../lib/siwe');
+const { startServer } = require('./helpers/server');
+
+const EMAIL = 'editor@test.local';
+const DOMAIN = 'wls.example.com';
+
+let server;
+let session;
+const wallet = Wallet.createRandom();
+
+before(async () => {
+    server = await startServer({
+        allowedEmails: [{ email: EMAIL, role: 'editor' }],
+        env: { APP_URL: `https://${DOMAIN}` }
+    });
+    session = await server.login(EMAIL, 'Editor');
+});
+
+after(async () => {
+    await server.stop();
+});
+
+async function nonceMessage() {
+    const res = await server.request('POST', '/api/auth/siwe/nonce', { body: { address: wallet.address } });
+    assert.strictEqual(res.status, 200, res.text);
+    return res.body.message;
+}
+
+async function signed(message, signer = wallet) {
+    return { message, signature: await signer.signMessage(message) };
+}
+
+test('a mensagem só vale no domínio e no prazo dela', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    const fields = {
+        domain: DOMAIN,
+        expirationTime: '2026-01-01T00:10:00Z',
+        notBefore: '2025-12-31T23:59:00Z'
+    };
+    assert.strictEqual(siweMessageError(fields, { domain: DOMAIN, now }), null);
+    assert.match(siweMessageError(fields, { domain: 'evil.example.net', now }), /outro site/);
+    assert.match(siweMessageError(fields, { domain: DOMAIN, now: Date.parse(fields.expirationTime) }), /expirada/);
+    assert.match(siweMessageError(fields, { domain: DOMAIN, now: Date.parse('2025-12-31T23:00:00Z') }), /ainda não/);
+});
+
+test('o nonce vale para uma única assinatura', async () => {
+    const body = await signed(await nonceMessage());
+    assert.strictEqual(parseSiweMessage(body.message).domain, DOMAIN);
+
+    const linked = await server.request('PUT', '/api/auth/wallet', { token: session, body });
+    assert.strictEqual(linked.status, 200, linked.text);
+
+    const reused = await server.request('POST', '/api/auth/siwe/login', { body });
+    assert.strictEqual(reused.status, 401);
+    assert.match(reused.body.message, /Nonce/);
+
+    const login = await server.request('POST', '/api/auth/siwe/login', { body: await signed(await nonceMessage()) });
+    assert.strictEqual(login.status, 200, login.text);
+    assert.strictEqual(login.body.user.email, EMAIL);
+});
+
+// O login com carteira aceita 5 tentativas por janela; parte das recusas passa pelo
+// vínculo da carteira, que confere a mensagem do mesmo jeito
+test('mensagem de outro domínio, vencida ou assinada por outra carteira é recusada', async () => {
+    const message = await nonceMessage();
+
+    const otherDomain = message.replace(`${DOMAIN} wants you`, 'evil.example.net wants you');
+    const wrongDomain = await server.request('PUT', '/api/auth/wallet', { token: session, body: await signed(otherDomain) });
+    assert.strictEqual(wrongDomain.status, 401);
+    assert.match(wrongDomain.body.message, /outro site/);
+
+    const expired = message.replace(/Expiration Time: .*/, `Expiration Time: ${new Date(Date.now() - 1000).toISOString()}`);
+    const late = await server.request('POST', '/api/auth/siwe/login', { body: await signed(expired) });
+    assert.strictEqual(late.status, 401);
+    assert.match(late.body.message, /expirada/);
+
+    const forged = await server.request('PUT', '/api/auth/wallet', {
+        token: session,
+        body: await signed(message, Wallet.createRandom())
+    });
+    assert.strictEqual(forged.status, 401);
+    assert.match(forged.body.message, /Assinatura/);
+
+    // Recusas não gastam o nonce: a mensagem original ainda entra
+    const login = await server.request('POST', '/api/auth/siwe/login', { body: await signed(message) });
+    assert.strictEqual(login.status, 200, login.text);
+});
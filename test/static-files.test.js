@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const { startServer } = require('./helpers/server');
+
+const ADMIN_EMAIL = 'admin@test.local';
+
+// Caminhos em que os arquivos de dados já estiveram (raiz do projeto) ou estão (data/)
+const RAW_PATHS = [
+    'partnerships.json',
+    'users.json',
+    'sessions.json',
+    'history.jsonl',
+    'webhooks.json',
+    'api-tokens.json',
+    'submission-links.json',
+    'eligibility-checks.json',
+    'allowed-emails.json',
+    'mail-outbox.jsonl',
+    'data.sqlite'
+];
+
+let server;
+
+before(async () => {
+    server = await startServer({ allowedEmails: [{ email: ADMIN_EMAIL, role: 'admin' }] });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('parcerias restritas não vazam pelos arquivos estáticos', async () => {
+    const token = await server.login(ADMIN_EMAIL, 'Admin', { twoFactor: true });
+
+    for (const visibility of ['admin', 'collaborators']) {
+        const created = await server.request('POST', '/api/partnerships', {
+            token,
+            body: { projectName: `Secreto ${visibility}`, network: 'Ethereum', numberOfWLs: 1, visibility }
+        });
+        assert.strictEqual(created.status, 200, created.text);
+        assert.strictEqual(created.body.data.visibility, visibility);
+    }
+
+    // Os dados estão mesmo no disco, só não podem ser baixados
+    const stored = await fs.readFile(path.join(server.dataDir, 'partnerships.json'), 'utf8');
+    assert.match(stored, /Secreto admin/);
+
+    for (const file of RAW_PATHS) {
+        for (const url of [`/${file}`, `/data/${file}`]) {
+            const res = await server.request('GET', url);
+            assert.strictEqual(res.status, 404, `${url} respondeu ${res.status}`);
+            assert.doesNotMatch(res.text, /Secreto|@test\.local/, `${url} expôs dados`);
+        }
+    }
+});
+
+test('páginas e o script do cliente continuam servidos', async () => {
+    for (const url of ['/', '/dashboard', '/admin', '/auth-client.js']) {
+        const res = await server.request('GET', url);
+        assert.strictEqual(res.status, 200, `${url} respondeu ${res.status}`);
+    }
+});
+
+test('servidor não inicia com os dados dentro da pasta pública', async () => {
+    const publicDataDir = path.join(__dirname, '..', 'public', 'data');
+    await assert.rejects(startServer({ env: { DATA_DIR: publicDataDir } }), /pasta pública/);
+    assert.strictEqual(await fs.pathExists(publicDataDir), false);
+});
@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+    closedReason,
+    normalizeSubmissionLinkInput,
+    normalizeDiscordHandle,
+    SUBMISSION_LINK_MAX_DAYS
+} = require('../lib/submissions');
+const { startServer } = require('./helpers/server');
+
+const EDITOR_EMAIL = 'editor@test.local';
+const RATE_LIMIT = 3;
+const SOLANA_WALLET = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+
+const wallet = n => `0x${String(n).repeat(40)}`;
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({
+        allowedEmails: [{ email: EDITOR_EMAIL, role: 'editor' }],
+        env: { SUBMISSION_RATE_LIMIT: String(RATE_LIMIT) }
+    });
+    token = await server.login(EDITOR_EMAIL, 'Editor');
+});
+
+after(async () => {
+    await server.stop();
+});
+
+// Cria uma parceria com um link de envio; devolve os ids e o token público do link
+async function partnershipWithLink(projectName, numberOfWLs, linkInput = {}) {
+    const created = await server.request('POST', '/api/partnerships', {
+        token,
+        body: { projectName, network: 'Ethereum', numberOfWLs, status: 'confirmed' }
+    });
+    assert.strictEqual(created.status, 200, created.text);
+    const { id } = created.body.data;
+
+    const link = await server.request('POST', `/api/partnerships/${id}/submission-links`, { token, body: linkInput });
+    assert.strictEqual(link.status, 201, link.text);
+    return { id, linkId: link.body.data.id, linkToken: link.body.url.split('/submit/')[1] };
+}
+
+function submit(linkToken, body) {
+    return server.request('POST', `/api/public/submissions/${linkToken}`, { body });
+}
+
+test('link fechado: encerrado, expirado, cheio ou parceria sem receber wallets', () => {
+    const now = Date.parse('2026-06-01T00:00:00.000Z');
+    const link = { expiresAt: '2026-06-02T00:00:00.000Z', submissions: 0, maxSubmissions: 2, closedAt: null };
+    const partnership = { status: 'collecting', numberOfWLs: 5, collectedWallets: [] };
+
+    assert.strictEqual(closedReason(link, partnership, now), null);
+    assert.strictEqual(closedReason({ ...link, closedAt: '2026-05-31T00:00:00.000Z' }, partnership, now), 'closed');
+    assert.strictEqual(closedReason(link, partnership, Date.parse(link.expiresAt)), 'expired');
+    assert.strictEqual(closedReason({ ...link, submissions: 2 }, partnership, now), 'full');
+    assert.strictEqual(closedReason(link, { ...partnership, numberOfWLs: 1, collectedWallets: [{ address: wallet(1) }] }, now), 'full');
+    for (const status of ['submitted', 'delivered', 'cancelled']) {
+        assert.strictEqual(closedReason(link, { ...partnership, status }, now), 'unavailable');
+    }
+    assert.strictEqual(closedReason(link, null, now), 'unavailable');
+});
+
+test('validade, limite de envios e usuário do Discord do link', () => {
+    const partnership = { numberOfWLs: 5, collectedWallets: [{ address: wallet(1) }] };
+
+    const defaults = normalizeSubmissionLinkInput({}, partnership);
+    assert.strictEqual(defaults.value.maxSubmissions, 4);
+    for (const expiresInDays of [0, SUBMISSION_LINK_MAX_DAYS + 1, 1.5, 'x']) {
+        assert.ok(normalizeSubmissionLinkInput({ expiresInDays }, partnership).error, `validade ${expiresInDays}`);
+    }
+    assert.ok(normalizeSubmissionLinkInput({ maxSubmissions: 6 }, partnership).error);
+    assert.ok(normalizeSubmissionLinkInput({}, { numberOfWLs: 0, collectedWallets: [] }).error);
+    assert.strictEqual(normalizeSubmissionLinkInput({ maxSubmissions: 3 }, { numberOfWLs: 0 }).value.maxSubmissions, 3);
+
+    assert.deepStrictEqual(normalizeDiscordHandle(''), { value: null });
+    assert.deepStrictEqual(normalizeDiscordHandle('@fulano.dev'), { value: 'fulano.dev' });
+    assert.deepStrictEqual(normalizeDiscordHandle('Fulano#1234'), { value: 'Fulano#1234' });
+    assert.ok(normalizeDiscordHandle('<@123>').error);
+});
+
+test('envio valida a wallet na rede da parceria e o limite conta só envios aceitos', async () => {
+    const { id, linkToken } = await partnershipWithLink('Envios', 10);
+
+    const invalid = await submit(linkToken, { wallet: '0x123' });
+    assert.strictEqual(invalid.status, 400);
+    const otherNetwork = await submit(linkToken, { wallet: SOLANA_WALLET });
+    assert.strictEqual(otherNetwork.status, 400);
+    assert.match(otherNetwork.body.message, /rede Ethereum/);
+    const badDiscord = await submit(linkToken, { wallet: wallet(9), discord: '<@123>' });
+    assert.strictEqual(badDiscord.status, 400);
+
+    for (let n = 1; n <= RATE_LIMIT; n++) {
+        const res = await submit(linkToken, { wallet: wallet(n), discord: 'fulano' });
+        assert.strictEqual(res.status, 201, res.text);
+    }
+    const limited = await submit(linkToken, { wallet: wallet(RATE_LIMIT + 1) });
+    assert.strictEqual(limited.status, 429);
+
+    const partnership = await server.request('GET', `/api/partnerships/${id}`, { token });
+    assert.strictEqual(partnership.body.data.collectedWallets.length, RATE_LIMIT);
+    assert.strictEqual(partnership.body.data.collectedWallets[0].addedBy, 'fulano (link público)');
+});
+
+test('só o token do link abre a página de envio', async () => {
+    const { linkId, linkToken } = await partnershipWithLink('Token', 5);
+    for (const ref of ['nao-existe', linkId]) {
+        const res = await server.request('GET', `/api/public/submissions/${ref}`);
+        assert.strictEqual(res.status, 404);
+    }
+    const res = await server.request('GET', `/api/public/submissions/${linkToken}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data.projectName, 'Token');
+    assert.strictEqual(res.body.data.collectedWallets, undefined);
+});
+
+test('link sem vagas, encerrado ou de parceria travada responde 410', async () => {
+    const full = await partnershipWithLink('Cheia', 1);
+    assert.strictEqual((await submit(full.linkToken, { wallet: wallet(1) })).status, 201);
+    const fullInfo = await server.request('GET', `/api/public/submissions/${full.linkToken}`);
+    assert.strictEqual(fullInfo.status, 410);
+    assert.strictEqual(fullInfo.body.reason, 'full');
+    assert.strictEqual((await submit(full.linkToken, { wallet: wallet(2) })).status, 410);
+
+    const closed = await partnershipWithLink('Encerrada', 5);
+    const removed = await server.request('DELETE', `/api/partnerships/${closed.id}/submission-links/${closed.linkId}`, { token });
+    assert.strictEqual(removed.status, 200, removed.text);
+    const closedInfo = await server.request('GET', `/api/public/submissions/${closed.linkToken}`);
+    assert.strictEqual(closedInfo.status, 410);
+    assert.strictEqual(closedInfo.body.reason, 'closed');
+
+    const locked = await partnershipWithLink('Travada', 5);
+    for (const status of ['collecting', 'submitted']) {
+        const moved = await server.request('PUT', `/api/partnerships/${locked.id}`, { token, body: { status } });
+        assert.strictEqual(moved.status, 200, moved.text);
+    }
+    const lockedSubmit = await submit(locked.linkToken, { wallet: wallet(3) });
+    assert.strictEqual(lockedSubmit.status, 410);
+    assert.strictEqual(lockedSubmit.body.reason, 'unavailable');
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { totpCode } = require('../lib/totp');
+const { startServer } = require('./helpers/server');
+
+const EMAIL = 'editor@test.local';
+const OTHER_EMAIL = 'outro@test.local';
+const PASSWORD = 'Senha@Forte123';
+const STEP_MS = 30 * 1000;
+
+let server;
+
+before(async () => {
+    server = await startServer({
+        allowedEmails: [{ email: EMAIL, role: 'editor' }, { email: OTHER_EMAIL, role: 'editor' }]
+    });
+    await server.request('POST', '/api/auth/register', { body: { email: EMAIL, password: PASSWORD, name: 'Editor' } });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+function login(email = EMAIL) {
+    return server.request('POST', '/api/auth/login', { body: { email, password: PASSWORD } });
+}
+
+test('ativação confere o código e depois o login pede o segundo fator', async () => {
+    const { body: { token } } = await login();
+
+    const early = await server.request('POST', '/api/auth/2fa/enable', { token, body: { code: '123456' } });
+    assert.strictEqual(early.status, 400);
+
+    const setup = await server.request('POST', '/api/auth/2fa/setup', { token });
+    assert.strictEqual(setup.status, 200, setup.text);
+    const { secret } = setup.body;
+
+    // Código de dez minutos atrás está fora da janela
+    const wrong = await server.request('POST', '/api/auth/2fa/enable', {
+        token,
+        body: { code: totpCode(secret, Date.now() - 20 * STEP_MS) }
+    });
+    assert.strictEqual(wrong.status, 400);
+
+    const enabled = await server.request('POST', '/api/auth/2fa/enable', { token, body: { code: totpCode(secret) } });
+    assert.strictEqual(enabled.status, 200, enabled.text);
+    assert.strictEqual(enabled.body.recoveryCodes.length, 10);
+
+    const status = await server.request('GET', '/api/auth/2fa', { token });
+    assert.strictEqual(status.body.enabled, true);
+    assert.strictEqual(status.body.sessionVerified, true);
+
+    // Novo login: só o desafio, sem sessão
+    const challenged = await login();
+    assert.strictEqual(challenged.status, 200);
+    assert.strictEqual(challenged.body.twoFactorRequired, true);
+    assert.strictEqual(challenged.body.token, undefined);
+    const { challengeToken } = challenged.body;
+
+    const bad = await server.request('POST', '/api/auth/login/2fa', {
+        body: { challengeToken, code: totpCode(secret, Date.now() - 20 * STEP_MS) }
+    });
+    assert.strictEqual(bad.status, 401);
+
+    // O código do passo seguinte ainda está na janela e não foi usado
+    const code = totpCode(secret, Date.now() + STEP_MS);
+    const verified = await server.request('POST', '/api/auth/login/2fa', { body: { challengeToken, code } });
+    assert.strictEqual(verified.status, 200, verified.text);
+    assert.ok(verified.body.token);
+    const session = await server.request('GET', '/api/auth/2fa', { token: verified.body.token });
+    assert.strictEqual(session.body.sessionVerified, true);
+
+    // O mesmo código não serve duas vezes
+    const replay = await server.request('POST', '/api/auth/login/2fa', { body: { challengeToken, code } });
+    assert.strictEqual(replay.status, 401);
+
+    // Código de recuperação vale uma única vez
+    const [recoveryCode] = enabled.body.recoveryCodes;
+    const recovered = await server.request('POST', '/api/auth/login/2fa', { body: { challengeToken, code: recoveryCode } });
+    assert.strictEqual(recovered.status, 200, recovered.text);
+    const again = await server.request('POST', '/api/auth/login/2fa', { body: { challengeToken, code: recoveryCode } });
+    assert.strictEqual(again.status, 401);
+
+    const forged = await server.request('POST', '/api/auth/login/2fa', { body: { challengeToken: token, code } });
+    assert.strictEqual(forged.status, 401);
+});
+
+test('ativar com a sessão encerrada responde 401, nunca erro interno', async () => {
+    await server.request('POST', '/api/auth/register', { body: { email: OTHER_EMAIL, password: PASSWORD, name: 'Outro' } });
+    const { body: { token, refreshToken } } = await login(OTHER_EMAIL);
+    const { body: { secret } } = await server.request('POST', '/api/auth/2fa/setup', { token });
+
+    // Sair e ativar ao mesmo tempo: nunca um erro interno
+    const [, enabled] = await Promise.all([
+        server.request('POST', '/api/auth/logout', { body: { refreshToken } }),
+        server.request('POST', '/api/auth/2fa/enable', { token, body: { code: totpCode(secret) } })
+    ]);
+    assert.ok([200, 401].includes(enabled.status), enabled.text);
+
+    const again = await login(OTHER_EMAIL);
+    assert.strictEqual(again.status, 200);
+    if (enabled.status === 401) {
+        assert.strictEqual(enabled.body.revoked, true);
+        assert.strictEqual(again.body.twoFactorRequired, undefined);
+    }
+
+    const late = await server.request('POST', '/api/auth/2fa/enable', { token, body: { code: totpCode(secret) } });
+    assert.strictEqual(late.status, 401);
+    assert.strictEqual(late.body.revoked, true);
+});
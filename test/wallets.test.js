@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateAddress, decodeBase58, buildWalletList, mergeWalletList, migrateWallets } = require('../lib/wallets');
+
+// Exemplo do EIP-55
+const CHECKSUMMED = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const SOLANA = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+
+test('endereço EVM com maiúsculas e minúsculas precisa bater com o checksum EIP-55', () => {
+    assert.deepStrictEqual(validateAddress(CHECKSUMMED, 'Ethereum'), { valid: true, address: CHECKSUMMED });
+
+    const badChecksum = `${CHECKSUMMED.slice(0, -1)}D`;
+    const result = validateAddress(badChecksum, 'Polygon');
+    assert.strictEqual(result.valid, false);
+    assert.match(result.reason, /EIP-55/);
+});
+
+test('endereço EVM todo minúsculo ou maiúsculo é normalizado para o checksum', () => {
+    for (const raw of [CHECKSUMMED.toLowerCase(), `0x${CHECKSUMMED.slice(2).toUpperCase()}`, `  ${CHECKSUMMED.toLowerCase()}  `]) {
+        assert.deepStrictEqual(validateAddress(raw, 'Base'), { valid: true, address: CHECKSUMMED });
+    }
+    for (const raw of ['0x123', `${CHECKSUMMED}00`, CHECKSUMMED.slice(2), '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeG']) {
+        assert.strictEqual(validateAddress(raw, 'Ethereum').valid, false, raw);
+    }
+});
+
+test('endereço Solana precisa ser base58 de 32 bytes', () => {
+    assert.deepStrictEqual(validateAddress(SOLANA, 'Solana'), { valid: true, address: SOLANA });
+    assert.strictEqual(validateAddress('11111111111111111111111111111111', 'Solana').valid, true);
+    assert.strictEqual(decodeBase58('11111111111111111111111111111111').length, 32);
+
+    const short = validateAddress(SOLANA.slice(0, 30), 'Solana');
+    assert.strictEqual(short.valid, false);
+    assert.match(short.reason, /32 bytes/);
+    assert.strictEqual(validateAddress(`${SOLANA}1111`, 'Solana').valid, false);
+
+    const badChar = validateAddress(`0${SOLANA.slice(1)}`, 'Solana');
+    assert.strictEqual(badChar.valid, false);
+    assert.match(badChar.reason, /base58/);
+    assert.strictEqual(validateAddress(CHECKSUMMED, 'Solana').valid, false);
+});
+
+test('duplicatas EVM são detectadas sem diferenciar maiúsculas', () => {
+    const { wallets, errors } = buildWalletList([CHECKSUMMED, CHECKSUMMED.toLowerCase()], 'Ethereum');
+    assert.deepStrictEqual(wallets.map(w => w.address), [CHECKSUMMED]);
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].reason, /Duplicada \(linha 1\)/);
+
+    const merged = mergeWalletList(CHECKSUMMED.toLowerCase(), 'Ethereum', { existing: wallets });
+    assert.strictEqual(merged.added.length, 0);
+    assert.strictEqual(merged.wallets.length, 1);
+
+    // Em Solana maiúsculas contam: são endereços diferentes
+    const solana = buildWalletList([SOLANA, SOLANA.toLowerCase(), SOLANA], 'Solana');
+    assert.deepStrictEqual(solana.wallets.map(w => w.address), [SOLANA, SOLANA.toLowerCase()]);
+    assert.deepStrictEqual(solana.errors.map(e => e.line), [3]);
+});
+
+test('migração do texto antigo mantém linhas inválidas e descarta só duplicatas', () => {
+    const partnership = {
+        network: 'Ethereum',
+        createdBy: 'Fulano',
+        createdByEmail: 'fulano@test.local',
+        createdAt: '2024-01-01T00:00:00.000Z',
+        collectedWallets: `${CHECKSUMMED.toLowerCase()}\nnão é wallet\n\n${CHECKSUMMED}\n0x123`
+    };
+
+    assert.deepStrictEqual(migrateWallets(partnership), { migrated: true, invalid: 2 });
+    assert.deepStrictEqual(partnership.collectedWallets.map(w => w.address), [CHECKSUMMED, 'não é wallet', '0x123']);
+    assert.deepStrictEqual(partnership.collectedWallets[1], {
+        address: 'não é wallet',
+        addedBy: 'Fulano',
+        addedByEmail: 'fulano@test.local',
+        addedAt: '2024-01-01T00:00:00.000Z'
+    });
+
+    // Lista já migrada não muda
+    assert.deepStrictEqual(migrateWallets(partnership), { migrated: false, invalid: 0 });
+});
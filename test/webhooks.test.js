@@ -0,0 +1,45 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const ADMIN_EMAIL = 'admin@test.local';
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer({ allowedEmails: [{ email: ADMIN_EMAIL, role: 'admin' }] });
+    token = await server.login(ADMIN_EMAIL, 'Admin', { twoFactor: true });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('o segredo do webhook só aparece inteiro ao cadastrar e ao trocar', async () => {
+    const created = await server.request('POST', '/api/admin/webhooks', {
+        token,
+        body: { url: 'http://127.0.0.1:9/hook', events: ['partnershipAdded'] }
+    });
+    assert.strictEqual(created.status, 200, created.text);
+    const { secret } = created.body;
+    assert.match(secret, /^whsec_/);
+    assert.strictEqual(created.body.webhook.secretHint, `whsec_…${secret.slice(-4)}`);
+
+    const list = await server.request('GET', '/api/admin/webhooks', { token });
+    assert.strictEqual(list.status, 200);
+    assert.ok(!list.text.includes(secret.slice(0, 12)), 'listagem expôs o início do segredo');
+    assert.strictEqual(list.body.webhooks[0].secretHint, `whsec_…${secret.slice(-4)}`);
+    assert.strictEqual(list.body.webhooks[0].secret, undefined);
+
+    const rotated = await server.request('POST', `/api/admin/webhooks/${created.body.webhook.id}/secret`, { token });
+    assert.strictEqual(rotated.status, 200);
+    assert.notStrictEqual(rotated.body.secret, secret);
+    assert.strictEqual(rotated.body.webhook.secretHint, `whsec_…${rotated.body.secret.slice(-4)}`);
+
+    for (const url of ['/webhooks.json', '/data/webhooks.json']) {
+        const raw = await server.request('GET', url);
+        assert.strictEqual(raw.status, 404);
+        assert.ok(!raw.text.includes(rotated.body.secret), `${url} expôs o segredo`);
+    }
+});